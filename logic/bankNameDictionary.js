@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { BestNameMatcher } = require('./processor');
+const { MAPPING_STORE_DIR } = require('./mappingStore');
+
+/* =========================================================
+   CANONICAL BANK NAME DICTIONARY
+   ========================================================= */
+
+const BANK_NAME_DICTIONARY_FILE = path.join(MAPPING_STORE_DIR, 'bank_names.json');
+
+/**
+ * Read the dictionary file
+ * @returns {Object} { updatedAt, entries: [{ name, source, addedAt }] }
+ */
+function readBankNameDictionary() {
+    if (!fs.existsSync(BANK_NAME_DICTIONARY_FILE)) {
+        return { updatedAt: null, entries: [] };
+    }
+    return JSON.parse(fs.readFileSync(BANK_NAME_DICTIONARY_FILE, 'utf-8'));
+}
+
+/**
+ * Write the dictionary file
+ * @param {Object} dictionary - { updatedAt, entries }
+ */
+function writeBankNameDictionary(dictionary) {
+    fs.mkdirSync(MAPPING_STORE_DIR, { recursive: true });
+    dictionary.updatedAt = new Date().toISOString();
+    fs.writeFileSync(BANK_NAME_DICTIONARY_FILE, JSON.stringify(dictionary, null, 2));
+}
+
+/**
+ * Tidy a name for storage (trimmed, single spaces)
+ */
+function cleanBankName(name) {
+    return (name || '').toString().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key used to detect duplicate entries (same key as the fuzzy matcher compares)
+ */
+function dictionaryKey(name) {
+    return BestNameMatcher.normalize(cleanBankName(name));
+}
+
+/**
+ * List dictionary entries
+ * @returns {Array<Object>} Entries in the order they were added
+ */
+function listCanonicalBankNames() {
+    return readBankNameDictionary().entries;
+}
+
+/**
+ * Find the entry for a name (compared after normalization)
+ * @param {string} name - Bank name
+ * @returns {Object|null} Dictionary entry
+ */
+function findCanonicalBankName(name) {
+    const key = dictionaryKey(name);
+    if (!key) return null;
+    return readBankNameDictionary().entries.find(entry => dictionaryKey(entry.name) === key) || null;
+}
+
+/**
+ * Add a canonical bank name
+ * @param {string} name - Bank name
+ * @param {string} source - Where the name came from ("manual" or "mapping:<version>")
+ * @returns {Object} New entry
+ */
+function addCanonicalBankName(name, source = 'manual') {
+    const cleaned = cleanBankName(name);
+    if (!dictionaryKey(cleaned)) {
+        throw new Error('Bank name must contain letters');
+    }
+    if (findCanonicalBankName(cleaned)) {
+        throw new Error(`"${cleaned}" is already in the bank name dictionary`);
+    }
+
+    const dictionary = readBankNameDictionary();
+    const entry = { name: cleaned, source, addedAt: new Date().toISOString() };
+    dictionary.entries.push(entry);
+    writeBankNameDictionary(dictionary);
+    return entry;
+}
+
+/**
+ * Replace the spelling of a canonical bank name
+ * @param {string} name - Current name
+ * @param {string} newName - New name
+ * @returns {Object} Updated entry
+ */
+function renameCanonicalBankName(name, newName) {
+    const cleaned = cleanBankName(newName);
+    if (!dictionaryKey(cleaned)) {
+        throw new Error('Bank name must contain letters');
+    }
+
+    const dictionary = readBankNameDictionary();
+    const key = dictionaryKey(name);
+    const entry = dictionary.entries.find(item => dictionaryKey(item.name) === key);
+    if (!entry) {
+        throw new Error(`"${name}" is not in the bank name dictionary`);
+    }
+
+    const clash = dictionary.entries.find(item => item !== entry && dictionaryKey(item.name) === dictionaryKey(cleaned));
+    if (clash) {
+        throw new Error(`"${clash.name}" is already in the bank name dictionary`);
+    }
+
+    entry.name = cleaned;
+    entry.source = 'manual';
+    writeBankNameDictionary(dictionary);
+    return entry;
+}
+
+/**
+ * Remove a canonical bank name
+ * @param {string} name - Bank name
+ * @returns {Object} Removed entry
+ */
+function removeCanonicalBankName(name) {
+    const dictionary = readBankNameDictionary();
+    const key = dictionaryKey(name);
+    const position = dictionary.entries.findIndex(item => dictionaryKey(item.name) === key);
+    if (position === -1) {
+        throw new Error(`"${name}" is not in the bank name dictionary`);
+    }
+
+    const [entry] = dictionary.entries.splice(position, 1);
+    writeBankNameDictionary(dictionary);
+    return entry;
+}
+
+/**
+ * Add every new name from a bank mapping's name column
+ * Names already present (after normalization) are kept as they are.
+ * @param {Iterable<string>} names - Bank names
+ * @param {string} source - Where the names came from (e.g. "mapping:v3")
+ * @returns {Object} { added, total }
+ */
+function seedBankNameDictionary(names, source) {
+    const dictionary = readBankNameDictionary();
+    const known = new Set(dictionary.entries.map(entry => dictionaryKey(entry.name)));
+    const addedAt = new Date().toISOString();
+    let added = 0;
+
+    for (const name of names) {
+        const cleaned = cleanBankName(name);
+        const key = dictionaryKey(cleaned);
+        if (!key || known.has(key)) continue;
+
+        known.add(key);
+        dictionary.entries.push({ name: cleaned, source, addedAt });
+        added++;
+    }
+
+    if (added > 0) writeBankNameDictionary(dictionary);
+    console.log(`📖 Bank name dictionary: ${added} new names from ${source} (${dictionary.entries.length} total)`);
+    return { added, total: dictionary.entries.length };
+}
+
+module.exports = {
+    BANK_NAME_DICTIONARY_FILE,
+    listCanonicalBankNames,
+    findCanonicalBankName,
+    addCanonicalBankName,
+    renameCanonicalBankName,
+    removeCanonicalBankName,
+    seedBankNameDictionary
+};
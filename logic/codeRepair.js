@@ -0,0 +1,287 @@
+/* =========================================================
+   IFSC REPAIR SUGGESTIONS
+   ========================================================= */
+
+const { decodeMicr } = require('./micrDecoder');
+
+/**
+ * Largest number of edits between an unmatched IFSC and a suggestion, and between a
+ * MICR and the mapped MICR for its mismatch to count as a typo
+ */
+const MAX_REPAIR_DISTANCE = 2;
+
+/**
+ * Suggestions kept per record
+ */
+const MAX_REPAIR_SUGGESTIONS = 3;
+
+/**
+ * Characters OCR commonly reads as one another
+ */
+const OCR_CONFUSIONS = [['O', '0'], ['I', '1'], ['S', '5'], ['B', '8']];
+
+/**
+ * Confidence lost per edit, by kind of edit
+ */
+const EDIT_PENALTIES = { ocr: 10, transposition: 15, substitution: 30 };
+
+/**
+ * Confidence gained when the suggestion shares a mapping row with the record's MICR
+ */
+const MICR_ROW_BONUS = 20;
+
+/**
+ * Branch code segments used for candidate lookup (positions within the IFSC)
+ * Two edits that change at most two characters leave one of the three segments unchanged.
+ */
+const BRANCH_SEGMENTS = [[5, 7], [7, 9], [9, 11]];
+
+/**
+ * Segment keys to look an unmatched IFSC up by
+ * Besides the code itself, each adjacent swap in the branch code is undone once, so a
+ * swap plus one more edit still leaves an unchanged segment to find the candidate by.
+ * @param {string} ifsc - 11-character IFSC
+ * @returns {Set<string>} "segment:value" keys
+ */
+function branchLookupKeys(ifsc) {
+    const variants = [ifsc];
+    for (let i = 5; i < 10; i++) {
+        if (ifsc[i] !== ifsc[i + 1]) {
+            variants.push(ifsc.slice(0, i) + ifsc[i + 1] + ifsc[i] + ifsc.slice(i + 2));
+        }
+    }
+
+    const keys = new Set();
+    variants.forEach(variant => {
+        BRANCH_SEGMENTS.forEach(([start, end], i) => keys.add(`${i}:${variant.slice(start, end)}`));
+    });
+    return keys;
+}
+
+/**
+ * Check whether two characters are a common OCR confusion
+ */
+function isOcrConfusion(a, b) {
+    return OCR_CONFUSIONS.some(([x, y]) => (a === x && b === y) || (a === y && b === x));
+}
+
+/**
+ * List the edits that turn one code into another of the same length
+ * Adjacent swapped characters count as one transposition; every other differing
+ * character is an OCR confusion or a plain substitution.
+ * @param {string} from - Code as read
+ * @param {string} to - Candidate code
+ * @param {number} limit - Stop once more edits than this are found
+ * @returns {Array<Object>} [{ type: 'ocr' | 'transposition' | 'substitution', position (1-based), from, to }]
+ */
+function codeEdits(from, to, limit = MAX_REPAIR_DISTANCE) {
+    const edits = [];
+
+    for (let i = 0; i < from.length && edits.length <= limit; i++) {
+        if (from[i] === to[i]) continue;
+
+        if (i + 1 < from.length && from[i] === to[i + 1] && from[i + 1] === to[i] && from[i] !== from[i + 1]) {
+            edits.push({ type: 'transposition', position: i + 1, from: from.slice(i, i + 2), to: to.slice(i, i + 2) });
+            i++;
+            continue;
+        }
+
+        edits.push({
+            type: isOcrConfusion(from[i], to[i]) ? 'ocr' : 'substitution',
+            position: i + 1,
+            from: from[i],
+            to: to[i]
+        });
+    }
+
+    return edits;
+}
+
+/**
+ * Describe edits for the output file, e.g. "7: O→0 (OCR); 9-10: 12→21 (swap)"
+ * @param {Array<Object>} edits - Edits from codeEdits
+ * @returns {string}
+ */
+function describeEdits(edits) {
+    return edits.map(edit => {
+        if (edit.type === 'transposition') {
+            return `${edit.position}-${edit.position + 1}: ${edit.from}→${edit.to} (swap)`;
+        }
+        return `${edit.position}: ${edit.from}→${edit.to}${edit.type === 'ocr' ? ' (OCR)' : ''}`;
+    }).join('; ');
+}
+
+/**
+ * Index of the mapping's IFSCs for finding codes within MAX_REPAIR_DISTANCE edits
+ *
+ * IFSCs are grouped by bank prefix, then by each two-character branch segment. A
+ * lookup compares the prefix with every known bank and only scores codes that share
+ * a branch segment with the unmatched IFSC or with one of its swapped variants (see
+ * branchLookupKeys), which covers every code within two edits. Candidates are
+ * memoized per unmatched IFSC.
+ */
+class IfscRepairIndex {
+    /**
+     * @param {Object} mappingIndex - Mapping index (logic/mappingIndex.js)
+     */
+    constructor(mappingIndex) {
+        this.mappingIndex = mappingIndex;
+        this.banks = new Map(); // bank prefix -> Map of "segment:value" -> IFSCs
+        this.candidates = new Map(); // unmatched IFSC -> candidates
+
+        for (const ifsc of mappingIndex.ifscSet) {
+            this.add(ifsc);
+        }
+    }
+
+    /**
+     * Register an IFSC of the mapping
+     * @param {string} ifsc - 11-character IFSC
+     */
+    add(ifsc) {
+        const bank = ifsc.slice(0, 4);
+        if (!this.banks.has(bank)) this.banks.set(bank, new Map());
+        const segments = this.banks.get(bank);
+
+        BRANCH_SEGMENTS.forEach(([start, end], i) => {
+            const key = `${i}:${ifsc.slice(start, end)}`;
+            if (!segments.has(key)) segments.set(key, []);
+            segments.get(key).push(ifsc);
+        });
+    }
+
+    /**
+     * Mapping IFSCs within MAX_REPAIR_DISTANCE edits of an unmatched IFSC
+     * @param {string} ifsc - Unmatched 11-character IFSC
+     * @returns {Array<Object>} [{ ifsc, edits, penalty }]
+     */
+    candidatesFor(ifsc) {
+        if (this.candidates.has(ifsc)) return this.candidates.get(ifsc);
+
+        const found = [];
+        if (ifsc.length === 11) {
+            const bank = ifsc.slice(0, 4);
+            const keys = branchLookupKeys(ifsc);
+
+            for (const [candidateBank, segments] of this.banks.entries()) {
+                if (codeEdits(bank, candidateBank).length > MAX_REPAIR_DISTANCE) continue;
+
+                const seen = new Set();
+                keys.forEach(key => {
+                    for (const candidate of segments.get(key) || []) {
+                        if (candidate === ifsc || seen.has(candidate)) continue;
+                        seen.add(candidate);
+
+                        const edits = codeEdits(ifsc, candidate);
+                        if (edits.length <= MAX_REPAIR_DISTANCE) {
+                            const penalty = edits.reduce((sum, edit) => sum + EDIT_PENALTIES[edit.type], 0);
+                            found.push({ ifsc: candidate, edits, penalty });
+                        }
+                    }
+                });
+            }
+        }
+
+        this.candidates.set(ifsc, found);
+        return found;
+    }
+
+    /**
+     * Ranked repair suggestions for a record's unmatched IFSC
+     * Confidence starts at 100 and loses EDIT_PENALTIES per edit. When the record's MICR
+     * is in the mapping, suggestions that share a mapping row with it rank first and
+     * gain MICR_ROW_BONUS (capped at 100).
+     * @param {string} ifsc - Unmatched IFSC
+     * @param {string} micr - MICR of the same record
+     * @param {number} limit - Suggestions to return
+     * @returns {Array<Object>} [{ ifsc, distance, edits, sharesMicrRow, bankName, confidence }], best first
+     */
+    suggest(ifsc, micr, limit = MAX_REPAIR_SUGGESTIONS) {
+        const { micrSet, ifscToMicrs, ifscToBankName } = this.mappingIndex;
+        const micrMatched = micrSet.has(micr);
+
+        return this.candidatesFor(ifsc)
+            .map(candidate => {
+                const pairedMicrs = ifscToMicrs.get(candidate.ifsc);
+                const sharesMicrRow = micrMatched && Boolean(pairedMicrs && pairedMicrs.has(micr));
+                return {
+                    ifsc: candidate.ifsc,
+                    distance: candidate.edits.length,
+                    edits: candidate.edits,
+                    sharesMicrRow,
+                    bankName: ifscToBankName.get(candidate.ifsc) || '',
+                    confidence: Math.min(100, 100 - candidate.penalty + (sharesMicrRow ? MICR_ROW_BONUS : 0))
+                };
+            })
+            .sort((a, b) => {
+                if (a.sharesMicrRow !== b.sharesMicrRow) return a.sharesMicrRow ? -1 : 1;
+                if (a.confidence !== b.confidence) return b.confidence - a.confidence;
+                return a.ifsc < b.ifsc ? -1 : 1;
+            })
+            .slice(0, limit);
+    }
+}
+
+/* =========================================================
+   MICR CORRECTIONS
+   ========================================================= */
+
+/**
+ * How a record's MICR relates to the MICR the mapping holds for its IFSC
+ */
+const MICR_CORRECTION_VERDICTS = {
+    TYPO: 'TYPO',
+    DIFFERENT_BRANCH: 'DIFFERENT_BRANCH',
+    NO_MAPPED_MICR: 'NO_MAPPED_MICR'
+};
+
+/**
+ * Propose the mapping's MICR for a record whose IFSC matched but whose MICR did not
+ * When the IFSC has several MICRs in the mapping, the one with the fewest edits wins.
+ * Up to MAX_REPAIR_DISTANCE edits is a TYPO; anything further points to a different
+ * branch. changedSegments names the MICR segments (city, bank, branch) that differ.
+ * @param {string} micr - MICR of the record
+ * @param {string} ifsc - Matched IFSC of the record
+ * @param {Object} mappingIndex - Mapping index (logic/mappingIndex.js)
+ * @returns {Object} { micr, distance, edits, verdict, changedSegments } (micr is '' for NO_MAPPED_MICR)
+ */
+function proposeMicrCorrection(micr, ifsc, mappingIndex) {
+    const mappedMicrs = [...(mappingIndex.ifscToMicrs.get(ifsc) || [])].sort();
+    if (mappedMicrs.length === 0) {
+        return { micr: '', distance: null, edits: [], verdict: MICR_CORRECTION_VERDICTS.NO_MAPPED_MICR, changedSegments: [] };
+    }
+
+    const proposals = mappedMicrs.map(mapped => ({ micr: mapped, edits: codeEdits(micr, mapped, mapped.length) }));
+    const best = proposals.reduce((closest, proposal) => {
+        return proposal.edits.length < closest.edits.length ? proposal : closest;
+    });
+
+    const from = decodeMicr(micr);
+    const to = decodeMicr(best.micr);
+    const changedSegments = from && to ? [
+        ['city', 'cityCode'],
+        ['bank', 'bankCode'],
+        ['branch', 'branchCode']
+    ].filter(([, key]) => from[key] !== to[key]).map(([name]) => name) : [];
+
+    return {
+        micr: best.micr,
+        distance: best.edits.length,
+        edits: best.edits,
+        verdict: best.edits.length <= MAX_REPAIR_DISTANCE ?
+            MICR_CORRECTION_VERDICTS.TYPO :
+            MICR_CORRECTION_VERDICTS.DIFFERENT_BRANCH,
+        changedSegments
+    };
+}
+
+module.exports = {
+    MAX_REPAIR_DISTANCE,
+    MAX_REPAIR_SUGGESTIONS,
+    OCR_CONFUSIONS,
+    codeEdits,
+    describeEdits,
+    IfscRepairIndex,
+    MICR_CORRECTION_VERDICTS,
+    proposeMicrCorrection
+};
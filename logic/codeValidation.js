@@ -0,0 +1,84 @@
+/* =========================================================
+   IFSC & MICR STRUCTURAL VALIDATION
+   ========================================================= */
+
+/**
+ * Machine-readable reason codes written to invalid_records.csv
+ */
+const REASON_CODES = {
+    IFSC_NOT_FOUND: 'IFSC_NOT_FOUND',
+    IFSC_BAD_LENGTH: 'IFSC_BAD_LENGTH',
+    IFSC_BAD_PREFIX: 'IFSC_BAD_PREFIX',
+    IFSC_FIFTH_CHAR_NOT_ZERO: 'IFSC_FIFTH_CHAR_NOT_ZERO',
+    IFSC_BAD_BRANCH_CODE: 'IFSC_BAD_BRANCH_CODE',
+    MICR_NOT_FOUND: 'MICR_NOT_FOUND',
+    MICR_BAD_LENGTH: 'MICR_BAD_LENGTH',
+    MICR_NON_NUMERIC: 'MICR_NON_NUMERIC'
+};
+
+/**
+ * Validate IFSC against the RBI structure:
+ * 4-letter bank prefix, mandatory '0' in the fifth position, 6-character branch code
+ * @param {string} ifsc - Normalized IFSC code
+ * @returns {Array<string>} Reason codes (empty when valid)
+ */
+function validateIfsc(ifsc) {
+    if (!ifsc) return [REASON_CODES.IFSC_NOT_FOUND];
+    if (ifsc.length !== 11) return [REASON_CODES.IFSC_BAD_LENGTH];
+
+    const reasons = [];
+    if (!/^[A-Z]{4}$/.test(ifsc.substring(0, 4))) reasons.push(REASON_CODES.IFSC_BAD_PREFIX);
+    if (ifsc[4] !== '0') reasons.push(REASON_CODES.IFSC_FIFTH_CHAR_NOT_ZERO);
+    if (!/^[A-Z0-9]{6}$/.test(ifsc.substring(5))) reasons.push(REASON_CODES.IFSC_BAD_BRANCH_CODE);
+    return reasons;
+}
+
+/**
+ * Validate MICR structure: exactly 9 digits
+ * @param {string} micr - Normalized MICR code
+ * @returns {Array<string>} Reason codes (empty when valid)
+ */
+function validateMicr(micr) {
+    if (!micr) return [REASON_CODES.MICR_NOT_FOUND];
+    if (!/^\d+$/.test(micr)) return [REASON_CODES.MICR_NON_NUMERIC];
+    if (micr.length !== 9) return [REASON_CODES.MICR_BAD_LENGTH];
+    return [];
+}
+
+/**
+ * Check if an IFSC passes all structural checks
+ * @param {string} ifsc - Normalized IFSC code
+ * @returns {boolean}
+ */
+function isValidIfsc(ifsc) {
+    return validateIfsc(ifsc).length === 0;
+}
+
+/**
+ * Check if a MICR passes all structural checks
+ * @param {string} micr - Normalized MICR code
+ * @returns {boolean}
+ */
+function isValidMicr(micr) {
+    return validateMicr(micr).length === 0;
+}
+
+/**
+ * Validate an extracted MICR/IFSC pair
+ * @param {string} micr - Normalized MICR code
+ * @param {string} ifsc - Normalized IFSC code
+ * @returns {Object} { valid, reasons }
+ */
+function validateRecordCodes(micr, ifsc) {
+    const reasons = [...validateIfsc(ifsc), ...validateMicr(micr)];
+    return { valid: reasons.length === 0, reasons };
+}
+
+module.exports = {
+    REASON_CODES,
+    validateIfsc,
+    validateMicr,
+    isValidIfsc,
+    isValidMicr,
+    validateRecordCodes
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { looksLikeHeaderRow } = require('./csvRecords');
+
+/* =========================================================
+   COLUMN MAPPING PROFILES
+   ========================================================= */
+
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Logical fields a profile can map, for both input and bank mapping files
+ */
+const LOGICAL_FIELDS = ['id', 'micr', 'ifsc', 'bankName', 'branch', 'address', 'city', 'state'];
+
+/**
+ * Header labels written for files that arrive without a header row
+ */
+const FIELD_HEADERS = {
+    id: 'ID',
+    micr: 'MICR',
+    ifsc: 'IFSC',
+    bankName: 'BANK_NAME',
+    branch: 'BRANCH',
+    address: 'ADDRESS',
+    city: 'CITY',
+    state: 'STATE'
+};
+
+/**
+ * Validate one section (input or mapping) of a profile
+ * @param {string} name - Profile name (for error messages)
+ * @param {string} sectionName - 'input' or 'mapping'
+ * @param {Object} section - Logical field -> position (number) or header name (string)
+ */
+function validateSection(name, sectionName, section) {
+    if (!section || typeof section !== 'object') {
+        throw new Error(`Column profile "${name}" is missing the "${sectionName}" section`);
+    }
+
+    for (const [field, column] of Object.entries(section)) {
+        if (!LOGICAL_FIELDS.includes(field)) {
+            throw new Error(`Column profile "${name}" has unknown field "${sectionName}.${field}"`);
+        }
+        const isPosition = Number.isInteger(column) && column >= 0;
+        const isHeaderName = typeof column === 'string' && column.trim() !== '';
+        if (!isPosition && !isHeaderName) {
+            throw new Error(`Column profile "${name}" field "${sectionName}.${field}" must be a position or header name`);
+        }
+    }
+
+    if (section.micr === undefined || section.ifsc === undefined) {
+        throw new Error(`Column profile "${name}" must map "${sectionName}.micr" and "${sectionName}.ifsc"`);
+    }
+}
+
+/**
+ * List available column profiles
+ * @returns {Array<Object>} { name, description }
+ */
+function listColumnProfiles() {
+    if (!fs.existsSync(PROFILES_DIR)) return [];
+
+    return fs.readdirSync(PROFILES_DIR)
+        .filter(file => path.extname(file) === '.json')
+        .map(file => {
+            const profile = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf-8'));
+            return { name: path.basename(file, '.json'), description: profile.description || '' };
+        });
+}
+
+/**
+ * Load and validate a named column profile from profiles/<name>.json
+ * @param {string} name - Profile name (defaults to "default")
+ * @returns {Object} Profile with input and mapping sections
+ */
+function loadColumnProfile(name = DEFAULT_PROFILE) {
+    const profileName = name || DEFAULT_PROFILE;
+
+    if (!/^[A-Za-z0-9_-]+$/.test(profileName)) {
+        throw new Error(`Invalid column profile name "${profileName}"`);
+    }
+
+    const profilePath = path.join(PROFILES_DIR, `${profileName}.json`);
+    if (!fs.existsSync(profilePath)) {
+        throw new Error(`Column profile "${profileName}" not found`);
+    }
+
+    const profile = JSON.parse(fs.readFileSync(profilePath, 'utf-8'));
+    validateSection(profileName, 'input', profile.input);
+    validateSection(profileName, 'mapping', profile.mapping);
+
+    return { ...profile, name: profileName };
+}
+
+/**
+ * Check whether a profile section refers to columns by header name
+ * @param {Object} section - Profile section
+ * @returns {boolean}
+ */
+function usesHeaderNames(section) {
+    return Object.values(section).some(column => typeof column === 'string');
+}
+
+/**
+ * Resolve a profile section to column positions
+ * @param {Object} section - Profile section
+ * @param {Array|null} headerFields - Header row, required when the section uses header names
+ * @returns {Object} Logical field -> column index (-1 if not mapped)
+ */
+function resolveColumns(section, headerFields = null) {
+    const normalizeHeader = (value) => (value || '').toString()
+        .replace(/^\uFEFF/, '')
+        .replace(/^"+|"+$/g, '')
+        .trim()
+        .toUpperCase();
+    const headers = (headerFields || []).map(normalizeHeader);
+    const columns = {};
+
+    LOGICAL_FIELDS.forEach(field => {
+        const column = section[field];
+        if (column === undefined) {
+            columns[field] = -1;
+        } else if (typeof column === 'number') {
+            columns[field] = column;
+        } else {
+            if (!headerFields) {
+                throw new Error(`Column "${column}" is mapped by header name but the file has no header row`);
+            }
+            columns[field] = headers.indexOf(normalizeHeader(column));
+            if (columns[field] === -1 && (field === 'micr' || field === 'ifsc')) {
+                throw new Error(`Header "${column}" for ${field} not found in file`);
+            }
+        }
+    });
+
+    return columns;
+}
+
+/**
+ * Check whether the first record of a file is its header row
+ * Header-name sections always expect one; positional sections detect it.
+ * @param {Object} section - Profile section
+ * @param {Array} fields - First record of the file
+ * @returns {boolean}
+ */
+function isHeaderRecord(section, fields) {
+    return usesHeaderNames(section) || looksLikeHeaderRow(fields || []);
+}
+
+/**
+ * Build a header row for a headerless file from its resolved columns
+ * Mapped positions get the logical field label, the rest COLUMN_<n>.
+ * @param {Object} columns - Resolved columns from resolveColumns
+ * @param {number} width - Number of fields in the file's records
+ * @returns {Array<string>} Header fields
+ */
+function headerForColumns(columns, width) {
+    const header = [];
+    for (let i = 0; i < width; i++) header.push(`COLUMN_${i + 1}`);
+
+    LOGICAL_FIELDS.forEach(field => {
+        const index = columns[field];
+        if (index >= 0 && index < width) header[index] = FIELD_HEADERS[field];
+    });
+
+    return header;
+}
+
+/**
+ * Read a logical field from a split record
+ * @param {Array} fields - Record fields
+ * @param {Object} columns - Resolved columns from resolveColumns
+ * @param {string} field - Logical field name
+ * @returns {string} Trimmed value ('' when unmapped or missing)
+ */
+function getField(fields, columns, field) {
+    const index = columns[field];
+    if (index === undefined || index < 0) return '';
+    return (fields[index] === undefined || fields[index] === null ? '' : fields[index]).toString().trim();
+}
+
+/**
+ * Resolve the mapping section against bank mapping rows
+ * A leading header row is consumed when present (always expected for header-name sections).
+ * @param {Array} bankMappingData - Rows from loadBankMappingFile
+ * @param {Object} profile - Column profile
+ * @returns {Object} { columns, rows }
+ */
+function resolveMappingRows(bankMappingData, profile) {
+    const rows = bankMappingData || [];
+    if (isHeaderRecord(profile.mapping, rows[0])) {
+        return {
+            columns: resolveColumns(profile.mapping, rows[0] || []),
+            rows: rows.slice(1)
+        };
+    }
+    return { columns: resolveColumns(profile.mapping), rows };
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    LOGICAL_FIELDS,
+    listColumnProfiles,
+    loadColumnProfile,
+    usesHeaderNames,
+    isHeaderRecord,
+    headerForColumns,
+    resolveColumns,
+    getField,
+    resolveMappingRows
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const { isValidIfsc, isValidMicr } = require('./codeValidation');
+
+/* =========================================================
+   DELIMITED RECORD READING & WRITING
+   ========================================================= */
+
+/**
+ * Detect the field delimiter of a delimited text file from its first non-empty line
+ * Tilde exports are treated as unquoted; anything else is parsed as RFC 4180 CSV.
+ * @param {string} filePath - Path to the file
+ * @returns {string} '~' or ','
+ */
+function detectFileDelimiter(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(64 * 1024);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        const firstLine = buffer.toString('utf-8', 0, bytesRead)
+            .split(/\r?\n/)
+            .find(line => line.trim()) || '';
+        return firstLine.includes('~') ? '~' : ',';
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Stream the records of a delimited file through csv-parser
+ * Quoted fields may contain the delimiter, escaped quotes and line breaks.
+ * Blank lines are skipped. An error thrown by onRecord stops reading and rejects.
+ * @param {string} filePath - Path to the file
+ * @param {Function} onRecord - Called with (fields, delimiter) for every record
+ * @returns {Promise<string>} Detected delimiter
+ */
+function readDelimitedRecords(filePath, onRecord) {
+    return new Promise((resolve, reject) => {
+        let delimiter;
+        try {
+            delimiter = detectFileDelimiter(filePath);
+        } catch (error) {
+            return reject(error);
+        }
+
+        const input = fs.createReadStream(filePath);
+        const parser = csv({
+            headers: false,
+            separator: delimiter,
+            quote: delimiter === '~' ? '\u0000' : '"'
+        });
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            input.destroy();
+            parser.destroy();
+            reject(error);
+        };
+
+        parser.on('data', row => {
+            if (failed) return;
+            const fields = Object.values(row);
+            if (fields.every(value => value.trim() === '')) return;
+
+            try {
+                onRecord(fields, delimiter);
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        parser.on('end', () => {
+            if (!failed) resolve(delimiter);
+        });
+
+        input.on('error', fail);
+        parser.on('error', fail);
+        input.pipe(parser);
+    });
+}
+
+/**
+ * Count the lines of a file without parsing it (an upper bound on its record count,
+ * used to estimate progress)
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<number>} Number of lines
+ */
+function countLines(filePath) {
+    return new Promise((resolve, reject) => {
+        let lines = 0;
+        let lastByte = 10;
+
+        fs.createReadStream(filePath)
+            .on('data', chunk => {
+                for (let i = 0; i < chunk.length; i++) {
+                    if (chunk[i] === 10) lines++;
+                }
+                lastByte = chunk[chunk.length - 1];
+            })
+            .on('end', () => resolve(lastByte === 10 ? lines : lines + 1))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Format fields as one output line
+ * Comma output is quoted per RFC 4180; tilde output is written as-is.
+ * @param {Array} fields - Field values
+ * @param {string} delimiter - '~' or ','
+ * @returns {string} Line without trailing newline
+ */
+function formatRecord(fields, delimiter) {
+    return fields.map(value => {
+        const text = value === undefined || value === null ? '' : value.toString();
+        if (delimiter === ',' && /[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }).join(delimiter);
+}
+
+/**
+ * Check whether a record is a header row rather than data
+ * A header names a MICR or IFSC column and holds no structurally valid code.
+ * @param {Array} fields - Record fields
+ * @returns {boolean}
+ */
+function looksLikeHeaderRow(fields) {
+    const values = fields.map(value => (value || '').toString().replace(/^\uFEFF/, '').trim().toUpperCase());
+    const namesCodeColumn = values.some(value => value.includes('MICR') || value.includes('IFSC'));
+    const holdsCode = values.some(value => isValidMicr(value) || isValidIfsc(value));
+    return namesCodeColumn && !holdsCode;
+}
+
+module.exports = {
+    detectFileDelimiter,
+    readDelimitedRecords,
+    countLines,
+    formatRecord,
+    looksLikeHeaderRow
+};
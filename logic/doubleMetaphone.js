@@ -0,0 +1,549 @@
+/* =========================================================
+   DOUBLE METAPHONE
+   ========================================================= */
+
+/**
+ * Longest code kept, as in the original algorithm
+ */
+const MAX_CODE_LENGTH = 4;
+
+/**
+ * Encode a word with Lawrence Philips' Double Metaphone
+ * Returns a primary code and an alternate code for words with two common
+ * pronunciations (e.g. "SCHMIDT" -> XMT / SMT). Input is reduced to A-Z first.
+ * @param {string} input - Single word
+ * @returns {Array<string>} [primary, secondary]
+ */
+function doubleMetaphone(input) {
+    const value = (input || '').toString().toUpperCase().replace(/[^A-Z]/g, '');
+    const length = value.length;
+    const last = length - 1;
+    let primary = '';
+    let secondary = '';
+    let current = 0;
+
+    const charAt = (position) => (position >= 0 && position < length ? value[position] : '');
+    const stringAt = (start, count, ...options) => {
+        if (start < 0) return false;
+        return options.includes(value.substr(start, count));
+    };
+    const isVowel = (position) => 'AEIOUY'.includes(charAt(position)) && charAt(position) !== '';
+    const add = (main, alternate = main) => {
+        primary += main;
+        secondary += alternate;
+    };
+
+    const slavoGermanic = /W|K|CZ|WITZ/.test(value);
+    const germanic = stringAt(0, 4, 'VAN ', 'VON ') || stringAt(0, 3, 'SCH');
+
+    if (length === 0) return ['', ''];
+
+    // Skip these when at the start of a word
+    if (stringAt(0, 2, 'GN', 'KN', 'PN', 'WR', 'PS')) current++;
+
+    // Initial 'X' is pronounced 'Z' (e.g. 'Xavier')
+    if (value[0] === 'X') {
+        add('S');
+        current++;
+    }
+
+    while (current < length && (primary.length < MAX_CODE_LENGTH || secondary.length < MAX_CODE_LENGTH)) {
+        switch (value[current]) {
+            case 'A':
+            case 'E':
+            case 'I':
+            case 'O':
+            case 'U':
+            case 'Y':
+                // Vowels only count at the start
+                if (current === 0) add('A');
+                current++;
+                break;
+
+            case 'B':
+                add('P');
+                current += charAt(current + 1) === 'B' ? 2 : 1;
+                break;
+
+            case 'C':
+                // Various Germanic
+                if (current > 1 && !isVowel(current - 2) && stringAt(current - 1, 3, 'ACH') &&
+                    charAt(current + 2) !== 'I' &&
+                    (charAt(current + 2) !== 'E' || stringAt(current - 2, 6, 'BACHER', 'MACHER'))) {
+                    add('K');
+                    current += 2;
+                    break;
+                }
+
+                // 'Caesar'
+                if (current === 0 && stringAt(current, 6, 'CAESAR')) {
+                    add('S');
+                    current += 2;
+                    break;
+                }
+
+                // Italian 'chianti'
+                if (stringAt(current, 4, 'CHIA')) {
+                    add('K');
+                    current += 2;
+                    break;
+                }
+
+                if (stringAt(current, 2, 'CH')) {
+                    // 'Michael'
+                    if (current > 0 && stringAt(current, 4, 'CHAE')) {
+                        add('K', 'X');
+                        current += 2;
+                        break;
+                    }
+
+                    // Greek roots (e.g. 'chemistry', 'chorus')
+                    if (current === 0 &&
+                        (stringAt(current + 1, 5, 'HARAC', 'HARIS') || stringAt(current + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) &&
+                        !stringAt(0, 5, 'CHORE')) {
+                        add('K');
+                        current += 2;
+                        break;
+                    }
+
+                    // Germanic, Greek, or otherwise 'ch' for 'kh' sound
+                    if (germanic ||
+                        stringAt(current - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') ||
+                        stringAt(current + 2, 1, 'T', 'S') ||
+                        ((stringAt(current - 1, 1, 'A', 'O', 'U', 'E') || current === 0) &&
+                            stringAt(current + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W'))) {
+                        add('K');
+                    } else if (current > 0) {
+                        // 'McHugh'
+                        if (stringAt(0, 2, 'MC')) add('K');
+                        else add('X', 'K');
+                    } else {
+                        add('X');
+                    }
+                    current += 2;
+                    break;
+                }
+
+                // 'Czerny'
+                if (stringAt(current, 2, 'CZ') && !stringAt(current - 2, 4, 'WICZ')) {
+                    add('S', 'X');
+                    current += 2;
+                    break;
+                }
+
+                // 'Focaccia'
+                if (stringAt(current + 1, 3, 'CIA')) {
+                    add('X');
+                    current += 3;
+                    break;
+                }
+
+                // Double 'C', but not 'McClellan'
+                if (stringAt(current, 2, 'CC') && !(current === 1 && value[0] === 'M')) {
+                    // 'Bellocchio' but not 'Bacchus'
+                    if (stringAt(current + 2, 1, 'I', 'E', 'H') && !stringAt(current + 2, 2, 'HU')) {
+                        // 'Accident', 'accede', 'succeed'
+                        if ((current === 1 && charAt(current - 1) === 'A') || stringAt(current - 1, 5, 'UCCEE', 'UCCES')) {
+                            add('KS');
+                        } else {
+                            add('X');
+                        }
+                        current += 3;
+                        break;
+                    }
+
+                    // Pierce's rule
+                    add('K');
+                    current += 2;
+                    break;
+                }
+
+                if (stringAt(current, 2, 'CK', 'CG', 'CQ')) {
+                    add('K');
+                    current += 2;
+                    break;
+                }
+
+                if (stringAt(current, 2, 'CI', 'CE', 'CY')) {
+                    // Italian vs. English
+                    if (stringAt(current, 3, 'CIO', 'CIE', 'CIA')) add('S', 'X');
+                    else add('S');
+                    current += 2;
+                    break;
+                }
+
+                add('K');
+                if (stringAt(current + 1, 1, 'C', 'K', 'Q') && !stringAt(current + 1, 2, 'CE', 'CI')) {
+                    current += 2;
+                } else {
+                    current++;
+                }
+                break;
+
+            case 'D':
+                if (stringAt(current, 2, 'DG')) {
+                    if (stringAt(current + 2, 1, 'I', 'E', 'Y')) {
+                        // 'Edge'
+                        add('J');
+                        current += 3;
+                    } else {
+                        // 'Edgar'
+                        add('TK');
+                        current += 2;
+                    }
+                    break;
+                }
+
+                add('T');
+                current += stringAt(current, 2, 'DT', 'DD') ? 2 : 1;
+                break;
+
+            case 'F':
+                add('F');
+                current += charAt(current + 1) === 'F' ? 2 : 1;
+                break;
+
+            case 'G':
+                if (charAt(current + 1) === 'H') {
+                    if (current > 0 && !isVowel(current - 1)) {
+                        add('K');
+                        current += 2;
+                        break;
+                    }
+
+                    // 'Ghislane', 'Ghiradelli'
+                    if (current === 0) {
+                        add(charAt(current + 2) === 'I' ? 'J' : 'K');
+                        current += 2;
+                        break;
+                    }
+
+                    // Parker's rule (e.g. 'hugh', 'bough', 'broughton')
+                    if ((current > 1 && stringAt(current - 2, 1, 'B', 'H', 'D')) ||
+                        (current > 2 && stringAt(current - 3, 1, 'B', 'H', 'D')) ||
+                        (current > 3 && stringAt(current - 4, 1, 'B', 'H'))) {
+                        current += 2;
+                        break;
+                    }
+
+                    // 'Laugh', 'McLaughlin', 'cough', 'rough', 'tough'
+                    if (current > 2 && charAt(current - 1) === 'U' && stringAt(current - 3, 1, 'C', 'G', 'L', 'R', 'T')) {
+                        add('F');
+                    } else if (current > 0 && charAt(current - 1) !== 'I') {
+                        add('K');
+                    }
+                    current += 2;
+                    break;
+                }
+
+                if (charAt(current + 1) === 'N') {
+                    if (current === 1 && isVowel(0) && !slavoGermanic) {
+                        add('KN', 'N');
+                    } else if (!stringAt(current + 2, 2, 'EY') && charAt(current + 1) !== 'Y' && !slavoGermanic) {
+                        // Not 'Cagney'
+                        add('N', 'KN');
+                    } else {
+                        add('KN');
+                    }
+                    current += 2;
+                    break;
+                }
+
+                // 'Tagliaro'
+                if (stringAt(current + 1, 2, 'LI') && !slavoGermanic) {
+                    add('KL', 'L');
+                    current += 2;
+                    break;
+                }
+
+                // -ges-, -gep-, -gel-, -gie- at the start
+                if (current === 0 &&
+                    (charAt(current + 1) === 'Y' ||
+                        stringAt(current + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+                    add('K', 'J');
+                    current += 2;
+                    break;
+                }
+
+                // -ger-, -gy-
+                if ((stringAt(current + 1, 2, 'ER') || charAt(current + 1) === 'Y') &&
+                    !stringAt(0, 6, 'DANGER', 'RANGER', 'MANGER') &&
+                    !stringAt(current - 1, 1, 'E', 'I') &&
+                    !stringAt(current - 1, 3, 'RGY', 'OGY')) {
+                    add('K', 'J');
+                    current += 2;
+                    break;
+                }
+
+                // Italian (e.g. 'biaggi')
+                if (stringAt(current + 1, 1, 'E', 'I', 'Y') || stringAt(current - 1, 4, 'AGGI', 'OGGI')) {
+                    if (germanic || stringAt(current + 1, 2, 'ET')) {
+                        add('K');
+                    } else if (stringAt(current + 1, 3, 'IER')) {
+                        // Always soft with a French ending
+                        add('J');
+                    } else {
+                        add('J', 'K');
+                    }
+                    current += 2;
+                    break;
+                }
+
+                add('K');
+                current += charAt(current + 1) === 'G' ? 2 : 1;
+                break;
+
+            case 'H':
+                // Only kept when first or between vowels
+                if ((current === 0 || isVowel(current - 1)) && isVowel(current + 1)) {
+                    add('H');
+                    current += 2;
+                } else {
+                    current++;
+                }
+                break;
+
+            case 'J':
+                // Spanish 'Jose'
+                if (stringAt(current, 4, 'JOSE')) {
+                    add('J', 'H');
+                    current++;
+                    break;
+                }
+
+                if (current === 0) {
+                    // 'Yankelovich' / 'Jankelowicz'
+                    add('J', 'A');
+                } else if (isVowel(current - 1) && !slavoGermanic && (charAt(current + 1) === 'A' || charAt(current + 1) === 'O')) {
+                    // Spanish 'bajador'
+                    add('J', 'H');
+                } else if (current === last) {
+                    add('J', '');
+                } else if (!stringAt(current + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') &&
+                    !stringAt(current - 1, 1, 'S', 'K', 'L')) {
+                    add('J');
+                }
+                current += charAt(current + 1) === 'J' ? 2 : 1;
+                break;
+
+            case 'K':
+                add('K');
+                current += charAt(current + 1) === 'K' ? 2 : 1;
+                break;
+
+            case 'L':
+                if (charAt(current + 1) === 'L') {
+                    // Spanish (e.g. 'cabrillo', 'gallegos')
+                    if ((current === length - 3 && stringAt(current - 1, 4, 'ILLO', 'ILLA', 'ALLE')) ||
+                        ((stringAt(last - 1, 2, 'AS', 'OS') || stringAt(last, 1, 'A', 'O')) && stringAt(current - 1, 4, 'ALLE'))) {
+                        add('L', '');
+                        current += 2;
+                        break;
+                    }
+                    current += 2;
+                } else {
+                    current++;
+                }
+                add('L');
+                break;
+
+            case 'M':
+                // 'Dumb', 'thumb'
+                if ((stringAt(current - 1, 3, 'UMB') && (current + 1 === last || stringAt(current + 2, 2, 'ER'))) ||
+                    charAt(current + 1) === 'M') {
+                    current += 2;
+                } else {
+                    current++;
+                }
+                add('M');
+                break;
+
+            case 'N':
+                add('N');
+                current += charAt(current + 1) === 'N' ? 2 : 1;
+                break;
+
+            case 'P':
+                if (charAt(current + 1) === 'H') {
+                    add('F');
+                    current += 2;
+                    break;
+                }
+
+                // 'Campbell', 'raspberry'
+                add('P');
+                current += stringAt(current + 1, 1, 'P', 'B') ? 2 : 1;
+                break;
+
+            case 'Q':
+                add('K');
+                current += charAt(current + 1) === 'Q' ? 2 : 1;
+                break;
+
+            case 'R':
+                // French 'Rogier', but not 'Hochmeier'
+                if (current === last && !slavoGermanic && stringAt(current - 2, 2, 'IE') && !stringAt(current - 4, 2, 'ME', 'MA')) {
+                    add('', 'R');
+                } else {
+                    add('R');
+                }
+                current += charAt(current + 1) === 'R' ? 2 : 1;
+                break;
+
+            case 'S':
+                // 'Island', 'isle', 'Carlisle', 'Carlysle'
+                if (stringAt(current - 1, 3, 'ISL', 'YSL')) {
+                    current++;
+                    break;
+                }
+
+                // 'Sugar-'
+                if (current === 0 && stringAt(current, 5, 'SUGAR')) {
+                    add('X', 'S');
+                    current++;
+                    break;
+                }
+
+                if (stringAt(current, 2, 'SH')) {
+                    // Germanic
+                    if (stringAt(current + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ')) add('S');
+                    else add('X');
+                    current += 2;
+                    break;
+                }
+
+                // Italian & Armenian
+                if (stringAt(current, 3, 'SIO', 'SIA') || stringAt(current, 4, 'SIAN')) {
+                    if (slavoGermanic) add('S');
+                    else add('S', 'X');
+                    current += 3;
+                    break;
+                }
+
+                // German & anglicisations ('Smith' / 'Schmidt', 'Snider' / 'Schneider'), Slavic -sz-
+                if ((current === 0 && stringAt(current + 1, 1, 'M', 'N', 'L', 'W')) || stringAt(current + 1, 1, 'Z')) {
+                    add('S', 'X');
+                    current += stringAt(current + 1, 1, 'Z') ? 2 : 1;
+                    break;
+                }
+
+                if (stringAt(current, 2, 'SC')) {
+                    // Schlesinger's rule
+                    if (charAt(current + 2) === 'H') {
+                        // Dutch origin (e.g. 'school', 'schooner')
+                        if (stringAt(current + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+                            // 'Schermerhorn', 'Schenker'
+                            if (stringAt(current + 3, 2, 'ER', 'EN')) add('X', 'SK');
+                            else add('SK');
+                        } else if (current === 0 && !isVowel(3) && charAt(3) !== 'W') {
+                            add('X', 'S');
+                        } else {
+                            add('X');
+                        }
+                        current += 3;
+                        break;
+                    }
+
+                    if (stringAt(current + 2, 1, 'I', 'E', 'Y')) add('S');
+                    else add('SK');
+                    current += 3;
+                    break;
+                }
+
+                // French 'Resnais', 'Artois'
+                if (current === last && stringAt(current - 2, 2, 'AI', 'OI')) add('', 'S');
+                else add('S');
+                current += stringAt(current + 1, 1, 'S', 'Z') ? 2 : 1;
+                break;
+
+            case 'T':
+                if (stringAt(current, 4, 'TION') || stringAt(current, 3, 'TIA', 'TCH')) {
+                    add('X');
+                    current += 3;
+                    break;
+                }
+
+                if (stringAt(current, 2, 'TH') || stringAt(current, 3, 'TTH')) {
+                    // 'Thomas', 'Thames' or Germanic
+                    if (stringAt(current + 2, 2, 'OM', 'AM') || germanic) add('T');
+                    else add('0', 'T');
+                    current += 2;
+                    break;
+                }
+
+                add('T');
+                current += stringAt(current + 1, 1, 'T', 'D') ? 2 : 1;
+                break;
+
+            case 'V':
+                add('F');
+                current += charAt(current + 1) === 'V' ? 2 : 1;
+                break;
+
+            case 'W':
+                if (stringAt(current, 2, 'WR')) {
+                    add('R');
+                    current += 2;
+                    break;
+                }
+
+                if (current === 0 && (isVowel(current + 1) || stringAt(current, 2, 'WH'))) {
+                    // 'Wasserman' should match 'Vasserman'
+                    if (isVowel(current + 1)) add('A', 'F');
+                    else add('A');
+                }
+
+                // 'Arnow' should match 'Arnoff'
+                if ((current === last && isVowel(current - 1)) ||
+                    stringAt(current - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') ||
+                    stringAt(0, 3, 'SCH')) {
+                    add('', 'F');
+                    current++;
+                    break;
+                }
+
+                // Polish 'Filipowicz'
+                if (stringAt(current, 4, 'WICZ', 'WITZ')) {
+                    add('TS', 'FX');
+                    current += 4;
+                    break;
+                }
+
+                current++;
+                break;
+
+            case 'X':
+                // French 'Breaux'
+                if (!(current === last && (stringAt(current - 3, 3, 'IAU', 'EAU') || stringAt(current - 2, 2, 'AU', 'OU')))) {
+                    add('KS');
+                }
+                current += stringAt(current + 1, 1, 'C', 'X') ? 2 : 1;
+                break;
+
+            case 'Z':
+                // Chinese pinyin 'Zhao'
+                if (charAt(current + 1) === 'H') {
+                    add('J');
+                    current += 2;
+                    break;
+                }
+
+                if (stringAt(current + 1, 2, 'ZO', 'ZI', 'ZA') || (slavoGermanic && current > 0 && charAt(current - 1) !== 'T')) {
+                    add('S', 'TS');
+                } else {
+                    add('S');
+                }
+                current += charAt(current + 1) === 'Z' ? 2 : 1;
+                break;
+
+            default:
+                current++;
+        }
+    }
+
+    return [primary.substring(0, MAX_CODE_LENGTH), secondary.substring(0, MAX_CODE_LENGTH)];
+}
+
+module.exports = {
+    doubleMetaphone
+};
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+/* =========================================================
+   EXTERNAL MERGE SORT
+   ========================================================= */
+
+/**
+ * Records held in memory before a sorted run is written to disk
+ */
+const DEFAULT_CHUNK_SIZE = 200000;
+
+/**
+ * Order two entries by their key arrays, then by input position
+ * Plain code-unit comparison keeps the order identical on every machine and locale;
+ * the input position makes the sort stable.
+ * @param {Object} a - { keys, seq }
+ * @param {Object} b - { keys, seq }
+ * @returns {number}
+ */
+function compareEntries(a, b) {
+    for (let i = 0; i < a.keys.length; i++) {
+        if (a.keys[i] < b.keys[i]) return -1;
+        if (a.keys[i] > b.keys[i]) return 1;
+    }
+    return a.seq - b.seq;
+}
+
+/**
+ * Minimal binary heap of run cursors, ordered by their current entry
+ */
+class RunHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        this.items.push(item);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (compareEntries(this.items[i].entry, this.items[parent].entry) >= 0) break;
+            [this.items[i], this.items[parent]] = [this.items[parent], this.items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && compareEntries(this.items[left].entry, this.items[smallest].entry) < 0) smallest = left;
+                if (right < this.items.length && compareEntries(this.items[right].entry, this.items[smallest].entry) < 0) smallest = right;
+                if (smallest === i) break;
+                [this.items[i], this.items[smallest]] = [this.items[smallest], this.items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Create a sorter that keeps at most `chunkSize` records in memory
+ * Full chunks are sorted and spilled to temp run files, which are k-way merged at the end.
+ * Inputs that fit in one chunk are sorted in memory without touching disk.
+ * @param {Object} options - { chunkSize, tempDir }
+ * @returns {Object} Sorter with add(keys, line), count, drain(write) and discard()
+ */
+function createExternalSorter(options = {}) {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const runFiles = [];
+    let chunk = [];
+    let sequence = 0;
+    let runDir = null;
+
+    const spillRun = () => {
+        if (!runDir) {
+            runDir = fs.mkdtempSync(path.join(options.tempDir || os.tmpdir(), 'ifsc-sort-'));
+        }
+        chunk.sort(compareEntries);
+        const runFile = path.join(runDir, `run-${runFiles.length}.jsonl`);
+        fs.writeFileSync(runFile, chunk.map(entry => JSON.stringify([entry.keys, entry.seq, entry.line])).join('\n') + '\n');
+        runFiles.push(runFile);
+        chunk = [];
+    };
+
+    /**
+     * Open a run file as a cursor over its entries
+     */
+    const openRun = async(runFile) => {
+        const rl = readline.createInterface({ input: fs.createReadStream(runFile), crlfDelay: Infinity });
+        const iterator = rl[Symbol.asyncIterator]();
+        const cursor = { rl, iterator, entry: null };
+        cursor.advance = async() => {
+            const { value, done } = await iterator.next();
+            if (done) {
+                cursor.entry = null;
+                return false;
+            }
+            const [keys, seq, line] = JSON.parse(value);
+            cursor.entry = { keys, seq, line };
+            return true;
+        };
+        return cursor;
+    };
+
+    return {
+        /**
+         * Add a record with its sort keys
+         * @param {Array<string>} keys - Sort keys, most significant first
+         * @param {string} line - Formatted output line
+         */
+        add(keys, line) {
+            chunk.push({ keys, seq: sequence++, line });
+            if (chunk.length >= chunkSize) spillRun();
+        },
+
+        get count() {
+            return sequence;
+        },
+
+        /**
+         * Drop buffered records and temp run files without emitting them
+         */
+        discard() {
+            chunk = [];
+            if (runDir) fs.rmSync(runDir, { recursive: true, force: true });
+        },
+
+        /**
+         * Emit every line in sorted order and remove the temp run files
+         * @param {Function} write - Called with each line; may return a promise
+         * @returns {Promise<number>} Number of lines written
+         */
+        async drain(write) {
+            try {
+                if (runFiles.length === 0) {
+                    chunk.sort(compareEntries);
+                    for (const entry of chunk) await write(entry.line);
+                    return chunk.length;
+                }
+
+                if (chunk.length > 0) spillRun();
+                console.log(`🗂️ Merging ${runFiles.length} sorted runs (${sequence} records)`);
+
+                const heap = new RunHeap();
+                for (const runFile of runFiles) {
+                    const cursor = await openRun(runFile);
+                    if (await cursor.advance()) heap.push(cursor);
+                }
+
+                let written = 0;
+                while (heap.size > 0) {
+                    const cursor = heap.pop();
+                    await write(cursor.entry.line);
+                    written++;
+                    if (await cursor.advance()) heap.push(cursor);
+                    else cursor.rl.close();
+                }
+                return written;
+            } finally {
+                if (runDir) fs.rmSync(runDir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    createExternalSorter
+};
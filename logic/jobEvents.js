@@ -0,0 +1,110 @@
+const util = require('util');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/* =========================================================
+   JOB EVENTS - Progress and log messages per job
+   ========================================================= */
+
+/**
+ * Events kept per job for subscribers that connect late or reconnect
+ * Progress events are not kept; a new subscriber gets the current progress instead.
+ */
+const MAX_JOB_EVENTS = 1000;
+
+/**
+ * Jobs whose events are kept in memory (the least recently active are dropped first)
+ */
+const MAX_TRACKED_JOBS = 50;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const jobLogContext = new AsyncLocalStorage();
+const backlogs = new Map(); // jobId -> [events], least recently active job first
+let nextEventId = 1;
+let consoleCaptured = false;
+
+/**
+ * Publish an event to a job's subscribers
+ * @param {string} jobId - Job id
+ * @param {string} type - Event type: 'status', 'progress' or 'log'
+ * @param {Object} data - Event fields
+ * @returns {Object} Event { id, type, time, ...data }
+ */
+function publishJobEvent(jobId, type, data = {}) {
+    const event = { id: nextEventId++, type, time: new Date().toISOString(), ...data };
+
+    if (type !== 'progress') {
+        const backlog = backlogs.get(jobId) || [];
+        backlogs.delete(jobId);
+        backlogs.set(jobId, backlog);
+        backlog.push(event);
+        if (backlog.length > MAX_JOB_EVENTS) backlog.shift();
+
+        if (backlogs.size > MAX_TRACKED_JOBS) {
+            backlogs.delete(backlogs.keys().next().value);
+        }
+    }
+
+    emitter.emit(jobId, event);
+    return event;
+}
+
+/**
+ * Receive a job's events
+ * Kept events newer than afterId are replayed first, so a reconnecting subscriber
+ * continues where it left off.
+ * @param {string} jobId - Job id
+ * @param {Function} listener - Called with each event
+ * @param {number} afterId - Id of the last event the subscriber already has (0 for all)
+ * @returns {Function} Call to unsubscribe
+ */
+function subscribeJobEvents(jobId, listener, afterId = 0) {
+    (backlogs.get(jobId) || [])
+        .filter(event => event.id > afterId)
+        .forEach(listener);
+
+    emitter.on(jobId, listener);
+    return () => emitter.off(jobId, listener);
+}
+
+/**
+ * Run work on behalf of a job: console output it produces is published as log events
+ * The job follows the work across awaits, streams and timers it starts.
+ * @param {string} jobId - Job id
+ * @param {Function} work - Function to run
+ * @returns {*} What work returns
+ */
+function runWithJobLog(jobId, work) {
+    return jobLogContext.run(jobId, work);
+}
+
+/**
+ * Copy console.log, console.warn and console.error output made inside runWithJobLog
+ * to the job's log events (output still goes to the console as before)
+ */
+function captureConsoleForJobs() {
+    if (consoleCaptured) return;
+    consoleCaptured = true;
+
+    [['log', 'info'], ['warn', 'warn'], ['error', 'error']].forEach(([method, level]) => {
+        const original = console[method].bind(console);
+
+        console[method] = (...args) => {
+            original(...args);
+
+            const jobId = jobLogContext.getStore();
+            if (jobId) {
+                publishJobEvent(jobId, 'log', { level, message: util.format(...args).trim() });
+            }
+        };
+    });
+}
+
+module.exports = {
+    publishJobEvent,
+    subscribeJobEvents,
+    runWithJobLog,
+    captureConsoleForJobs
+};
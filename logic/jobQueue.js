@@ -0,0 +1,326 @@
+const { getJob, updateJob, listJobs } = require('./jobStore');
+const { publishJobEvent, runWithJobLog } = require('./jobEvents');
+
+/* =========================================================
+   BACKGROUND JOB QUEUE
+   ========================================================= */
+
+/**
+ * Lifecycle of a queued job
+ */
+const JOB_STATUSES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Rows between cancellation checks and progress updates
+ */
+const PROGRESS_EVERY_ROWS = 500;
+
+/**
+ * Shortest time between progress writes to job.json
+ */
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+
+/**
+ * Shortest time between progress events sent to subscribers
+ */
+const PROGRESS_EVENT_INTERVAL_MS = 250;
+
+const pending = []; // [{ jobId, stages, task }] waiting to run, oldest first
+const active = new Map(); // jobId -> { cancelled, progress } of the running or queued job
+let running = false;
+
+/**
+ * Error a task throws when its job was cancelled
+ * @param {string} jobId - Job id
+ * @returns {Error}
+ */
+function cancelledError(jobId) {
+    const error = new Error(`Job "${jobId}" was cancelled`);
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Set the status of a job and tell its subscribers
+ * @param {string} jobId - Job id
+ * @param {Object} changes - Fields to set, including status
+ * @returns {Object} Updated job entry
+ */
+function setJobStatus(jobId, changes) {
+    const job = updateJob(jobId, changes);
+    publishJobEvent(jobId, 'status', { status: job.status, error: job.error || null });
+    return job;
+}
+
+/**
+ * Progress reporter for work done on behalf of a job
+ *
+ * Every stage counts the same towards the overall percentage. Within a stage, the ETA
+ * assumes the remaining rows go as fast as the ones so far, and the remaining stages
+ * take as long as this one. Progress is saved to job.json and published as progress
+ * events (see logic/jobEvents.js), each at most once per interval.
+ * @param {string} jobId - Job id
+ * @param {Array<string>} stages - Stage names in the order the work runs them
+ * @param {Object} entry - Holds the live progress and the cancelled flag ({ cancelled } for work that cannot be cancelled)
+ * @returns {Object} { startStage(stage, totalRows), rows(count), complete(), throwIfCancelled(), progress }
+ */
+function createProgressReporter(jobId, stages, entry = { cancelled: false }) {
+    const startedAt = Date.now();
+    let stageStartedAt = startedAt;
+    let lastSavedAt = 0;
+    let lastPublishedAt = 0;
+
+    const progress = {
+        stage: null,
+        stageNumber: 0,
+        stageCount: stages.length,
+        rowsProcessed: 0,
+        totalRows: 0,
+        percent: 0,
+        etaSeconds: null,
+        startedAt: new Date(startedAt).toISOString()
+    };
+    entry.progress = progress;
+
+    const save = (force) => {
+        const now = Date.now();
+        if (force || now - lastPublishedAt >= PROGRESS_EVENT_INTERVAL_MS) {
+            lastPublishedAt = now;
+            publishJobEvent(jobId, 'progress', { progress: { ...progress } });
+        }
+        if (force || now - lastSavedAt >= PROGRESS_SAVE_INTERVAL_MS) {
+            lastSavedAt = now;
+            updateJob(jobId, { progress: { ...progress } });
+        }
+    };
+
+    const refresh = () => {
+        const stageFraction = progress.totalRows > 0 ? Math.min(progress.rowsProcessed / progress.totalRows, 1) : 0;
+        progress.percent = Math.round(((progress.stageNumber - 1 + stageFraction) / stages.length) * 100);
+
+        const stageElapsed = Date.now() - stageStartedAt;
+        if (stageFraction > 0 && stageElapsed > 0) {
+            const stageTotal = stageElapsed / stageFraction;
+            const laterStages = stages.length - progress.stageNumber;
+            progress.etaSeconds = Math.round((stageTotal - stageElapsed + stageTotal * laterStages) / 1000);
+        }
+    };
+
+    const throwIfCancelled = () => {
+        if (entry.cancelled) throw cancelledError(jobId);
+    };
+
+    return {
+        progress,
+        throwIfCancelled,
+
+        /**
+         * Begin the next stage
+         * @param {string} stage - Stage name from the stages list
+         * @param {number} totalRows - Rows this stage will process (0 if unknown)
+         */
+        startStage(stage, totalRows) {
+            throwIfCancelled();
+            stageStartedAt = Date.now();
+            progress.stage = stage;
+            progress.stageNumber = stages.indexOf(stage) + 1;
+            progress.rowsProcessed = 0;
+            progress.totalRows = totalRows || 0;
+            refresh();
+            console.log(`⏱️ Job ${jobId}: ${stage} (${progress.stageNumber}/${stages.length}, ${progress.totalRows} rows)`);
+            save(true);
+        },
+
+        /**
+         * Report rows processed in the current stage
+         * Checks for cancellation every PROGRESS_EVERY_ROWS rows and throws once the job
+         * is cancelled, which stops the stream the callback runs in.
+         * @param {number} count - Rows processed so far in this stage
+         */
+        rows(count) {
+            progress.rowsProcessed = count;
+            if (count % PROGRESS_EVERY_ROWS !== 0) return;
+
+            throwIfCancelled();
+            refresh();
+            save(false);
+        },
+
+        /**
+         * Report the work finished
+         */
+        complete() {
+            progress.percent = 100;
+            progress.etaSeconds = 0;
+            save(true);
+        }
+    };
+}
+
+/**
+ * Run queued jobs one at a time until the queue is empty
+ */
+async function runQueue() {
+    if (running) return;
+    running = true;
+
+    while (pending.length > 0) {
+        const { jobId, stages, task } = pending.shift();
+        const entry = active.get(jobId);
+
+        setJobStatus(jobId, { status: JOB_STATUSES.RUNNING, startedAt: new Date().toISOString() });
+
+        try {
+            const reporter = createProgressReporter(jobId, stages, entry);
+            const result = await runWithJobLog(jobId, () => {
+                console.log(`▶️ Job ${jobId} started`);
+                return task(reporter);
+            });
+            // A cancel that arrived after the task's last check still wins
+            reporter.throwIfCancelled();
+            reporter.complete();
+            setJobStatus(jobId, {
+                status: JOB_STATUSES.COMPLETED,
+                finishedAt: new Date().toISOString(),
+                progress: { ...entry.progress },
+                result
+            });
+            console.log(`✅ Job ${jobId} completed`);
+        } catch (error) {
+            const status = error.cancelled ? JOB_STATUSES.CANCELLED : JOB_STATUSES.FAILED;
+            setJobStatus(jobId, {
+                status,
+                finishedAt: new Date().toISOString(),
+                progress: entry.progress ? { ...entry.progress } : null,
+                error: error.cancelled ? null : error.message
+            });
+            console.log(error.cancelled ? `⏹️ Job ${jobId} cancelled` : `❌ Job ${jobId} failed: ${error.message}`);
+        } finally {
+            active.delete(jobId);
+        }
+    }
+
+    running = false;
+}
+
+/**
+ * Queue a task to run in the background
+ * The task receives a progress reporter (see createProgressReporter) and its return
+ * value is stored as the job's result.
+ * @param {string} jobId - Job id (must exist in the job store)
+ * @param {Array<string>} stages - Stage names in the order the task runs them
+ * @param {Function} task - async (reporter) => result
+ * @returns {Object} Updated job entry
+ */
+function enqueueJob(jobId, stages, task) {
+    const job = setJobStatus(jobId, {
+        status: JOB_STATUSES.QUEUED,
+        stages,
+        queuedAt: new Date().toISOString(),
+        progress: null,
+        result: null,
+        error: null
+    });
+
+    active.set(jobId, { cancelled: false, progress: null });
+    pending.push({ jobId, stages, task });
+    console.log(`📥 Job ${jobId} queued (${pending.length} waiting)`);
+
+    setImmediate(runQueue);
+    return job;
+}
+
+/**
+ * Current status of a job, with the latest in-memory progress of a running job
+ * @param {string} jobId - Job id
+ * @returns {Object|null} Job entry, or null when the job does not exist
+ */
+function jobStatus(jobId) {
+    const job = getJob(jobId);
+    if (!job) return null;
+
+    const entry = active.get(jobId);
+    const queuePosition = pending.findIndex(item => item.jobId === jobId);
+    return {
+        ...job,
+        progress: entry && entry.progress ? { ...entry.progress } : job.progress || null,
+        queuePosition: queuePosition === -1 ? null : queuePosition + 1
+    };
+}
+
+/**
+ * Check whether a job is queued or running in this process
+ * @param {string} jobId - Job id
+ * @returns {boolean}
+ */
+function isJobActive(jobId) {
+    return active.has(jobId);
+}
+
+/**
+ * Cancel a queued or running job
+ * A queued job is dropped at once; a running job stops at its next progress check.
+ * @param {string} jobId - Job id
+ * @returns {Object} Job entry
+ */
+function cancelJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) {
+        throw new Error(`Job "${jobId}" not found`);
+    }
+
+    const entry = active.get(jobId);
+    if (!entry) {
+        throw new Error(`Job "${jobId}" is not queued or running (status: ${job.status || 'none'})`);
+    }
+
+    entry.cancelled = true;
+
+    const queueIndex = pending.findIndex(item => item.jobId === jobId);
+    if (queueIndex !== -1) {
+        pending.splice(queueIndex, 1);
+        active.delete(jobId);
+        console.log(`⏹️ Job ${jobId} cancelled before it started`);
+        return setJobStatus(jobId, { status: JOB_STATUSES.CANCELLED, finishedAt: new Date().toISOString() });
+    }
+
+    console.log(`⏹️ Cancelling job ${jobId}...`);
+    return jobStatus(jobId);
+}
+
+/**
+ * Mark jobs left queued or running by a previous server process as failed
+ * @returns {number} Number of jobs marked
+ */
+function recoverInterruptedJobs() {
+    let recoveredCount = 0;
+
+    listJobs().forEach(job => {
+        if (job.status === JOB_STATUSES.QUEUED || job.status === JOB_STATUSES.RUNNING) {
+            updateJob(job.id, {
+                status: JOB_STATUSES.FAILED,
+                finishedAt: new Date().toISOString(),
+                error: 'Server restarted before the job finished'
+            });
+            recoveredCount++;
+        }
+    });
+
+    return recoveredCount;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    createProgressReporter,
+    enqueueJob,
+    jobStatus,
+    isJobActive,
+    cancelJob,
+    recoverInterruptedJobs
+};
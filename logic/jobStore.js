@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/* =========================================================
+   JOB WORKSPACES
+   ========================================================= */
+
+const JOBS_DIR = 'jobs';
+const JOB_FILE = 'job.json';
+const JOB_ID_PATTERN = /^job-[a-z0-9]+-[a-f0-9]{8}$/;
+
+/**
+ * Directory holding a job's outputs and metadata
+ * @param {string} jobId - Job id
+ * @returns {string} Path of the job directory
+ */
+function jobDir(jobId) {
+    return path.join(JOBS_DIR, jobId);
+}
+
+/**
+ * Path of a file inside a job directory
+ * @param {string} jobId - Job id
+ * @param {string} filename - File name (no directories)
+ * @returns {string} Path of the file
+ */
+function jobFilePath(jobId, filename) {
+    return path.join(jobDir(jobId), path.basename(filename));
+}
+
+/**
+ * Write a job's metadata
+ * @param {Object} job - Job entry
+ */
+function writeJob(job) {
+    fs.writeFileSync(path.join(jobDir(job.id), JOB_FILE), JSON.stringify(job, null, 2));
+}
+
+/**
+ * Create a job with its own empty output directory
+ * Ids combine the creation time with random bytes, so they sort by age and cannot be guessed.
+ * @param {Object} details - Extra metadata stored with the job (e.g. { kind, inputFile, inputProfile })
+ * @returns {Object} Job entry
+ */
+function createJob(details = {}) {
+    const id = `job-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const now = new Date().toISOString();
+    const job = { id, createdAt: now, updatedAt: now, ...details };
+
+    fs.mkdirSync(jobDir(id), { recursive: true });
+    writeJob(job);
+    console.log(`🗂️ Created job ${id}`);
+    return job;
+}
+
+/**
+ * Find a job
+ * @param {string} jobId - Job id
+ * @returns {Object|null} Job entry
+ */
+function getJob(jobId) {
+    if (!JOB_ID_PATTERN.test(jobId || '')) return null;
+
+    const jobFile = path.join(jobDir(jobId), JOB_FILE);
+    if (!fs.existsSync(jobFile)) return null;
+    return JSON.parse(fs.readFileSync(jobFile, 'utf-8'));
+}
+
+/**
+ * Check whether a job exists
+ * @param {string} jobId - Job id
+ * @returns {boolean}
+ */
+function hasJob(jobId) {
+    return getJob(jobId) !== null;
+}
+
+/**
+ * Merge changes into a job's metadata
+ * @param {string} jobId - Job id
+ * @param {Object} changes - Fields to set
+ * @returns {Object} Updated job entry
+ */
+function updateJob(jobId, changes) {
+    const job = getJob(jobId);
+    if (!job) {
+        throw new Error(`Job "${jobId}" not found`);
+    }
+
+    const updated = { ...job, ...changes, id: job.id, updatedAt: new Date().toISOString() };
+    writeJob(updated);
+    return updated;
+}
+
+/**
+ * Move an uploaded file into a job directory
+ * @param {string} jobId - Job id
+ * @param {string} filePath - Uploaded file (in the shared uploads folder)
+ * @param {string} name - File name inside the job directory, without extension
+ * @returns {string} New path of the file
+ */
+function moveIntoJob(jobId, filePath, name) {
+    const destination = jobFilePath(jobId, `${name}${path.extname(filePath).toLowerCase()}`);
+    fs.renameSync(filePath, destination);
+    return destination;
+}
+
+/**
+ * List jobs, newest first
+ * @returns {Array<Object>} Job entries
+ */
+function listJobs() {
+    if (!fs.existsSync(JOBS_DIR)) return [];
+
+    return fs.readdirSync(JOBS_DIR)
+        .map(getJob)
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete a job and everything in its directory
+ * @param {string} jobId - Job id
+ * @returns {Object} Removed job entry
+ */
+function removeJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) {
+        throw new Error(`Job "${jobId}" not found`);
+    }
+
+    fs.rmSync(jobDir(jobId), { recursive: true, force: true });
+    console.log(`🗑️ Removed job ${jobId}`);
+    return job;
+}
+
+/**
+ * Delete jobs not updated for longer than the given age
+ * @param {number} maxAgeMs - Maximum age in milliseconds
+ * @returns {number} Number of jobs removed
+ */
+function cleanupOldJobs(maxAgeMs) {
+    const now = Date.now();
+    let removedCount = 0;
+
+    listJobs().forEach(job => {
+        if (now - new Date(job.updatedAt).getTime() > maxAgeMs) {
+            removeJob(job.id);
+            removedCount++;
+        }
+    });
+
+    return removedCount;
+}
+
+module.exports = {
+    JOBS_DIR,
+    jobDir,
+    jobFilePath,
+    createJob,
+    getJob,
+    hasJob,
+    updateJob,
+    moveIntoJob,
+    listJobs,
+    removeJob,
+    cleanupOldJobs
+};
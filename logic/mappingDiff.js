@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { getField, resolveMappingRows } = require('./columnProfiles');
+const { formatRecord } = require('./csvRecords');
+
+/* =========================================================
+   BANK MAPPING DIFF
+   ========================================================= */
+
+/**
+ * Output files written by diffBankMappings
+ */
+const MAPPING_DIFF_FILES = {
+    added: 'mapping_diff_added.csv',
+    removed: 'mapping_diff_removed.csv',
+    micrChanged: 'mapping_diff_micr_changed.csv',
+    bankNameChanged: 'mapping_diff_bank_name_changed.csv',
+    branchRenamed: 'mapping_diff_branch_renamed.csv'
+};
+
+/**
+ * Index mapping rows by IFSC (first row wins for duplicate IFSCs)
+ * @param {Array} bankMappingData - Rows from loadBankMappingFile
+ * @param {Object} profile - Column profile used to read the rows
+ * @returns {Map<string, Object>} IFSC -> { ifsc, micr, bankName, branch, city, state }
+ */
+function indexMappingByIfsc(bankMappingData, profile) {
+    const { columns, rows } = resolveMappingRows(bankMappingData, profile);
+    const index = new Map();
+
+    rows.forEach(row => {
+        const ifsc = getField(row, columns, 'ifsc').toUpperCase();
+        if (ifsc.length !== 11 || index.has(ifsc)) return;
+
+        index.set(ifsc, {
+            ifsc,
+            micr: getField(row, columns, 'micr'),
+            bankName: getField(row, columns, 'bankName'),
+            branch: getField(row, columns, 'branch'),
+            city: getField(row, columns, 'city'),
+            state: getField(row, columns, 'state')
+        });
+    });
+
+    return index;
+}
+
+/**
+ * Compare names ignoring case and repeated whitespace
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {boolean} True when the names differ
+ */
+function namesDiffer(a, b) {
+    const normalize = (value) => value.replace(/\s+/g, ' ').trim().toUpperCase();
+    return normalize(a) !== normalize(b);
+}
+
+/**
+ * Diff two bank mapping versions by IFSC
+ * Writes one CSV per change type (see MAPPING_DIFF_FILES).
+ * @param {Array} oldMappingData - Rows of the older mapping
+ * @param {Array} newMappingData - Rows of the newer mapping
+ * @param {Object} oldProfile - Column profile for the older mapping
+ * @param {Object} newProfile - Column profile for the newer mapping (defaults to oldProfile)
+ * @param {string} outputDir - Directory the output files are written to
+ * @returns {Promise<Object>} Diff statistics
+ */
+function diffBankMappings(oldMappingData, newMappingData, oldProfile, newProfile = oldProfile, outputDir = '.') {
+    return new Promise((resolve, reject) => {
+        let oldIndex;
+        let newIndex;
+        try {
+            oldIndex = indexMappingByIfsc(oldMappingData, oldProfile);
+            newIndex = indexMappingByIfsc(newMappingData, newProfile);
+        } catch (error) {
+            return reject(error);
+        }
+
+        const added = fs.createWriteStream(path.join(outputDir, MAPPING_DIFF_FILES.added));
+        const removed = fs.createWriteStream(path.join(outputDir, MAPPING_DIFF_FILES.removed));
+        const micrChanged = fs.createWriteStream(path.join(outputDir, MAPPING_DIFF_FILES.micrChanged));
+        const bankNameChanged = fs.createWriteStream(path.join(outputDir, MAPPING_DIFF_FILES.bankNameChanged));
+        const branchRenamed = fs.createWriteStream(path.join(outputDir, MAPPING_DIFF_FILES.branchRenamed));
+
+        const branchHeader = ['IFSC', 'MICR', 'BankName', 'Branch', 'City', 'State'];
+        added.write(formatRecord(branchHeader, ',') + '\n');
+        removed.write(formatRecord(branchHeader, ',') + '\n');
+        micrChanged.write(formatRecord(['IFSC', 'BankName', 'Branch', 'OldMICR', 'NewMICR'], ',') + '\n');
+        bankNameChanged.write(formatRecord(['IFSC', 'MICR', 'OldBankName', 'NewBankName'], ',') + '\n');
+        branchRenamed.write(formatRecord(['IFSC', 'BankName', 'OldBranch', 'NewBranch'], ',') + '\n');
+
+        const branchRecord = (entry) => [entry.ifsc, entry.micr, entry.bankName, entry.branch, entry.city, entry.state];
+
+        let addedCount = 0,
+            removedCount = 0,
+            micrChangedCount = 0,
+            bankNameChangedCount = 0,
+            branchRenamedCount = 0,
+            unchangedCount = 0;
+
+        for (const [ifsc, current] of newIndex.entries()) {
+            const previous = oldIndex.get(ifsc);
+            if (!previous) {
+                addedCount++;
+                added.write(formatRecord(branchRecord(current), ',') + '\n');
+                continue;
+            }
+
+            let changed = false;
+
+            if (previous.micr !== current.micr) {
+                changed = true;
+                micrChangedCount++;
+                micrChanged.write(formatRecord(
+                    [ifsc, current.bankName, current.branch, previous.micr, current.micr], ','
+                ) + '\n');
+            }
+
+            if (namesDiffer(previous.bankName, current.bankName)) {
+                changed = true;
+                bankNameChangedCount++;
+                bankNameChanged.write(formatRecord(
+                    [ifsc, current.micr, previous.bankName, current.bankName], ','
+                ) + '\n');
+            }
+
+            if (namesDiffer(previous.branch, current.branch)) {
+                changed = true;
+                branchRenamedCount++;
+                branchRenamed.write(formatRecord(
+                    [ifsc, current.bankName, previous.branch, current.branch], ','
+                ) + '\n');
+            }
+
+            if (!changed) unchangedCount++;
+        }
+
+        for (const [ifsc, previous] of oldIndex.entries()) {
+            if (!newIndex.has(ifsc)) {
+                removedCount++;
+                removed.write(formatRecord(branchRecord(previous), ',') + '\n');
+            }
+        }
+
+        console.log(`\n=== BANK MAPPING DIFF ===`);
+        console.log(`IFSCs before: ${oldIndex.size}, after: ${newIndex.size}`);
+        console.log(`Added: ${addedCount}, Removed: ${removedCount}`);
+        console.log(`MICR changed: ${micrChangedCount}`);
+        console.log(`Bank name changed: ${bankNameChangedCount}`);
+        console.log(`Branch renamed: ${branchRenamedCount}`);
+        console.log(`Unchanged: ${unchangedCount}`);
+        console.log(`=========================\n`);
+
+        const streams = [added, removed, micrChanged, bankNameChanged, branchRenamed];
+        let streamsToClose = streams.length;
+        const streamClosed = () => {
+            streamsToClose--;
+            if (streamsToClose === 0) {
+                resolve({
+                    oldIfscCount: oldIndex.size,
+                    newIfscCount: newIndex.size,
+                    addedCount,
+                    removedCount,
+                    micrChangedCount,
+                    bankNameChangedCount,
+                    branchRenamedCount,
+                    unchangedCount,
+                    files: MAPPING_DIFF_FILES
+                });
+            }
+        };
+
+        streams.forEach(stream => {
+            stream.on('finish', streamClosed);
+            stream.end();
+        });
+    });
+}
+
+module.exports = {
+    MAPPING_DIFF_FILES,
+    diffBankMappings
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const readline = require('readline');
+const { addToMicrBankIndex } = require('./micrDecoder');
+const { isHeaderRecord, resolveColumns, getField, resolveMappingRows } = require('./columnProfiles');
+const { readDelimitedRecords } = require('./csvRecords');
+
+/* =========================================================
+   COMPACT BANK MAPPING INDEX
+   ========================================================= */
+
+/**
+ * First line of a persisted index cache (bumped when the line format changes)
+ */
+const INDEX_CACHE_HEADER = '# bank-mapping-index v1';
+
+/**
+ * Create an empty mapping index
+ * Holds only what the comparison needs, never the full mapping rows.
+ * @returns {Object} { ifscSet, micrSet, ifscToMicrs, ifscToBankName, micrBankIndex, recordCount }
+ */
+function createMappingIndex() {
+    return {
+        ifscSet: new Set(),
+        micrSet: new Set(),
+        ifscToMicrs: new Map(), // IFSC -> MICRs on the same mapping row
+        ifscToBankName: new Map(), // IFSC -> bank name on the first mapping row
+        micrBankIndex: new Map(), // IFSC bank prefix -> MICR bank codes
+        recordCount: 0
+    };
+}
+
+/**
+ * Add one mapping row's codes to an index
+ * @param {Object} index - Index from createMappingIndex
+ * @param {string} ifsc - IFSC code
+ * @param {string} micr - MICR code
+ * @param {string} bankName - Bank name
+ */
+function addToMappingIndex(index, ifsc, micr, bankName) {
+    const code = (ifsc || '').toUpperCase();
+
+    if (code.length === 11) index.ifscSet.add(code);
+    if (micr.length === 9) index.micrSet.add(micr);
+    if (code.length === 11 && !index.ifscToBankName.has(code)) {
+        index.ifscToBankName.set(code, bankName);
+    }
+    if (code.length === 11 && micr.length === 9) {
+        if (!index.ifscToMicrs.has(code)) index.ifscToMicrs.set(code, new Set());
+        index.ifscToMicrs.get(code).add(micr);
+    }
+    addToMicrBankIndex(index.micrBankIndex, code, micr);
+}
+
+/**
+ * Build an index from mapping rows already in memory (Excel or legacy snapshots)
+ * @param {Array} bankMappingData - Rows from loadBankMappingFile
+ * @param {Object} profile - Column profile
+ * @param {Function} onProgress - Called with the number of rows indexed so far (optional; an error it throws stops indexing)
+ * @returns {Object} Mapping index
+ */
+function indexMappingRows(bankMappingData, profile, onProgress = null) {
+    const { columns, rows } = resolveMappingRows(bankMappingData, profile);
+    const index = createMappingIndex();
+
+    rows.forEach(row => {
+        index.recordCount++;
+        if (onProgress) onProgress(index.recordCount);
+        addToMappingIndex(
+            index,
+            getField(row, columns, 'ifsc'),
+            getField(row, columns, 'micr'),
+            getField(row, columns, 'bankName')
+        );
+    });
+
+    return index;
+}
+
+/**
+ * Build an index by streaming a delimited mapping file record by record
+ * Memory grows with the number of distinct codes, not with the file size.
+ * @param {string} filePath - Delimited bank mapping file
+ * @param {Object} profile - Column profile
+ * @param {Function} onProgress - Called with the number of records indexed so far (optional; an error it throws stops the stream)
+ * @returns {Promise<Object>} Mapping index
+ */
+async function streamMappingIndex(filePath, profile, onProgress = null) {
+    const index = createMappingIndex();
+    let columns = null;
+
+    await readDelimitedRecords(filePath, (fields) => {
+        if (!columns) {
+            const isHeader = isHeaderRecord(profile.mapping, fields);
+            columns = resolveColumns(profile.mapping, isHeader ? fields : null);
+            if (isHeader) return;
+        }
+
+        index.recordCount++;
+        if (onProgress) onProgress(index.recordCount);
+        addToMappingIndex(
+            index,
+            getField(fields, columns, 'ifsc'),
+            getField(fields, columns, 'micr'),
+            getField(fields, columns, 'bankName')
+        );
+    });
+
+    return index;
+}
+
+/**
+ * Persist an index as a line-based cache: one IFSC<TAB>MICR<TAB>BANK_NAME line per pair
+ * @param {Object} index - Mapping index
+ * @param {string} cacheFile - Cache file path
+ * @returns {Promise<void>}
+ */
+function writeMappingIndexCache(index, cacheFile) {
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(cacheFile);
+        const clean = (value) => (value || '').replace(/[\t\r\n]/g, ' ');
+        const pairedMicrs = new Set();
+
+        out.on('error', reject);
+        out.on('finish', resolve);
+
+        out.write(`${INDEX_CACHE_HEADER}\t${index.recordCount}\n`);
+
+        for (const ifsc of index.ifscSet) {
+            const bankName = clean(index.ifscToBankName.get(ifsc));
+            const micrs = index.ifscToMicrs.get(ifsc);
+            if (!micrs) {
+                out.write(`${ifsc}\t\t${bankName}\n`);
+                continue;
+            }
+            for (const micr of micrs) {
+                pairedMicrs.add(micr);
+                out.write(`${ifsc}\t${micr}\t${bankName}\n`);
+            }
+        }
+
+        // MICRs that never appeared next to a usable IFSC
+        for (const micr of index.micrSet) {
+            if (!pairedMicrs.has(micr)) out.write(`\t${micr}\t\n`);
+        }
+
+        out.end();
+    });
+}
+
+/**
+ * Load an index from a cache written by writeMappingIndexCache
+ * @param {string} cacheFile - Cache file path
+ * @param {Function} onProgress - Called with the number of cache lines read so far (optional; an error it throws stops reading)
+ * @returns {Promise<Object>} Mapping index
+ */
+function readMappingIndexCache(cacheFile, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const index = createMappingIndex();
+        let headerChecked = false;
+        let linesRead = 0;
+        let failed = false;
+
+        const input = fs.createReadStream(cacheFile);
+        const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+        input.on('error', reject);
+
+        rl.on('line', line => {
+            if (failed) return;
+
+            if (onProgress) {
+                try {
+                    onProgress(++linesRead);
+                } catch (error) {
+                    failed = true;
+                    rl.close();
+                    input.destroy();
+                    return reject(error);
+                }
+            }
+
+            if (!headerChecked) {
+                headerChecked = true;
+                const [header, recordCount] = line.split('\t');
+                if (header !== INDEX_CACHE_HEADER) {
+                    rl.close();
+                    input.destroy();
+                    return reject(new Error(`Unrecognized bank mapping index cache: ${cacheFile}`));
+                }
+                index.recordCount = parseInt(recordCount, 10) || 0;
+                return;
+            }
+
+            const [ifsc, micr, bankName] = line.split('\t');
+            addToMappingIndex(index, ifsc, micr || '', bankName || '');
+        });
+
+        rl.on('close', () => resolve(index));
+    });
+}
+
+module.exports = {
+    createMappingIndex,
+    addToMappingIndex,
+    indexMappingRows,
+    streamMappingIndex,
+    writeMappingIndexCache,
+    readMappingIndexCache
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadBankMappingFile } = require('./processor');
+const { loadColumnProfile } = require('./columnProfiles');
+const {
+    indexMappingRows,
+    streamMappingIndex,
+    writeMappingIndexCache,
+    readMappingIndexCache
+} = require('./mappingIndex');
+
+/* =========================================================
+   BANK MAPPING MASTER STORE
+   ========================================================= */
+
+const MAPPING_STORE_DIR = 'mapping_store';
+const MAPPING_INDEX_FILE = path.join(MAPPING_STORE_DIR, 'index.json');
+const DELIMITED_EXTENSIONS = ['.csv', '.001', '.txt', '.dat'];
+
+/**
+ * Most recently loaded mapping index (versions never change once stored)
+ */
+let loadedIndex = null;
+
+/**
+ * Read the store index
+ * @returns {Object} { activeVersion, versions }
+ */
+function readMappingIndex() {
+    if (!fs.existsSync(MAPPING_INDEX_FILE)) {
+        return { activeVersion: null, versions: [] };
+    }
+    return JSON.parse(fs.readFileSync(MAPPING_INDEX_FILE, 'utf-8'));
+}
+
+/**
+ * Write the store index
+ * @param {Object} index - { activeVersion, versions }
+ */
+function writeMappingIndex(index) {
+    fs.mkdirSync(MAPPING_STORE_DIR, { recursive: true });
+    fs.writeFileSync(MAPPING_INDEX_FILE, JSON.stringify(index, null, 2));
+}
+
+/**
+ * Pending store commits; each one starts after the previous has finished
+ */
+let commitChain = Promise.resolve();
+
+/**
+ * Run a store commit after those already queued
+ * @param {Function} commit - Function that updates the store
+ * @returns {Promise<*>} What commit returns
+ */
+function queueCommit(commit) {
+    const result = commitChain.then(commit);
+    commitChain = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Save a bank mapping file as a new versioned snapshot
+ * The file is streamed once to build the compact IFSC/MICR index. The file and the
+ * index (a line-based cache) are first written under temporary names; the version
+ * number is only picked when they are committed, one upload at a time, so uploads
+ * running side by side each get their own version.
+ * Versions are numbered v1, v2, ... and never overwritten.
+ * @param {string} filePath - Uploaded bank mapping file
+ * @param {Object} details - { sourceFile, profile, activate,
+ *                             onProgress: called with the number of records indexed so far; an error it throws stops indexing }
+ * @returns {Promise<Object>} { entry, index }
+ */
+async function saveMappingVersion(filePath, details = {}) {
+    const profileName = details.profile || 'default';
+    const profile = loadColumnProfile(profileName);
+
+    const ext = path.extname(filePath).toLowerCase();
+    const mappingIndex = DELIMITED_EXTENSIONS.includes(ext) ?
+        await streamMappingIndex(filePath, profile, details.onProgress) :
+        indexMappingRows(await loadBankMappingFile(filePath), profile, details.onProgress);
+
+    const tempName = `.upload-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const tempDataPath = path.join(MAPPING_STORE_DIR, `${tempName}${ext}`);
+    const tempIndexPath = path.join(MAPPING_STORE_DIR, `${tempName}.idx`);
+
+    try {
+        fs.mkdirSync(MAPPING_STORE_DIR, { recursive: true });
+        fs.copyFileSync(filePath, tempDataPath);
+        await writeMappingIndexCache(mappingIndex, tempIndexPath);
+
+        return await queueCommit(() => {
+            const storeIndex = readMappingIndex();
+            const lastNumber = storeIndex.versions.reduce((max, entry) => {
+                return Math.max(max, parseInt(entry.version.substring(1), 10) || 0);
+            }, 0);
+            const version = `v${lastNumber + 1}`;
+
+            const dataFile = `${version}${ext}`;
+            const indexFile = `${version}.idx`;
+            fs.renameSync(tempDataPath, path.join(MAPPING_STORE_DIR, dataFile));
+            fs.renameSync(tempIndexPath, path.join(MAPPING_STORE_DIR, indexFile));
+
+            const entry = {
+                version,
+                createdAt: new Date().toISOString(),
+                sourceFile: details.sourceFile || null,
+                profile: profileName,
+                recordCount: mappingIndex.recordCount,
+                dataFile,
+                indexFile
+            };
+
+            storeIndex.versions.push(entry);
+            if (details.activate !== false) storeIndex.activeVersion = version;
+            writeMappingIndex(storeIndex);
+
+            loadedIndex = { version, index: mappingIndex };
+            console.log(`🗄️ Stored bank mapping ${version} (${entry.recordCount} records)`);
+            return { entry, index: mappingIndex };
+        });
+    } finally {
+        fs.rmSync(tempDataPath, { force: true });
+        fs.rmSync(tempIndexPath, { force: true });
+    }
+}
+
+/**
+ * List stored mapping versions, newest first
+ * @returns {Object} { activeVersion, versions }
+ */
+function listMappingVersions() {
+    const index = readMappingIndex();
+    return {
+        activeVersion: index.activeVersion,
+        versions: [...index.versions].reverse()
+    };
+}
+
+/**
+ * Find a version entry
+ * @param {string} version - Version id (e.g. "v3")
+ * @returns {Object|null} Version entry
+ */
+function getMappingVersion(version) {
+    return readMappingIndex().versions.find(entry => entry.version === version) || null;
+}
+
+/**
+ * Find the version stored just before the given one
+ * @param {string} version - Version id
+ * @returns {Object|null} Previous version entry
+ */
+function previousMappingVersion(version) {
+    const versions = readMappingIndex().versions;
+    const position = versions.findIndex(entry => entry.version === version);
+    return position > 0 ? versions[position - 1] : null;
+}
+
+/**
+ * Make a stored version the active one
+ * @param {string} version - Version id
+ * @returns {Object} Activated version entry
+ */
+function activateMappingVersion(version) {
+    const index = readMappingIndex();
+    const entry = index.versions.find(item => item.version === version);
+    if (!entry) {
+        throw new Error(`Bank mapping version "${version}" not found`);
+    }
+
+    index.activeVersion = version;
+    writeMappingIndex(index);
+    console.log(`🗄️ Activated bank mapping ${version}`);
+    return entry;
+}
+
+/**
+ * Find the entry for a requested version (the active one by default)
+ * @param {string|null} version - Version id, or null for the active version
+ * @returns {Object} Version entry
+ */
+function requireMappingVersion(version) {
+    const requested = version || readMappingIndex().activeVersion;
+    if (!requested) {
+        throw new Error('No bank mapping version is stored. Please upload a bank mapping file first.');
+    }
+
+    const entry = getMappingVersion(requested);
+    if (!entry) {
+        throw new Error(`Bank mapping version "${requested}" not found`);
+    }
+    return entry;
+}
+
+/**
+ * Load the full rows of a stored version (the active one by default)
+ * Only needed for whole-row work such as diffs; comparisons use loadMappingIndex.
+ * @param {string|null} version - Version id, or null for the active version
+ * @returns {Promise<Object>} { entry, rows }
+ */
+async function loadMappingVersion(version = null) {
+    const entry = requireMappingVersion(version);
+    const dataPath = path.join(MAPPING_STORE_DIR, entry.dataFile || `${entry.version}.json`);
+
+    // Early snapshots were stored as JSON rows
+    const rows = path.extname(dataPath) === '.json' ?
+        JSON.parse(fs.readFileSync(dataPath, 'utf-8')) :
+        await loadBankMappingFile(dataPath);
+    return { entry, rows };
+}
+
+/**
+ * Load the compact IFSC/MICR index of a stored version (the active one by default)
+ * Reads the persisted cache, building it first for snapshots stored without one. The
+ * index last loaded is kept in memory and returned without reading anything.
+ * @param {string|null} version - Version id, or null for the active version
+ * @param {Function} onProgress - Called with the number of cache lines or rows read so far (optional; an error it throws stops loading)
+ * @returns {Promise<Object>} { entry, index }
+ */
+async function loadMappingIndex(version = null, onProgress = null) {
+    const entry = requireMappingVersion(version);
+    if (loadedIndex && loadedIndex.version === entry.version) {
+        return { entry, index: loadedIndex.index };
+    }
+
+    const cachePath = path.join(MAPPING_STORE_DIR, entry.indexFile || `${entry.version}.idx`);
+    let mappingIndex;
+
+    if (fs.existsSync(cachePath)) {
+        mappingIndex = await readMappingIndexCache(cachePath, onProgress);
+    } else {
+        const { rows } = await loadMappingVersion(entry.version);
+        mappingIndex = indexMappingRows(rows, loadColumnProfile(entry.profile), onProgress);
+        await writeMappingIndexCache(mappingIndex, cachePath);
+    }
+
+    loadedIndex = { version: entry.version, index: mappingIndex };
+    return { entry, index: mappingIndex };
+}
+
+/**
+ * Check whether a mapping version is available (requested or active)
+ * @param {string|null} version - Version id, or null for the active version
+ * @returns {boolean}
+ */
+function hasMappingVersion(version = null) {
+    const requested = version || readMappingIndex().activeVersion;
+    return Boolean(requested && getMappingVersion(requested));
+}
+
+module.exports = {
+    MAPPING_STORE_DIR,
+    saveMappingVersion,
+    listMappingVersions,
+    getMappingVersion,
+    previousMappingVersion,
+    activateMappingVersion,
+    loadMappingVersion,
+    loadMappingIndex,
+    hasMappingVersion
+};
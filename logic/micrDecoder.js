@@ -0,0 +1,143 @@
+/* =========================================================
+   MICR DECODER
+   ========================================================= */
+
+/**
+ * Consistency verdicts between the MICR bank segment and the IFSC bank prefix
+ */
+const MICR_VERDICTS = {
+    CONSISTENT: 'CONSISTENT',
+    BANK_MISMATCH: 'BANK_MISMATCH',
+    UNKNOWN_BANK: 'UNKNOWN_BANK',
+    UNVERIFIED: 'UNVERIFIED'
+};
+
+/**
+ * Columns appended to valid and comparison records, in order
+ */
+const MICR_COLUMNS = ['MICR_City', 'MICR_Bank', 'MICR_Branch', 'MICR_Bank_Verdict'];
+
+/**
+ * Split a MICR into its city, bank and branch segments
+ * @param {string} micr - 9-digit MICR code
+ * @returns {Object|null} { cityCode, bankCode, branchCode } or null if not decodable
+ */
+function decodeMicr(micr) {
+    const value = (micr || '').toString().trim();
+    if (!/^\d{9}$/.test(value)) return null;
+
+    return {
+        cityCode: value.substring(0, 3),
+        bankCode: value.substring(3, 6),
+        branchCode: value.substring(6, 9)
+    };
+}
+
+/**
+ * Record one mapping row's IFSC/MICR pair in a MICR bank index
+ * @param {Map<string, Set<string>>} index - Index being built
+ * @param {string} ifsc - IFSC code from the mapping row
+ * @param {string} micr - MICR code from the mapping row
+ */
+function addToMicrBankIndex(index, ifsc, micr) {
+    const code = (ifsc || '').toString().trim().toUpperCase();
+    const decoded = decodeMicr(micr);
+    if (code.length !== 11 || !decoded) return;
+
+    const prefix = code.substring(0, 4);
+    if (!index.has(prefix)) index.set(prefix, new Set());
+    index.get(prefix).add(decoded.bankCode);
+}
+
+/**
+ * Build an index of IFSC bank prefix -> MICR bank codes seen in the bank mapping
+ * @param {Array} bankMappingData - Bank mapping rows (header row already removed)
+ * @param {Object} columns - Resolved mapping columns (defaults to row[1] = IFSC, row[2] = MICR)
+ * @returns {Map<string, Set<string>>} Prefix to bank code set
+ */
+function buildMicrBankIndex(bankMappingData, columns = { ifsc: 1, micr: 2 }) {
+    const index = new Map();
+
+    (bankMappingData || []).forEach(row => {
+        addToMicrBankIndex(index, row[columns.ifsc], row[columns.micr]);
+    });
+
+    return index;
+}
+
+/**
+ * Check whether the MICR bank segment agrees with the bank implied by the IFSC prefix
+ * @param {string} micr - MICR code
+ * @param {string} ifsc - IFSC code
+ * @param {Map<string, Set<string>>|null} micrBankIndex - Index from buildMicrBankIndex
+ * @returns {string} One of MICR_VERDICTS
+ */
+function checkMicrBankConsistency(micr, ifsc, micrBankIndex) {
+    if (!micrBankIndex) return MICR_VERDICTS.UNVERIFIED;
+
+    const decoded = decodeMicr(micr);
+    const knownBankCodes = micrBankIndex.get((ifsc || '').substring(0, 4));
+    if (!decoded || !knownBankCodes) return MICR_VERDICTS.UNKNOWN_BANK;
+
+    return knownBankCodes.has(decoded.bankCode) ?
+        MICR_VERDICTS.CONSISTENT :
+        MICR_VERDICTS.BANK_MISMATCH;
+}
+
+/**
+ * Build the decoded MICR column values plus the consistency verdict
+ * @param {string} micr - MICR code
+ * @param {string} ifsc - IFSC code
+ * @param {Map<string, Set<string>>|null} micrBankIndex - Index from buildMicrBankIndex
+ * @returns {Array<string>} Values matching MICR_COLUMNS
+ */
+function micrColumnValues(micr, ifsc, micrBankIndex) {
+    const decoded = decodeMicr(micr) || { cityCode: '', bankCode: '', branchCode: '' };
+    return [
+        decoded.cityCode,
+        decoded.bankCode,
+        decoded.branchCode,
+        checkMicrBankConsistency(micr, ifsc, micrBankIndex)
+    ];
+}
+
+/**
+ * Append (or refresh) the decoded MICR columns on a record
+ * Records that already end with the decoded columns get their verdict recomputed.
+ * @param {Array} fields - Original record fields
+ * @param {string} micr - MICR code
+ * @param {string} ifsc - IFSC code
+ * @param {Map<string, Set<string>>|null} micrBankIndex - Index from buildMicrBankIndex
+ * @returns {Array<string>} Record fields with decoded MICR columns
+ */
+function withMicrColumns(fields, micr, ifsc, micrBankIndex) {
+    const values = micrColumnValues(micr, ifsc, micrBankIndex);
+
+    if (Object.values(MICR_VERDICTS).includes(fields[fields.length - 1])) {
+        return [...fields.slice(0, fields.length - MICR_COLUMNS.length), ...values];
+    }
+
+    return [...fields, ...values];
+}
+
+/**
+ * Append the decoded MICR column names to a header row (once)
+ * @param {Array} header - Header fields
+ * @returns {Array<string>} Header fields ending with MICR_COLUMNS
+ */
+function withMicrHeader(header) {
+    if (header[header.length - 1] === MICR_COLUMNS[MICR_COLUMNS.length - 1]) return header;
+    return [...header, ...MICR_COLUMNS];
+}
+
+module.exports = {
+    MICR_VERDICTS,
+    MICR_COLUMNS,
+    decodeMicr,
+    addToMicrBankIndex,
+    buildMicrBankIndex,
+    checkMicrBankConsistency,
+    micrColumnValues,
+    withMicrColumns,
+    withMicrHeader
+};
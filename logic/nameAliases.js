@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { romanizeName } = require('./transliteration');
+
+/* =========================================================
+   BANK NAME ALIASES & STOP WORDS
+   ========================================================= */
+
+const NAME_ALIASES_FILE = path.join(__dirname, '..', 'config', 'bank-name-aliases.json');
+
+/**
+ * Rules currently applied by applyNameAliases
+ */
+let aliasRules = null;
+
+/**
+ * Reduce a phrase to the form normalize() produces (Indic words transliterated and
+ * folded, A-Z and single spaces)
+ */
+function cleanPhrase(phrase) {
+    return romanizeName(phrase.toString()).toUpperCase()
+        .replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Load alias rules from a JSON file with `aliases`, `acronyms` and `stopWords`
+ * Aliases and acronyms map a word or phrase to its replacement; stop words are
+ * dropped after expansion.
+ * @param {string} filePath - Rules file (defaults to config/bank-name-aliases.json)
+ * @returns {Object} { phrases: Map<string, Array<string>>, maxPhraseLength, stopWords: Set<string> }
+ */
+function loadNameAliases(filePath = NAME_ALIASES_FILE) {
+    const phrases = new Map();
+    const stopWords = new Set();
+    let maxPhraseLength = 0;
+
+    if (fs.existsSync(filePath)) {
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        const entries = [
+            ...Object.entries(config.aliases || {}),
+            ...Object.entries(config.acronyms || {})
+        ];
+
+        entries.forEach(([phrase, replacement]) => {
+            const key = cleanPhrase(phrase);
+            if (!key) return;
+            phrases.set(key, cleanPhrase(replacement).split(' ').filter(Boolean));
+            maxPhraseLength = Math.max(maxPhraseLength, key.split(' ').length);
+        });
+
+        (config.stopWords || []).forEach(word => {
+            const cleaned = cleanPhrase(word);
+            if (cleaned) stopWords.add(cleaned);
+        });
+    }
+
+    aliasRules = { phrases, maxPhraseLength, stopWords };
+    return aliasRules;
+}
+
+/**
+ * Expand aliases and drop stop words in an already cleaned name
+ * The longest matching phrase wins at each position. A name made only of stop words
+ * keeps its expanded words, so it never normalizes to an empty string.
+ * @param {string} name - Name containing only A-Z and single spaces
+ * @returns {string} Name with aliases applied
+ */
+function applyNameAliases(name) {
+    const rules = aliasRules || loadNameAliases();
+    if (!name) return name;
+
+    const tokens = name.split(' ');
+    const expanded = [];
+
+    for (let i = 0; i < tokens.length;) {
+        let matched = false;
+        for (let length = Math.min(rules.maxPhraseLength, tokens.length - i); length > 0; length--) {
+            const replacement = rules.phrases.get(tokens.slice(i, i + length).join(' '));
+            if (replacement) {
+                expanded.push(...replacement);
+                i += length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            expanded.push(tokens[i]);
+            i++;
+        }
+    }
+
+    const kept = expanded.filter(token => !rules.stopWords.has(token));
+    return (kept.length > 0 ? kept : expanded).join(' ');
+}
+
+module.exports = {
+    NAME_ALIASES_FILE,
+    loadNameAliases,
+    applyNameAliases
+};
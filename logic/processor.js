@@ -1,8 +1,35 @@
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const csv = require('csv-parser');
+const { once } = require('events');
 const xlsx = require('xlsx');
+const {
+    isValidIfsc,
+    isValidMicr,
+    validateRecordCodes
+} = require('./codeValidation');
+const {
+    MICR_VERDICTS,
+    MICR_COLUMNS,
+    buildMicrBankIndex,
+    withMicrColumns,
+    withMicrHeader
+} = require('./micrDecoder');
+const {
+    LOGICAL_FIELDS,
+    loadColumnProfile,
+    isHeaderRecord,
+    headerForColumns,
+    resolveColumns,
+    getField,
+    resolveMappingRows
+} = require('./columnProfiles');
+const { readDelimitedRecords, formatRecord } = require('./csvRecords');
+const { indexMappingRows } = require('./mappingIndex');
+const { createExternalSorter } = require('./externalSort');
+const { loadNameAliases, applyNameAliases } = require('./nameAliases');
+const { containsIndicScript, transliterateIndic, romanizeName } = require('./transliteration');
+const { doubleMetaphone } = require('./doubleMetaphone');
+const { IfscRepairIndex, describeEdits, MICR_CORRECTION_VERDICTS, proposeMicrCorrection } = require('./codeRepair');
 
 /* =========================================================
    FILE READING UTILITIES
@@ -36,38 +63,115 @@ function readBankFile(filePath) {
     });
 }
 
-function extractMicrIfsc(fields) {
-    // Prefer ID~MICR~IFSC, then MICR,IFSC, then scan by length.
+/**
+ * Extract MICR and IFSC from a split record
+ * With profile columns, only those columns are read: a code from any other column is
+ * never accepted, and an invalid value is returned as it is so the caller reports the
+ * rejection reason of the configured column. Without columns, tries ID~MICR~IFSC, then
+ * MICR,IFSC, then scans all fields; structurally valid codes win, otherwise the best
+ * length match (or the ID~MICR~IFSC value) is returned.
+ * Separators (spaces, '-', '.', '/') are dropped from the MICR but other characters are
+ * kept, so validation can report a MICR with letters as MICR_NON_NUMERIC.
+ * @param {Array} fields - Record fields
+ * @param {Object|null} columns - Resolved profile columns (from resolveColumns)
+ * @returns {Object} { micr, ifsc }
+ */
+function extractMicrIfsc(fields, columns = null) {
     const normalizeValue = (value) => (value || '').toString().replace(/^\uFEFF/, '').trim();
-    const normalizeMicr = (value) => normalizeValue(value).replace(/^"+|"+$/g, '').replace(/\D/g, '');
+    const normalizeMicr = (value) => normalizeValue(value).replace(/^"+|"+$/g, '').replace(/[\s\-./]/g, '').toUpperCase();
+    const looksLikeMicr = (value) => /\d/.test(value) && /^[A-Z0-9]+$/.test(value);
     const normalizeIfsc = (value) => normalizeValue(value)
         .replace(/^"+|"+$/g, '')
         .replace(/[^A-Za-z0-9]/g, '')
         .toUpperCase();
+
+    if (columns) {
+        return { micr: normalizeMicr(fields[columns.micr]), ifsc: normalizeIfsc(fields[columns.ifsc]) };
+    }
+
     const indexPairs = [
         [1, 2],
         [0, 1]
     ];
+    const primaryPair = indexPairs[0];
 
     for (const [micrIndex, ifscIndex] of indexPairs) {
         const micr = normalizeMicr(fields[micrIndex]);
         const ifsc = normalizeIfsc(fields[ifscIndex]);
-        if (micr.length === 9 && ifsc.length === 11) {
+        if (isValidMicr(micr) && isValidIfsc(ifsc)) {
             return { micr, ifsc };
         }
     }
 
     let micr = '';
     let ifsc = '';
+    let lengthOnlyMicr = '';
+    let lengthOnlyIfsc = '';
     for (const field of fields) {
         const micrCandidate = normalizeMicr(field);
         const ifscCandidate = normalizeIfsc(field);
-        if (!micr && micrCandidate.length === 9) micr = micrCandidate;
-        if (!ifsc && ifscCandidate.length === 11) ifsc = ifscCandidate;
+        if (!micr && isValidMicr(micrCandidate)) micr = micrCandidate;
+        else if (!lengthOnlyMicr && micrCandidate.length === 9 && looksLikeMicr(micrCandidate)) lengthOnlyMicr = micrCandidate;
+        if (!ifsc && isValidIfsc(ifscCandidate)) ifsc = ifscCandidate;
+        else if (!lengthOnlyIfsc && ifscCandidate.length === 11) lengthOnlyIfsc = ifscCandidate;
         if (micr && ifsc) break;
     }
 
-    return { micr, ifsc };
+    const primaryMicr = normalizeMicr(fields[primaryPair[0]]);
+    return {
+        micr: micr || lengthOnlyMicr || (looksLikeMicr(primaryMicr) ? primaryMicr : ''),
+        ifsc: ifsc || lengthOnlyIfsc || normalizeIfsc(fields[primaryPair[1]])
+    };
+}
+
+/**
+ * Track column resolution while reading a file record by record
+ * The first record resolves the columns. A header row (always expected for
+ * header-name sections) is kept as the header; headerless files get one built
+ * from the profile so every derived CSV stays self-describing.
+ * @param {Object} section - Profile section (input or mapping)
+ * @returns {Object} Tracker with `columns`, `header` and `consumeHeader(fields)`
+ */
+function createColumnTracker(section) {
+    return {
+        columns: null,
+        header: null,
+
+        /**
+         * Resolve columns and the header from the first record
+         * @param {Array} fields - Fields of the first record
+         * @returns {boolean} True when the record was consumed as the header row
+         */
+        consumeHeader(fields) {
+            if (this.columns) return false;
+
+            const isHeader = isHeaderRecord(section, fields);
+            this.columns = resolveColumns(section, isHeader ? fields : null);
+
+            if (isHeader) {
+                this.header = fields;
+            } else {
+                // Decoded MICR columns already on the record are named by withMicrHeader
+                const hasMicrColumns = Object.values(MICR_VERDICTS).includes(fields[fields.length - 1]);
+                const width = hasMicrColumns ? fields.length - MICR_COLUMNS.length : fields.length;
+                this.header = headerForColumns(this.columns, width);
+            }
+            return isHeader;
+        }
+    };
+}
+
+/**
+ * Build the MICR/IFSC bank index for an optional bank mapping
+ * @param {Array|Object|null} bankMappingData - Bank mapping rows or a mapping index (logic/mappingIndex.js)
+ * @param {Object} profile - Column profile
+ * @returns {Map|null} Index from buildMicrBankIndex, or null without a mapping
+ */
+function micrBankIndexFor(bankMappingData, profile) {
+    if (!bankMappingData) return null;
+    if (!Array.isArray(bankMappingData)) return bankMappingData.micrBankIndex;
+    const { columns, rows } = resolveMappingRows(bankMappingData, profile);
+    return buildMicrBankIndex(rows, columns);
 }
 
 /**
@@ -79,18 +183,9 @@ async function loadBankMappingFile(filePath) {
     const ext = path.extname(filePath).toLowerCase();
 
     if (['.csv', '.001', '.txt', '.dat'].includes(ext)) {
-        return new Promise((resolve, reject) => {
-            const records = [];
-            const rl = readline.createInterface({
-                input: fs.createReadStream(filePath),
-                crlfDelay: Infinity
-            });
-            rl.on('line', line => {
-                if (line.trim()) records.push(line.split('~'));
-            });
-            rl.on('close', () => resolve(records));
-            rl.on('error', reject);
-        });
+        const records = [];
+        await readDelimitedRecords(filePath, fields => records.push(fields));
+        return records;
     }
 
     if (ext === '.xlsx' || ext === '.xls') {
@@ -108,103 +203,128 @@ async function loadBankMappingFile(filePath) {
 
 /**
  * Filter and validate CSV file records
- * Separates valid records (MICR=9 chars, IFSC=11 chars) from invalid ones
+ * Separates structurally valid records (RBI IFSC format, 9-digit MICR) from invalid ones.
+ * Invalid records get a trailing column of '|'-joined reason codes.
+ * Valid records get the decoded MICR segments and the MICR/IFSC bank verdict appended.
  * @param {string} filePath - Path to CSV file
+ * @param {Array|Object|null} bankMappingData - Optional bank mapping rows or index used for the MICR bank verdict
+ * @param {Object} profile - Column profile (see logic/columnProfiles.js)
+ * @param {string} outputDir - Directory the output files are written to
+ * @param {Function|null} onProgress - Called with the number of records read so far after every record;
+ *                                     an error it throws stops the filter
  * @returns {Promise<Object>} Statistics and file paths
  */
-function filterCsvFile(filePath) {
+function filterCsvFile(filePath, bankMappingData = null, profile = loadColumnProfile(), outputDir = '.', onProgress = null) {
     return new Promise((resolve, reject) => {
         let totalRecords = 0;
         let correctRecords = 0;
         let incorrectRecords = 0;
+        const reasonCounts = {};
+        const micrBankIndex = micrBankIndexFor(bankMappingData, profile);
+        const tracker = createColumnTracker(profile.input);
 
-        const outputFile = 'invalid_records.csv';
-        const validRecordsFile = 'valid_records.csv';
+        const outputFile = path.join(outputDir, 'invalid_records.csv');
+        const validRecordsFile = path.join(outputDir, 'valid_records.csv');
 
         const writeStream = fs.createWriteStream(outputFile);
         const validStream = fs.createWriteStream(validRecordsFile);
 
-        const rl = readline.createInterface({
-            input: fs.createReadStream(filePath),
-            crlfDelay: Infinity
-        });
-
-        let delimiter = null;
-
-        rl.on('line', (line) => {
-            if (!line.trim()) return;
-            
-            // Auto-detect delimiter from first line
-            if (delimiter === null) {
-                if (line.includes('~')) {
-                    delimiter = '~';
-                    console.log('📌 Detected delimiter: ~ (tilde)');
-                } else if (line.includes(',')) {
-                    delimiter = ',';
-                    console.log('📌 Detected delimiter: , (comma)');
-                } else {
-                    delimiter = ','; // default
-                }
+        readDelimitedRecords(filePath, (fields, delimiter) => {
+            // First record: detect the header row and write it to both outputs
+            if (!tracker.columns) {
+                console.log(delimiter === '~' ?
+                    '📌 Detected delimiter: ~ (tilde)' :
+                    '📌 Detected delimiter: , (comma)');
+
+                const isHeader = tracker.consumeHeader(fields);
+                validStream.write(formatRecord(withMicrHeader(tracker.header), delimiter) + '\n');
+                writeStream.write(formatRecord([...tracker.header, 'RejectionReasons'], delimiter) + '\n');
+                if (isHeader) return;
             }
-            
+
             totalRecords++;
+            if (onProgress) onProgress(totalRecords);
 
-            const fields = line.split(delimiter);
-            const { micr, ifsc } = extractMicrIfsc(fields);
+            const { micr, ifsc } = extractMicrIfsc(fields, tracker.columns);
+            const { valid, reasons } = validateRecordCodes(micr, ifsc);
 
-            if (/^.{9}$/.test(micr) && /^.{11}$/.test(ifsc)) {
+            if (valid) {
                 correctRecords++;
-                validStream.write(line + '\n');
+                validStream.write(formatRecord(withMicrColumns(fields, micr, ifsc, micrBankIndex), delimiter) + '\n');
             } else {
                 incorrectRecords++;
-                writeStream.write(line + '\n');
+                reasons.forEach(reason => {
+                    reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+                });
+                writeStream.write(formatRecord([...fields, reasons.join('|')], delimiter) + '\n');
             }
-        });
-
-        rl.on('close', () => {
+        }).then(() => {
             writeStream.end();
             validStream.end();
             resolve({
                 totalRecords,
                 correctRecords,
                 incorrectRecords,
+                reasonCounts,
                 validRecordsFile,
                 outputFile
             });
+        }).catch(error => {
+            writeStream.end();
+            validStream.end();
+            reject(error);
         });
-
-        rl.on('error', reject);
     });
 }
 
 /**
  * Filter and validate array data (from Excel/JSON)
  * @param {Array} records - Array of records
+ * @param {Array|Object|null} bankMappingData - Optional bank mapping rows or index used for the MICR bank verdict
+ * @param {Object} profile - Column profile (see logic/columnProfiles.js)
+ * @param {string} outputDir - Directory the output files are written to
+ * @param {Function|null} onProgress - Called with the number of records checked so far after every record
  * @returns {Object} Statistics and file paths
  */
-function filterArrayData(records) {
-    let totalRecords = records.length;
+function filterArrayData(records, bankMappingData = null, profile = loadColumnProfile(), outputDir = '.', onProgress = null) {
+    const hasHeader = records.length > 0 && isHeaderRecord(profile.input, records[0]);
+    const columns = resolveColumns(profile.input, hasHeader ? records[0] : null);
+    const header = hasHeader ? records[0] : headerForColumns(columns, (records[0] || []).length);
+    const dataRecords = hasHeader ? records.slice(1) : records;
+
+    let totalRecords = dataRecords.length;
     let correctRecords = 0;
     let incorrectRecords = 0;
+    const reasonCounts = {};
+    const micrBankIndex = micrBankIndexFor(bankMappingData, profile);
 
-    const outputFile = 'invalid_records.csv';
-    const validRecordsFile = 'valid_records.csv';
+    const outputFile = path.join(outputDir, 'invalid_records.csv');
+    const validRecordsFile = path.join(outputDir, 'valid_records.csv');
 
     const invalidStream = fs.createWriteStream(outputFile);
     const validStream = fs.createWriteStream(validRecordsFile);
 
-    records.forEach((row) => {
-        // For format: [ID, MICR, IFSC, BANK_NAME, ...]
-        // row[0] = ID, row[1] = MICR (9 chars), row[2] = IFSC (11 chars)
-        const micr = (row[1] || '').toString().trim();
-        const ifsc = (row[2] || '').toString().trim();
+    if (records.length > 0) {
+        validStream.write(formatRecord(withMicrHeader(header), '~') + '\n');
+        invalidStream.write(formatRecord([...header, 'RejectionReasons'], '~') + '\n');
+    }
+
+    dataRecords.forEach((row, i) => {
+        if (onProgress) onProgress(i + 1);
+
+        // Columns come from the profile; the default is [ID, MICR, IFSC, BANK_NAME, ...]
+        const { micr, ifsc } = extractMicrIfsc(row, columns);
+        const { valid, reasons } = validateRecordCodes(micr, ifsc);
 
-        if (/^.{9}$/.test(micr) && /^.{11}$/.test(ifsc)) {
+        if (valid) {
             correctRecords++;
-            validStream.write(row.join('~') + '\n');
+            validStream.write(formatRecord(withMicrColumns(row, micr, ifsc, micrBankIndex), '~') + '\n');
         } else {
             incorrectRecords++;
-            invalidStream.write(row.join('~') + '\n');
+            reasons.forEach(reason => {
+                reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+            });
+            invalidStream.write(formatRecord([...row, reasons.join('|')], '~') + '\n');
         }
     });
 
@@ -215,6 +335,7 @@ function filterArrayData(records) {
         totalRecords,
         correctRecords,
         incorrectRecords,
+        reasonCounts,
         validRecordsFile,
         outputFile
     };
@@ -226,35 +347,72 @@ function filterArrayData(records) {
 
 /**
  * Compare IFSC and MICR codes against bank mapping data
- * Generates multiple output files categorizing the matches
+ * Generates multiple output files categorizing the matches. Every output line
+ * carries the decoded MICR segments and the MICR/IFSC bank verdict. Bank names of
+ * IFSC-matched records are scored against the mapped name (column 3 of the mapping);
+ * anything below STRONG_MATCH is written to bank_name_conflicts.csv. Unmatched IFSCs get
+ * repair suggestions from the mapping's IFSCs in ifsc_repair_suggestions.csv.
+ * Only the compact mapping index is needed; pass one built by streamMappingIndex
+ * to keep memory flat on full RBI masters.
  * @param {string} validFile - Path to valid records file
- * @param {Array} bankMappingData - Bank mapping data array
+ * @param {Array|Object} bankMappingData - Bank mapping rows or a mapping index (logic/mappingIndex.js)
+ * @param {Object} profile - Column profile (see logic/columnProfiles.js)
+ * @param {Object} matcherConfig - Matcher configuration for the bank name score (see resolveMatcherConfig)
+ * @param {string} outputDir - Directory the output files are written to
+ * @param {Function|null} onProgress - Called with the number of records compared so far after every record;
+ *                                     an error it throws stops the comparison
  * @returns {Promise<Object>} Comparison statistics
  */
-function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
+function compareIfscAndMicrWithBankMapping(validFile, bankMappingData, profile = loadColumnProfile(), matcherConfig = DEFAULT_MATCHER_CONFIG, outputDir = '.', onProgress = null) {
     return new Promise((resolve, reject) => {
 
-        const ifscMatched = fs.createWriteStream('ifsc_matched.csv');
-        const ifscUnmatched = fs.createWriteStream('ifsc_unmatched.csv');
-        const micrMatched = fs.createWriteStream('micr_matched.csv');
-        const micrUnmatched = fs.createWriteStream('micr_unmatched.csv');
-        const ifscMissingMicrPresent = fs.createWriteStream('ifsc_missing_micr_present.csv');
-        const micrMissingIfscPresent = fs.createWriteStream('micr_missing_ifsc_present.csv');
-        const bothUnmatched = fs.createWriteStream('ifsc_micr_both_unmatched.csv');
+        let mappingIndex;
+        try {
+            mappingIndex = Array.isArray(bankMappingData) ?
+                indexMappingRows(bankMappingData, profile) :
+                bankMappingData;
+        } catch (error) {
+            return reject(error);
+        }
 
-        const ifscSet = new Set();
-        const micrSet = new Set();
+        const outputPath = filename => path.join(outputDir, filename);
+        const ifscMatched = fs.createWriteStream(outputPath('ifsc_matched.csv'));
+        const ifscUnmatched = fs.createWriteStream(outputPath('ifsc_unmatched.csv'));
+        const micrMatched = fs.createWriteStream(outputPath('micr_matched.csv'));
+        const micrUnmatched = fs.createWriteStream(outputPath('micr_unmatched.csv'));
+        const ifscMissingMicrPresent = fs.createWriteStream(outputPath('ifsc_missing_micr_present.csv'));
+        const micrMissingIfscPresent = fs.createWriteStream(outputPath('micr_missing_ifsc_present.csv'));
+        const bothUnmatched = fs.createWriteStream(outputPath('ifsc_micr_both_unmatched.csv'));
+        const pairMismatch = fs.createWriteStream(outputPath('ifsc_micr_pair_mismatch.csv'));
+        const bankNameConflicts = fs.createWriteStream(outputPath('bank_name_conflicts.csv'));
+        const ifscRepairs = fs.createWriteStream(outputPath('ifsc_repair_suggestions.csv'));
+        ifscRepairs.write(formatRecord([
+            'MICR', 'IFSC', 'RecordBankName', 'Rank', 'SuggestedIFSC', 'MappedBankName',
+            'Distance', 'Edits', 'SharesMicrRow', 'Confidence'
+        ], ',') + '\n');
+        const micrCorrections = fs.createWriteStream(outputPath('micr_corrections.csv'));
+        micrCorrections.write(formatRecord([
+            'MICR', 'IFSC', 'RecordBankName', 'ProposedMICR', 'MappedBankName',
+            'Distance', 'Edits', 'ChangedSegments', 'Verdict'
+        ], ',') + '\n');
+        const scorers = activeScorers(matcherConfig);
+        bankNameConflicts.write(formatRecord([
+            'MICR', 'IFSC', 'RecordBankName', 'MappedBankName', 'MatchScore', 'Category',
+            ...scorers.map(name => `${name}_Score`)
+        ], ',') + '\n');
+
+        // Lookup sets for fast comparison
+        const { ifscSet, micrSet, ifscToMicrs, ifscToBankName, micrBankIndex } = mappingIndex;
+        const nameContext = {
+            idf: scorers.includes('TFIDF_COSINE') ? buildTokenIdf(ifscToBankName.values()) : null
+        };
+        const nameScoreCache = new Map();
+        let repairIndex = null; // built on the first unmatched IFSC
+        const tracker = createColumnTracker(profile.input);
+        let failed = null;
 
         console.log(`\n=== BANK MAPPING DEBUG ===`);
-        console.log(`Total bank mapping records: ${bankMappingData.length}`);
-
-        // Build lookup sets for fast comparison
-        bankMappingData.forEach(row => {
-            const ifsc = (row[1] || '').toString().trim();
-            const micr = (row[2] || '').toString().trim();
-            if (ifsc.length === 11) ifscSet.add(ifsc);
-            if (micr.length === 9) micrSet.add(micr);
-        });
+        console.log(`Total bank mapping records: ${mappingIndex.recordCount}`);
 
         console.log(`\nIFSC codes loaded: ${ifscSet.size}`);
         console.log(`MICR codes loaded: ${micrSet.size}`);
@@ -273,21 +431,51 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
             ifscMissingMicrPresentCount = 0,
             micrMissingIfscPresentCount = 0,
             bothMissingCount = 0,
+            pairMismatchCount = 0,
+            bankNamesChecked = 0,
+            bankNameConflictCount = 0,
+            ifscRepairSuggestedCount = 0,
             totalLinesRead = 0;
 
-        const rl = readline.createInterface({
-            input: fs.createReadStream(validFile),
-            crlfDelay: Infinity
+        const micrCorrectionCounts = {};
+        Object.values(MICR_CORRECTION_VERDICTS).forEach(verdict => {
+            micrCorrectionCounts[verdict] = 0;
         });
 
-        rl.on('line', line => {
-            if (!line.trim()) return;
+        const micrBankVerdictCounts = {};
+        Object.values(MICR_VERDICTS).forEach(verdict => {
+            micrBankVerdictCounts[verdict] = 0;
+        });
+
+        const categoryStreams = [
+            ifscMatched,
+            ifscUnmatched,
+            micrMatched,
+            micrUnmatched,
+            ifscMissingMicrPresent,
+            micrMissingIfscPresent,
+            bothUnmatched,
+            pairMismatch
+        ];
+
+        const processRecord = (f, delimiter) => {
+            // Header row (detected or built from the profile) is carried into every category file
+            if (!tracker.columns) {
+                const isHeader = tracker.consumeHeader(f);
+                const headerLine = formatRecord(withMicrHeader(tracker.header), delimiter);
+                categoryStreams.forEach(stream => stream.write(headerLine + '\n'));
+                if (isHeader) return;
+            }
+
             totalLinesRead++;
+            if (onProgress) onProgress(totalLinesRead);
+            const { micr, ifsc } = extractMicrIfsc(f, tracker.columns);
 
-            // Auto-detect delimiter
-            const delimiter = line.includes('~') ? '~' : ',';
-            const f = line.split(delimiter);
-            const { micr, ifsc } = extractMicrIfsc(f);
+            // Decode MICR and refresh the bank verdict against this mapping
+            const record = withMicrColumns(f, micr, ifsc, micrBankIndex);
+            const verdict = record[record.length - 1];
+            micrBankVerdictCounts[verdict]++;
+            const line = formatRecord(record, delimiter);
 
             const ifscExists = ifscSet.has(ifsc);
             const micrExists = micrSet.has(micr);
@@ -299,11 +487,53 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
             if (micrExists) mM++;
             else mU++;
 
+            // Verify the record's bank name against the mapped name
+            if (ifscExists) {
+                const recordName = getField(f, tracker.columns, 'bankName').replace(/^"+|"+$/g, '').trim();
+                const mappedName = ifscToBankName.get(ifsc);
+                const cacheKey = `${recordName}\u0000${mappedName}`;
+                if (!nameScoreCache.has(cacheKey)) {
+                    nameScoreCache.set(cacheKey, BestNameMatcher.compare(recordName, mappedName, matcherConfig, nameContext));
+                }
+                const nameMatch = nameScoreCache.get(cacheKey);
+                bankNamesChecked++;
+
+                if (nameMatch.category !== 'STRONG_MATCH') {
+                    bankNameConflictCount++;
+                    bankNameConflicts.write(formatRecord([
+                        micr, ifsc, recordName, mappedName, nameMatch.finalScore, nameMatch.category,
+                        ...scorerValues(nameMatch, scorers)
+                    ], ',') + '\n');
+                }
+            }
+
+            // Suggest mapping IFSCs a few edits away from an unmatched one
+            if (!ifscExists) {
+                repairIndex = repairIndex || new IfscRepairIndex(mappingIndex);
+                const suggestions = repairIndex.suggest(ifsc, micr);
+                if (suggestions.length > 0) ifscRepairSuggestedCount++;
+
+                const recordName = getField(f, tracker.columns, 'bankName').replace(/^"+|"+$/g, '').trim();
+                suggestions.forEach((suggestion, i) => {
+                    ifscRepairs.write(formatRecord([
+                        micr, ifsc, recordName, i + 1, suggestion.ifsc, suggestion.bankName, suggestion.distance,
+                        describeEdits(suggestion.edits), suggestion.sharesMicrRow ? 'YES' : 'NO', suggestion.confidence
+                    ], ',') + '\n');
+                });
+            }
+
             // Categorize based on combination
             if (ifscExists && micrExists) {
                 // Both matched
                 ifscMatched.write(line + '\n');
                 micrMatched.write(line + '\n');
+
+                // Both exist, but do they belong to the same mapping row?
+                const pairedMicrs = ifscToMicrs.get(ifsc);
+                if (!pairedMicrs || !pairedMicrs.has(micr)) {
+                    pairMismatchCount++;
+                    pairMismatch.write(line + '\n');
+                }
             } else if (!ifscExists && micrExists) {
                 // IFSC missing but MICR present
                 ifscMissingMicrPresentCount++;
@@ -316,6 +546,17 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
                 micrMissingIfscPresent.write(line + '\n');
                 ifscMatched.write(line + '\n');
                 micrUnmatched.write(line + '\n');
+
+                // Propose the MICR the mapping holds for the matched IFSC
+                const correction = proposeMicrCorrection(micr, ifsc, mappingIndex);
+                micrCorrectionCounts[correction.verdict]++;
+                micrCorrections.write(formatRecord([
+                    micr, ifsc, getField(f, tracker.columns, 'bankName').replace(/^"+|"+$/g, '').trim(),
+                    correction.micr, ifscToBankName.get(ifsc) || '',
+                    correction.distance === null ? '' : correction.distance,
+                    correction.verdict === MICR_CORRECTION_VERDICTS.TYPO ? describeEdits(correction.edits) : '',
+                    correction.changedSegments.join(' '), correction.verdict
+                ], ',') + '\n');
             } else {
                 // Both missing
                 bothMissingCount++;
@@ -323,9 +564,9 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
                 ifscUnmatched.write(line + '\n');
                 micrUnmatched.write(line + '\n');
             }
-        });
+        };
 
-        rl.on('close', () => {
+        const finishComparison = () => {
             console.log(`\n=== COMPARISON RESULTS ===`);
             console.log(`Total lines read from ${validFile}: ${totalLinesRead}`);
             console.log(`IFSC Matched: ${iM}, IFSC Unmatched: ${iU}`);
@@ -333,13 +574,19 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
             console.log(`IFSC Missing (MICR Present): ${ifscMissingMicrPresentCount}`);
             console.log(`MICR Missing (IFSC Present): ${micrMissingIfscPresentCount}`);
             console.log(`Both Missing: ${bothMissingCount}`);
+            console.log(`IFSC/MICR Pair Mismatch: ${pairMismatchCount}`);
+            console.log(`Bank Name Conflicts: ${bankNameConflictCount} of ${bankNamesChecked} checked`);
+            console.log(`IFSC Repair Suggestions: ${ifscRepairSuggestedCount} of ${iU} unmatched IFSCs`);
+            console.log(`MICR Corrections: ${JSON.stringify(micrCorrectionCounts)}`);
+            console.log(`MICR/IFSC bank verdicts: ${JSON.stringify(micrBankVerdictCounts)}`);
             console.log(`==========================\n`);
 
-            // Wait for all 7 streams to finish before resolving
-            let streamsToClose = 7;
+            // Wait for all 11 streams to finish before resolving
+            let streamsToClose = 11;
             const streamClosed = () => {
                 streamsToClose--;
                 if (streamsToClose === 0) {
+                    if (failed) return reject(failed);
                     console.log('✅ Comparison complete! All files written successfully.');
                     resolve({
                         iM,
@@ -348,7 +595,17 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
                         mU,
                         ifscMissingMicrPresentCount,
                         micrMissingIfscPresentCount,
-                        bothMissingCount
+                        bothMissingCount,
+                        pairMismatchCount,
+                        bankNamesChecked,
+                        bankNameConflictCount,
+                        ifscRepairSuggestedCount,
+                        micrCorrectionCount: micrMissingIfscPresentCount - micrCorrectionCounts[MICR_CORRECTION_VERDICTS.NO_MAPPED_MICR],
+                        micrCorrectionTypoCount: micrCorrectionCounts[MICR_CORRECTION_VERDICTS.TYPO],
+                        micrCorrectionDifferentBranchCount: micrCorrectionCounts[MICR_CORRECTION_VERDICTS.DIFFERENT_BRANCH],
+                        micrBankConsistentCount: micrBankVerdictCounts[MICR_VERDICTS.CONSISTENT],
+                        micrBankMismatchCount: micrBankVerdictCounts[MICR_VERDICTS.BANK_MISMATCH],
+                        micrBankUnknownCount: micrBankVerdictCounts[MICR_VERDICTS.UNKNOWN_BANK]
                     });
                 }
             };
@@ -361,6 +618,10 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
             ifscMissingMicrPresent.on('finish', streamClosed);
             micrMissingIfscPresent.on('finish', streamClosed);
             bothUnmatched.on('finish', streamClosed);
+            pairMismatch.on('finish', streamClosed);
+            bankNameConflicts.on('finish', streamClosed);
+            ifscRepairs.on('finish', streamClosed);
+            micrCorrections.on('finish', streamClosed);
 
             // Now end all streams
             ifscMatched.end();
@@ -370,9 +631,17 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
             ifscMissingMicrPresent.end();
             micrMissingIfscPresent.end();
             bothUnmatched.end();
-        });
-
-        rl.on('error', reject);
+            pairMismatch.end();
+            bankNameConflicts.end();
+            ifscRepairs.end();
+            micrCorrections.end();
+        };
+
+        readDelimitedRecords(validFile, processRecord)
+            .catch(error => {
+                failed = error;
+            })
+            .then(finishComparison);
     });
 }
 
@@ -381,50 +650,232 @@ function compareIfscAndMicrWithBankMapping(validFile, bankMappingData) {
    ========================================================= */
 
 /**
- * Sort records by IFSC code
- * @param {string} inputFile - Input file path
- * @param {string} outputFile - Output file path
- * @returns {Promise<number>} Number of sorted records
+ * Sort keys accepted by sortByIfsc, each a list of logical fields
  */
-function sortByIfsc(inputFile, outputFile) {
-    return new Promise((resolve, reject) => {
+const SORT_KEYS = {
+    ifsc: ['ifsc'],
+    micr: ['micr'],
+    bankName: ['bankName'],
+    composite: ['ifsc', 'micr', 'bankName']
+};
 
-        const rows = [];
+/**
+ * Resolve sort options into the ordered list of logical fields to compare
+ * @param {Object} options - { sortKey, secondaryKey }
+ * @returns {Array<string>} Logical fields, most significant first
+ */
+function resolveSortFields(options = {}) {
+    const sortKey = options.sortKey || 'ifsc';
+    if (!SORT_KEYS[sortKey]) {
+        throw new Error(`Unknown sort key "${sortKey}". Use one of: ${Object.keys(SORT_KEYS).join(', ')}`);
+    }
 
-        const rl = readline.createInterface({
-            input: fs.createReadStream(inputFile),
-            crlfDelay: Infinity
-        });
+    const fields = [...SORT_KEYS[sortKey]];
+    if (options.secondaryKey) {
+        if (!LOGICAL_FIELDS.includes(options.secondaryKey)) {
+            throw new Error(`Unknown secondary sort key "${options.secondaryKey}". Use one of: ${LOGICAL_FIELDS.join(', ')}`);
+        }
+        if (!fields.includes(options.secondaryKey)) fields.push(options.secondaryKey);
+    }
+    return fields;
+}
 
-        rl.on('line', (line) => {
-            if (!line.trim()) return;
-            // Auto-detect delimiter
-            const delimiter = line.includes('~') ? '~' : ',';
-            const fields = line.split(delimiter);
-            // For format: ID~MICR~IFSC~BANK_NAME~...
-            // fields[2] is IFSC
-            const ifsc = (fields[2] || '').trim();
-            rows.push({ ifsc, line });
+/**
+ * Sort records by IFSC code (or another configured key)
+ * Uses an external merge sort, so only `chunkSize` records are held in memory at once.
+ * Ties keep their input order, so the output is identical across runs.
+ * @param {string} inputFile - Input file path
+ * @param {string} outputFile - Output file path
+ * @param {Object} profile - Column profile (see logic/columnProfiles.js)
+ * @param {Object} options - { sortKey, secondaryKey, chunkSize, tempDir,
+ *                             onProgress: called with the number of records read so far; an error it throws stops the sort }
+ * @returns {Promise<number>} Number of sorted records
+ */
+async function sortByIfsc(inputFile, outputFile, profile = loadColumnProfile(), options = {}) {
+    const sortFields = resolveSortFields(options);
+    const sorter = createExternalSorter(options);
+    const tracker = createColumnTracker(profile.input);
+
+    let delimiter;
+    try {
+        delimiter = await readDelimitedRecords(inputFile, (fields, recordDelimiter) => {
+            if (tracker.consumeHeader(fields)) return;
+
+            const keys = sortFields.map(field => getField(fields, tracker.columns, field).toUpperCase());
+            sorter.add(keys, formatRecord(fields, recordDelimiter));
+            if (options.onProgress) options.onProgress(sorter.count);
         });
+    } catch (error) {
+        sorter.discard();
+        throw error;
+    }
 
-        rl.on('close', () => {
-            rows.sort((a, b) => a.ifsc.localeCompare(b.ifsc));
-
-            const out = fs.createWriteStream(outputFile);
-            for (const r of rows) out.write(r.line + '\n');
-            out.end();
+    const out = fs.createWriteStream(outputFile);
+    const finished = new Promise((resolve, reject) => {
+        out.on('finish', resolve);
+        out.on('error', reject);
+    });
+    const writeLine = async(line) => {
+        if (!out.write(line + '\n')) await once(out, 'drain');
+    };
 
-            resolve(rows.length);
-        });
+    try {
+        if (tracker.header) await writeLine(formatRecord(tracker.header, delimiter));
+        await sorter.drain(writeLine);
+    } finally {
+        out.end();
+    }
+    await finished;
 
-        rl.on('error', reject);
-    });
+    console.log(`🔀 Sorted ${sorter.count} records by ${sortFields.join(', ')}`);
+    return sorter.count;
 }
 
 /* =========================================================
    FUZZY MATCHING CLASSES
    ========================================================= */
 
+/**
+ * Name scorers the weighted combination can include
+ * score(name1, name2, context) compares two normalized names (0-100); context.idf is
+ * the token weighting from buildTokenIdf. upperBound(bounds) is the highest score the
+ * scorer can give for the cheap bounds used by fuzzy matching blocking
+ * ({ levenshtein, jaroWinkler, samePhonetic }); scorers without one return 100.
+ */
+const NAME_SCORERS = {
+    LEVENSHTEIN: {
+        score: (name1, name2) => BestNameMatcher.levenshteinScore(name1, name2),
+        upperBound: bounds => bounds.levenshtein
+    },
+    JARO_WINKLER: {
+        score: (name1, name2) => BestNameMatcher.jaroWinklerScore(name1, name2),
+        upperBound: bounds => bounds.jaroWinkler
+    },
+    TOKEN_SORT: {
+        score: (name1, name2) => BestNameMatcher.tokenSortScore(name1, name2),
+        upperBound: bounds => bounds.levenshtein
+    },
+    TOKEN_SET: {
+        score: (name1, name2) => BestNameMatcher.tokenSetScore(name1, name2),
+        upperBound: () => 100
+    },
+    PHONETIC: {
+        score: (name1, name2) => BestNameMatcher.phoneticScore(name1, name2),
+        upperBound: bounds => (bounds.samePhonetic ? 100 : 0)
+    },
+    DOUBLE_METAPHONE: {
+        score: (name1, name2) => BestNameMatcher.doubleMetaphoneScore(name1, name2),
+        upperBound: () => 100
+    },
+    TRIGRAM_JACCARD: {
+        score: (name1, name2) => BestNameMatcher.trigramJaccardScore(name1, name2),
+        upperBound: () => 100
+    },
+    TFIDF_COSINE: {
+        score: (name1, name2, context) => BestNameMatcher.tfidfCosineScore(name1, name2, context.idf),
+        upperBound: () => 100
+    }
+};
+
+/**
+ * Default matcher configuration
+ * weights: share of each scorer in NAME_SCORERS in the final score (must add up to 1)
+ * categories: lowest score of each match category
+ * groupThreshold: minimum score for a bank name to join a group
+ * reviewCategories: match categories whose fuzzy matches are queued for human review
+ * grouping: 'greedy' (names join the best group seen so far, in file order) or
+ *           'cluster' (connected components of the similarity graph, independent of order)
+ */
+const DEFAULT_MATCHER_CONFIG = {
+    weights: {
+        LEVENSHTEIN: 0.25,
+        JARO_WINKLER: 0.30,
+        TOKEN_SORT: 0.20,
+        TOKEN_SET: 0.15,
+        PHONETIC: 0.10,
+        DOUBLE_METAPHONE: 0,
+        TRIGRAM_JACCARD: 0,
+        TFIDF_COSINE: 0
+    },
+    categories: {
+        STRONG_MATCH: 85,
+        POSSIBLE_MATCH: 70,
+        WEAK_MATCH: 60
+    },
+    groupThreshold: 70,
+    reviewCategories: ['POSSIBLE_MATCH'],
+    grouping: 'greedy'
+};
+
+/**
+ * Ways groupBankNames can build groups (see DEFAULT_MATCHER_CONFIG.grouping)
+ */
+const GROUPING_MODES = ['greedy', 'cluster'];
+
+/**
+ * Merge overrides into the default matcher configuration and validate the result
+ * @param {Object} overrides - Partial { weights, categories, groupThreshold, reviewCategories, grouping }
+ * @returns {Object} Complete matcher configuration
+ */
+function resolveMatcherConfig(overrides = {}) {
+    const config = {
+        weights: { ...DEFAULT_MATCHER_CONFIG.weights, ...(overrides.weights || {}) },
+        categories: { ...DEFAULT_MATCHER_CONFIG.categories, ...(overrides.categories || {}) },
+        groupThreshold: overrides.groupThreshold !== undefined ?
+            overrides.groupThreshold : DEFAULT_MATCHER_CONFIG.groupThreshold,
+        reviewCategories: overrides.reviewCategories !== undefined ?
+            overrides.reviewCategories : [...DEFAULT_MATCHER_CONFIG.reviewCategories],
+        grouping: overrides.grouping !== undefined ? overrides.grouping : DEFAULT_MATCHER_CONFIG.grouping
+    };
+
+    const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+    Object.entries(config.weights).forEach(([name, weight]) => {
+        if (!(name in NAME_SCORERS)) {
+            throw new Error(`Unknown matcher weight "${name}"`);
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+            throw new Error(`Matcher weight "${name}" must be a non-negative number`);
+        }
+    });
+    const weightTotal = Object.values(config.weights).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(weightTotal - 1) > 0.001) {
+        throw new Error(`Matcher weights must add up to 1 (got ${Math.round(weightTotal * 1000) / 1000})`);
+    }
+
+    Object.entries(config.categories).forEach(([name, cutoff]) => {
+        if (!(name in DEFAULT_MATCHER_CONFIG.categories)) {
+            throw new Error(`Unknown match category "${name}"`);
+        }
+        if (!isScore(cutoff)) {
+            throw new Error(`Cut-off for ${name} must be a number between 0 and 100`);
+        }
+    });
+    const { STRONG_MATCH, POSSIBLE_MATCH, WEAK_MATCH } = config.categories;
+    if (!(STRONG_MATCH >= POSSIBLE_MATCH && POSSIBLE_MATCH >= WEAK_MATCH)) {
+        throw new Error('Category cut-offs must satisfy STRONG_MATCH >= POSSIBLE_MATCH >= WEAK_MATCH');
+    }
+
+    if (!isScore(config.groupThreshold)) {
+        throw new Error('groupThreshold must be a number between 0 and 100');
+    }
+
+    if (!Array.isArray(config.reviewCategories)) {
+        throw new Error('reviewCategories must be a list of match categories');
+    }
+    config.reviewCategories.forEach(name => {
+        if (!(name in DEFAULT_MATCHER_CONFIG.categories)) {
+            throw new Error(`Unknown review category "${name}"`);
+        }
+    });
+
+    if (!GROUPING_MODES.includes(config.grouping)) {
+        throw new Error(`grouping must be one of: ${GROUPING_MODES.join(', ')}`);
+    }
+
+    return config;
+}
+
 /**
  * Class to represent matching results
  */
@@ -444,18 +895,26 @@ class MatchResult {
     }
 }
 
+/**
+ * Double Metaphone codes by token (see BestNameMatcher.metaphoneCodes)
+ */
+const metaphoneCache = new Map();
+
 /**
  * Advanced bank name matcher using multiple algorithms
- * Combines Levenshtein, Jaro-Winkler, Token-based, and Phonetic matching
+ * Combines the scorers in NAME_SCORERS (edit distance, token, phonetic, n-gram and TF-IDF)
  */
 class BestNameMatcher {
     /**
      * Compare two bank names and return match score
+     * Only scorers with a weight above 0 are run.
      * @param {string} rawName1 - First bank name
      * @param {string} rawName2 - Second bank name
-     * @returns {MatchResult} Match result with scores and category
+     * @param {Object} config - Matcher configuration (see resolveMatcherConfig)
+     * @param {Object} context - { idf: token weighting from buildTokenIdf, used by TFIDF_COSINE }
+     * @returns {MatchResult} Match result with per-scorer scores and category
      */
-    static compare(rawName1, rawName2) {
+    static compare(rawName1, rawName2, config = DEFAULT_MATCHER_CONFIG, context = {}) {
         if (!rawName1 || !rawName2 || rawName1.trim() === "" || rawName2.trim() === "") {
             return MatchResult.noMatch();
         }
@@ -467,45 +926,33 @@ class BestNameMatcher {
             return MatchResult.strongMatch(100);
         }
 
-        const levenshtein = this.levenshteinScore(name1, name2);
-        const jaroWinkler = this.jaroWinklerScore(name1, name2);
-        const tokenSort = this.tokenSortScore(name1, name2);
-        const tokenSet = this.tokenSetScore(name1, name2);
-        const phonetic = this.phoneticScore(name1, name2);
-
-        // Weighted combination of all algorithms
-        let finalScore = (
-            levenshtein * 0.25 +
-            jaroWinkler * 0.30 +
-            tokenSort * 0.20 +
-            tokenSet * 0.15 +
-            phonetic * 0.10
-        );
+        // Weighted combination of the enabled scorers
+        const scores = {};
+        let finalScore = 0;
+        for (const [name, weight] of Object.entries(config.weights)) {
+            if (weight === 0) continue;
+            scores[name] = NAME_SCORERS[name].score(name1, name2, context);
+            finalScore += scores[name] * weight;
+        }
 
         finalScore = Math.round(finalScore * 100) / 100;
 
-        return new MatchResult({
-                LEVENSHTEIN: levenshtein,
-                JARO_WINKLER: jaroWinkler,
-                TOKEN_SORT: tokenSort,
-                TOKEN_SET: tokenSet,
-                PHONETIC: phonetic
-            },
-            finalScore,
-            this.categorize(finalScore)
-        );
+        return new MatchResult(scores, finalScore, this.categorize(finalScore, config));
     }
 
     /**
      * Normalize string for comparison
+     * Words in Indic scripts are transliterated to Latin first and their romanization
+     * variants folded (see romanizeName in logic/transliteration.js). Aliases, acronyms and stop words from config/bank-name-aliases.json are applied
+     * here, so every scorer sees the expanded form.
      * @param {string} input - Input string
      * @returns {string} Normalized string
      */
     static normalize(input) {
-        input = input.toUpperCase();
+        input = romanizeName(input).toUpperCase();
         input = input.replace(/[^A-Z ]/g, "");
         input = input.replace(/\s+/g, " ").trim();
-        return input;
+        return applyNameAliases(input);
     }
 
     /**
@@ -651,6 +1098,99 @@ class BestNameMatcher {
         return this.soundex(s1) === this.soundex(s2) ? 100 : 0;
     }
 
+    /**
+     * Double Metaphone per token
+     * Every token is matched to its best counterpart in the other name: 1 when the primary
+     * codes agree, 0.5 when only an alternate code agrees. Both directions are averaged.
+     * @param {string} s1 - First string
+     * @param {string} s2 - Second string
+     * @returns {number} Similarity score (0-100)
+     */
+    static doubleMetaphoneScore(s1, s2) {
+        const codes1 = s1.split(' ').map(token => this.metaphoneCodes(token));
+        const codes2 = s2.split(' ').map(token => this.metaphoneCodes(token));
+
+        const tokenScore = ([primary1, secondary1], [primary2, secondary2]) => {
+            if (primary1 === primary2) return 1;
+            if (primary1 === secondary2 || secondary1 === primary2 || secondary1 === secondary2) return 0.5;
+            return 0;
+        };
+        const bestTotal = (from, to) => from.reduce((sum, code) => {
+            return sum + Math.max(...to.map(other => tokenScore(code, other)));
+        }, 0);
+
+        return ((bestTotal(codes1, codes2) + bestTotal(codes2, codes1)) / (codes1.length + codes2.length)) * 100;
+    }
+
+    /**
+     * Double Metaphone codes of a token (memoized; bank names reuse few distinct words)
+     * @param {string} token - Single word
+     * @returns {Array<string>} [primary, secondary]
+     */
+    static metaphoneCodes(token) {
+        let codes = metaphoneCache.get(token);
+        if (!codes) {
+            codes = doubleMetaphone(token);
+            metaphoneCache.set(token, codes);
+        }
+        return codes;
+    }
+
+    /**
+     * Character trigram Jaccard similarity
+     * Names are padded with spaces so short names and word starts produce trigrams.
+     * @param {string} s1 - First string
+     * @param {string} s2 - Second string
+     * @returns {number} Similarity score (0-100)
+     */
+    static trigramJaccardScore(s1, s2) {
+        const trigrams = (s) => {
+            const padded = `  ${s} `;
+            const grams = new Set();
+            for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.substring(i, i + 3));
+            return grams;
+        };
+
+        const grams1 = trigrams(s1);
+        const grams2 = trigrams(s2);
+        let shared = 0;
+        grams1.forEach(gram => {
+            if (grams2.has(gram)) shared++;
+        });
+
+        return (shared / (grams1.size + grams2.size - shared)) * 100;
+    }
+
+    /**
+     * TF-IDF weighted cosine similarity over tokens
+     * Rare tokens (distinctive words) weigh more than common ones such as "CO" or "URBAN".
+     * @param {string} s1 - First string
+     * @param {string} s2 - Second string
+     * @param {Object|null} idf - Token weighting from buildTokenIdf (plain token cosine when missing)
+     * @returns {number} Similarity score (0-100)
+     */
+    static tfidfCosineScore(s1, s2, idf = null) {
+        const vector = (s) => {
+            const weights = new Map();
+            s.split(' ').forEach(token => {
+                const tokenWeight = idf ? (idf.weights.get(token) || idf.unknown) : 1;
+                weights.set(token, (weights.get(token) || 0) + tokenWeight);
+            });
+            return weights;
+        };
+
+        const vector1 = vector(s1);
+        const vector2 = vector(s2);
+        let dot = 0;
+        vector1.forEach((weight, token) => {
+            if (vector2.has(token)) dot += weight * vector2.get(token);
+        });
+
+        const norm = (v) => Math.sqrt([...v.values()].reduce((sum, weight) => sum + weight * weight, 0));
+        const denominator = norm(vector1) * norm(vector2);
+        return denominator === 0 ? 0 : Math.min(100, (dot / denominator) * 100);
+    }
+
     /**
      * Generate Soundex code for phonetic matching
      * @param {string} s - Input string
@@ -684,112 +1224,844 @@ class BestNameMatcher {
     /**
      * Categorize match score into categories
      * @param {number} score - Match score (0-100)
+     * @param {Object} config - Matcher configuration (see resolveMatcherConfig)
      * @returns {string} Category name
      */
-    static categorize(score) {
-        if (score >= 85) return "STRONG_MATCH";
-        if (score >= 70) return "POSSIBLE_MATCH";
-        if (score >= 60) return "WEAK_MATCH";
+    static categorize(score, config = DEFAULT_MATCHER_CONFIG) {
+        const { categories } = config;
+        if (score >= categories.STRONG_MATCH) return "STRONG_MATCH";
+        if (score >= categories.POSSIBLE_MATCH) return "POSSIBLE_MATCH";
+        if (score >= categories.WEAK_MATCH) return "WEAK_MATCH";
         return "NO_MATCH";
     }
 }
 
+/**
+ * Build the token weighting used by the TFIDF_COSINE scorer
+ * Each distinct normalized name is one document; a token's weight is its smoothed
+ * inverse document frequency, so words shared by many banks count for little.
+ * @param {Iterable<string>} names - Bank names (e.g. the bank mapping's name column)
+ * @returns {Object} { documents, weights: Map<token, number>, unknown: weight of unseen tokens }
+ */
+function buildTokenIdf(names) {
+    const seenRaw = new Set();
+    const documents = new Set();
+    const documentFrequency = new Map();
+
+    for (const name of names) {
+        if (!name || seenRaw.has(name)) continue;
+        seenRaw.add(name);
+
+        const normalized = BestNameMatcher.normalize(name.toString());
+        if (!normalized || documents.has(normalized)) continue;
+        documents.add(normalized);
+
+        new Set(normalized.split(' ')).forEach(token => {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        });
+    }
+
+    const weights = new Map();
+    documentFrequency.forEach((frequency, token) => {
+        weights.set(token, Math.log((1 + documents.size) / (1 + frequency)) + 1);
+    });
+
+    return { documents: documents.size, weights, unknown: Math.log(1 + documents.size) + 1 };
+}
+
+/**
+ * Names of the scorers a configuration runs (weight above 0), in configuration order
+ * @param {Object} config - Matcher configuration
+ * @returns {Array<string>}
+ */
+function activeScorers(config) {
+    return Object.keys(config.weights).filter(name => config.weights[name] > 0);
+}
+
+/**
+ * Per-scorer values of a match result, rounded for output files
+ * Results without individual scores (identical or blank names) repeat the final score.
+ * @param {MatchResult} matchResult - Result of BestNameMatcher.compare
+ * @param {Array<string>} scorers - Names from activeScorers
+ * @returns {Array<number>}
+ */
+function scorerValues(matchResult, scorers) {
+    return scorers.map(name => {
+        const value = name in matchResult.scores ? matchResult.scores[name] : matchResult.finalScore;
+        return Math.round(value * 100) / 100;
+    });
+}
+
+/**
+ * Explain why a bank name scores as it does against the name it was corrected to
+ * @param {string} originalName - Bank name as read from the input
+ * @param {string} correctedName - Name it was corrected to
+ * @param {Object} config - Matcher configuration
+ * @param {Object} options - { context: scorer context (TF-IDF weights), matchResult: comparison already computed for the pair }
+ * @returns {Object} { originalName, correctedName, normalizedOriginal, normalizedCorrected, scores, finalScore,
+ *                     category, tokens: { shared, originalOnly, correctedOnly }, tokenOverlap }
+ */
+function explainMatch(originalName, correctedName, config = DEFAULT_MATCHER_CONFIG, options = {}) {
+    const matchResult = options.matchResult ||
+        BestNameMatcher.compare(originalName, correctedName, config, options.context);
+    const scorers = activeScorers(config);
+    const values = scorerValues(matchResult, scorers);
+
+    const normalizedOriginal = BestNameMatcher.normalize(originalName);
+    const normalizedCorrected = BestNameMatcher.normalize(correctedName);
+    const originalTokens = [...new Set(normalizedOriginal.split(' ').filter(Boolean))];
+    const correctedTokens = [...new Set(normalizedCorrected.split(' ').filter(Boolean))];
+    const shared = originalTokens.filter(token => correctedTokens.includes(token));
+    const allTokens = new Set([...originalTokens, ...correctedTokens]).size;
+
+    return {
+        originalName,
+        correctedName,
+        normalizedOriginal,
+        normalizedCorrected,
+        scores: Object.fromEntries(scorers.map((name, i) => [name, values[i]])),
+        finalScore: Math.round(matchResult.finalScore * 100) / 100,
+        category: matchResult.category,
+        tokens: {
+            shared,
+            originalOnly: originalTokens.filter(token => !correctedTokens.includes(token)),
+            correctedOnly: correctedTokens.filter(token => !originalTokens.includes(token))
+        },
+        // Shared words as a percentage of all distinct words in both names
+        tokenOverlap: allTokens === 0 ? 0 : Math.round((shared.length / allTokens) * 10000) / 100
+    };
+}
+
+/* =========================================================
+   FUZZY MATCHING INDEX
+   ========================================================= */
+
+/**
+ * Characters left by BestNameMatcher.normalize (A-Z and space)
+ */
+const NAME_ALPHABET_SIZE = 27;
+
+/**
+ * Candidate index over bank-name group representatives
+ *
+ * Groups are blocked by normalized length and Soundex code. A group is only scored
+ * with the full BestNameMatcher.compare when an upper bound on its score, computed
+ * from shared characters, common prefix and Soundex, can still reach the threshold.
+ * The bound never underestimates, so the chosen group is exactly the one an
+ * exhaustive scan would choose. Scores are memoized per normalized name pair.
+ */
+class BankNameGroupIndex {
+    /**
+     * @param {Object} config - Matcher configuration; groupThreshold is the minimum score for joining a group
+     * @param {Object} options - { exhaustive: score every group (benchmark baseline),
+     *                             sharedWith: index whose name profiles, scores and stats are reused,
+     *                             idf: token weighting from buildTokenIdf }
+     */
+    constructor(config = DEFAULT_MATCHER_CONFIG, options = {}) {
+        const shared = options.sharedWith;
+        this.config = config;
+        this.threshold = config.groupThreshold;
+        this.exhaustive = Boolean(options.exhaustive);
+        this.context = { idf: options.idf || null };
+        this.groups = [];
+        this.byNormalized = new Map(); // normalized name -> group
+        this.byLength = new Map(); // normalized length -> { all, bySoundex }
+        this.profiles = shared ? shared.profiles : new Map(); // raw name -> name profile
+        this.scores = shared ? shared.scores : new Map(); // normalized pair -> MatchResult
+        this.stats = shared ? shared.stats : { candidates: 0, comparisons: 0 };
+    }
+
+    /**
+     * Precompute what the bound needs for a raw name (memoized)
+     * @param {string} rawName - Bank name as read from the file
+     * @returns {Object} { blank, normalized, soundex, counts }
+     */
+    profileOf(rawName) {
+        let profile = this.profiles.get(rawName);
+        if (profile) return profile;
+
+        const blank = !rawName || rawName.trim() === '';
+        const normalized = blank ? '' : BestNameMatcher.normalize(rawName);
+        const counts = new Uint16Array(NAME_ALPHABET_SIZE);
+        for (let i = 0; i < normalized.length; i++) {
+            const code = normalized.charCodeAt(i);
+            counts[code === 32 ? 26 : code - 65]++;
+        }
+
+        profile = { blank, normalized, soundex: BestNameMatcher.soundex(normalized), counts };
+        this.profiles.set(rawName, profile);
+        return profile;
+    }
+
+    /**
+     * Memoized BestNameMatcher.compare
+     * @param {string} rawName1 - First bank name
+     * @param {string} rawName2 - Second bank name
+     * @returns {MatchResult}
+     */
+    score(rawName1, rawName2) {
+        const a = this.profileOf(rawName1);
+        const b = this.profileOf(rawName2);
+        if (a.blank || b.blank) return MatchResult.noMatch();
+
+        const key = `${a.normalized}\u0000${b.normalized}`;
+        let result = this.scores.get(key);
+        if (!result) {
+            this.stats.comparisons++;
+            result = BestNameMatcher.compare(rawName1, rawName2, this.config, this.context);
+            this.scores.set(key, result);
+        }
+        return result;
+    }
+
+    /**
+     * Highest score two normalized names could reach
+     * Levenshtein and token-sort distances are at least (longer length - shared characters),
+     * Jaro matches are at most the shared characters; every scorer turns these into its own
+     * bound (see NAME_SCORERS), so token-set and the n-gram scorers count as 100.
+     * @param {number} length1 - Length of the first name
+     * @param {number} length2 - Length of the second name
+     * @param {number} shared - Characters the names have in common (multiset)
+     * @param {number} prefix - Common prefix length used by Jaro-Winkler (0-4)
+     * @param {boolean} samePhonetic - Whether the Soundex codes are equal
+     * @param {Object} weights - Algorithm weights of the matcher configuration
+     * @returns {number} Upper bound of BestNameMatcher.compare's finalScore
+     */
+    static scoreUpperBound(length1, length2, shared, prefix, samePhonetic, weights) {
+        const levenshtein = (shared / Math.max(length1, length2)) * 100;
+        const jaro = shared === 0 ? 0 : (shared / length1 + shared / length2 + 1) / 3;
+        const jaroWinkler = (jaro + prefix * 0.1 * (1 - jaro)) * 100;
+
+        const bounds = { levenshtein, jaroWinkler, samePhonetic };
+
+        let bound = 0;
+        for (const name in weights) {
+            if (weights[name] > 0) bound += NAME_SCORERS[name].upperBound(bounds) * weights[name];
+        }
+        return bound;
+    }
+
+    /**
+     * Check whether a bound can still reach the lowest score searched for
+     * Leaves room for the rounding of finalScore to two decimals.
+     */
+    reachable(bound, floor) {
+        return bound >= floor - 0.01;
+    }
+
+    /**
+     * Groups that may score at or above the floor, in creation order
+     * @param {Object} profile - Name profile from profileOf
+     * @param {number} floor - Lowest score searched for
+     * @returns {Array<Object>} Candidate groups
+     */
+    candidatesFor(profile, floor) {
+        if (this.exhaustive) return this.groups;
+
+        // A name without letters only scores above 0 against another such name
+        if (profile.normalized.length === 0) {
+            const exact = this.byNormalized.get(profile.normalized);
+            return exact ? [exact] : [];
+        }
+
+        const length = profile.normalized.length;
+        const candidates = [];
+
+        for (const [groupLength, bucket] of this.byLength.entries()) {
+            const shared = Math.min(length, groupLength);
+            const prefix = Math.min(4, shared);
+
+            let blockGroups;
+            if (this.reachable(BankNameGroupIndex.scoreUpperBound(length, groupLength, shared, prefix, false, this.config.weights), floor)) {
+                blockGroups = bucket.all;
+            } else if (this.reachable(BankNameGroupIndex.scoreUpperBound(length, groupLength, shared, prefix, true, this.config.weights), floor)) {
+                blockGroups = bucket.bySoundex.get(profile.soundex) || [];
+            } else {
+                continue;
+            }
+
+            for (const group of blockGroups) {
+                if (this.reachable(this.groupUpperBound(profile, group.profile), floor)) candidates.push(group);
+            }
+        }
+
+        return candidates.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Upper bound for one name against one group representative
+     */
+    groupUpperBound(profile, groupProfile) {
+        let shared = 0;
+        for (let i = 0; i < NAME_ALPHABET_SIZE; i++) {
+            shared += Math.min(profile.counts[i], groupProfile.counts[i]);
+        }
+
+        const a = profile.normalized;
+        const b = groupProfile.normalized;
+        let prefix = 0;
+        while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+        return BankNameGroupIndex.scoreUpperBound(
+            a.length, b.length, shared, prefix, profile.soundex === groupProfile.soundex, this.config.weights
+        );
+    }
+
+    /**
+     * Find the best-scoring group for a bank name
+     * Ties go to the group created first, as in a scan over all groups. A floor below
+     * the threshold also finds near misses (for the review queue); whenever a group
+     * reaches the threshold the result is the same as with the default floor.
+     * @param {string} rawName - Bank name
+     * @param {number} floor - Lowest score accepted (defaults to the threshold)
+     * @returns {Object|null} { groupName, score } or null when no group reaches the floor
+     */
+    findBestGroup(rawName, floor = this.threshold) {
+        const profile = this.profileOf(rawName);
+        if (profile.blank) return null;
+
+        let bestMatch = null;
+        let bestScore = 0;
+
+        for (const group of this.candidatesFor(profile, floor)) {
+            this.stats.candidates++;
+            const matchResult = this.score(rawName, group.name);
+
+            if (matchResult.finalScore > bestScore && matchResult.finalScore >= floor) {
+                bestScore = matchResult.finalScore;
+                bestMatch = group.name;
+            }
+        }
+
+        return bestMatch ? { groupName: bestMatch, score: bestScore } : null;
+    }
+
+    /**
+     * Register a new group representative
+     * @param {string} rawName - Representative bank name
+     */
+    addGroup(rawName) {
+        const profile = this.profileOf(rawName);
+        const group = { name: rawName, profile, order: this.groups.length };
+        this.groups.push(group);
+
+        // Blank names never match anything, so they are not indexed
+        if (profile.blank) return;
+
+        if (!this.byNormalized.has(profile.normalized)) {
+            this.byNormalized.set(profile.normalized, group);
+        }
+
+        const length = profile.normalized.length;
+        if (!this.byLength.has(length)) {
+            this.byLength.set(length, { all: [], bySoundex: new Map() });
+        }
+        const bucket = this.byLength.get(length);
+        bucket.all.push(group);
+        if (!bucket.bySoundex.has(profile.soundex)) bucket.bySoundex.set(profile.soundex, []);
+        bucket.bySoundex.get(profile.soundex).push(group);
+    }
+}
+
+/**
+ * Lowest score worth searching for: the group threshold, or the bottom of the
+ * lowest review category when that is lower
+ * @param {Object} config - Matcher configuration
+ * @returns {number}
+ */
+function reviewSearchFloor(config) {
+    return config.reviewCategories.reduce((floor, name) => {
+        return Math.min(floor, config.categories[name]);
+    }, config.groupThreshold);
+}
+
+/**
+ * Relabel groups whose label is written in an Indic script
+ * Corrections go to the mapping's spelling, so a group whose label came from a name in
+ * Devanagari, Tamil, ... is labelled with its most frequent Latin member instead (ties go
+ * to the name that sorts first, by normalized form and then as written, as in
+ * clusterBankNames), or with the transliterated label when it has no Latin member.
+ * Corrections, match sources and review suggestions follow the new label.
+ * @param {Object} grouping - Result of greedy or cluster grouping
+ * @param {Object} config - Matcher configuration
+ * @returns {Object} The same grouping, relabelled
+ */
+function useLatinGroupLabels(grouping, config) {
+    const { bankGroups, correctedBankNames, matchSources, index } = grouping;
+    const relabelled = new Map(); // old label -> new label
+
+    for (const [label, members] of bankGroups.entries()) {
+        if (!containsIndicScript(label)) continue;
+
+        const latinCounts = new Map();
+        members.forEach(row => {
+            if (!containsIndicScript(row.bankName)) {
+                latinCounts.set(row.bankName, (latinCounts.get(row.bankName) || 0) + 1);
+            }
+        });
+
+        const sortsBefore = (name, other) => {
+            const normalized = index.profileOf(name).normalized;
+            const otherNormalized = index.profileOf(other).normalized;
+            if (normalized !== otherNormalized) return normalized < otherNormalized;
+            return name < other;
+        };
+
+        let newLabel = null;
+        for (const [name, count] of latinCounts.entries()) {
+            const labelCount = newLabel === null ? 0 : latinCounts.get(newLabel);
+            if (count > labelCount || (count === labelCount && sortsBefore(name, newLabel))) newLabel = name;
+        }
+        if (newLabel === null) {
+            newLabel = transliterateIndic(label).toUpperCase().replace(/\s+/g, ' ').trim();
+        }
+        relabelled.set(label, newLabel);
+    }
+
+    if (relabelled.size === 0) return grouping;
+
+    const newGroups = new Map();
+    for (const [label, members] of bankGroups.entries()) {
+        const groupName = relabelled.get(label) || label;
+        if (!newGroups.has(groupName)) newGroups.set(groupName, []);
+        newGroups.get(groupName).push(...members);
+    }
+
+    for (const [original, corrected] of correctedBankNames.entries()) {
+        if (!relabelled.has(corrected)) continue;
+
+        const groupName = relabelled.get(corrected);
+        correctedBankNames.set(original, groupName);
+        if (matchSources.get(original) === 'review') continue;
+        matchSources.set(original, original === groupName ? 'new' : 'group');
+    }
+
+    const reviewQueue = grouping.reviewQueue
+        .map(item => {
+            if (!relabelled.has(item.suggestedName)) return item;
+
+            const suggestedName = relabelled.get(item.suggestedName);
+            const score = index.score(item.originalName, suggestedName).finalScore;
+            return { ...item, suggestedName, score, category: BestNameMatcher.categorize(score, config) };
+        })
+        .filter(item => item.originalName !== item.suggestedName && config.reviewCategories.includes(item.category));
+
+    return { ...grouping, bankGroups: newGroups, reviewQueue };
+}
+
+/**
+ * Group bank names
+ * Names with a stored review decision are placed as decided. Every other distinct name
+ * first snaps to the best-scoring canonical dictionary name; names with no dictionary
+ * hit join the best-scoring ad-hoc group or start a new one. Only names that reach the
+ * threshold count as hits. When the best match (hit or near miss) falls in one of the
+ * configured review categories, the name is added to the review queue.
+ * @param {Array} rows - Records with a bankName property, in file order
+ * @param {Object} options - { exhaustive, config: matcher configuration, dictionary: canonical bank names,
+ *                             decisions: Map of original name -> review decision { action, targetName } }
+ * @returns {Object} { bankGroups, correctedBankNames, matchSources: Map of original name -> 'review',
+ *                    'dictionary', 'group' or 'new', dictionaryMatches, decisionsApplied, reviewQueue, index }
+ */
+function groupBankNames(rows, options = {}) {
+    const config = options.config || DEFAULT_MATCHER_CONFIG;
+    if (config.grouping === 'cluster') {
+        return clusterBankNames(rows, options);
+    }
+
+    const decisions = options.decisions || new Map();
+    const index = new BankNameGroupIndex(config, options);
+    const dictionaryIndex = new BankNameGroupIndex(config, { ...options, sharedWith: index });
+    const searchFloor = reviewSearchFloor(config);
+    const bankGroups = new Map();
+    const correctedBankNames = new Map(); // Maps original -> corrected
+    const matchSources = new Map(); // Maps original -> how its group was chosen
+    const reviewQueue = [];
+    let dictionaryMatches = 0;
+    let decisionsApplied = 0;
+
+    (options.dictionary || []).forEach(name => dictionaryIndex.addGroup(name));
+
+    // Add a row to a group, registering new groups that are not dictionary names
+    const assign = (row, groupName) => {
+        if (!bankGroups.has(groupName)) {
+            bankGroups.set(groupName, []);
+            const isCanonical = dictionaryIndex.byNormalized.has(dictionaryIndex.profileOf(groupName).normalized);
+            if (!isCanonical) index.addGroup(groupName);
+        }
+        bankGroups.get(groupName).push(row);
+        correctedBankNames.set(row.bankName, groupName);
+    };
+
+    rows.forEach(row => {
+        const currentBankName = row.bankName;
+
+        // Check if this bank name has already been assigned to a group
+        if (correctedBankNames.has(currentBankName)) {
+            return;
+        }
+
+        const decision = decisions.get(currentBankName);
+        if (decision) {
+            // Approved and reassigned names go where the reviewer put them; rejected names keep their own
+            assign(row, decision.action === 'reject' ? currentBankName : decision.targetName);
+            matchSources.set(currentBankName, 'review');
+            decisionsApplied++;
+            return;
+        }
+
+        const canonical = dictionaryIndex.findBestGroup(currentBankName, searchFloor);
+        const canonicalHit = canonical && canonical.score >= config.groupThreshold ? canonical : null;
+        const adHoc = canonicalHit ? null : index.findBestGroup(currentBankName, searchFloor);
+        const bestMatch = canonicalHit || (adHoc && adHoc.score >= config.groupThreshold ? adHoc : null);
+
+        if (bestMatch) {
+            // Add to a dictionary group or an existing ad-hoc group
+            if (!bankGroups.has(bestMatch.groupName)) bankGroups.set(bestMatch.groupName, []);
+            bankGroups.get(bestMatch.groupName).push(row);
+            correctedBankNames.set(currentBankName, bestMatch.groupName);
+            matchSources.set(currentBankName, canonicalHit ? 'dictionary' : 'group');
+            if (canonicalHit) dictionaryMatches++;
+        } else {
+            // Create new ad-hoc group
+            bankGroups.set(currentBankName, [row]);
+            correctedBankNames.set(currentBankName, currentBankName);
+            matchSources.set(currentBankName, 'new');
+            index.addGroup(currentBankName);
+        }
+
+        // Queue the match (or the closest near miss) when it falls in a review category
+        const candidates = [canonical, adHoc].filter(Boolean);
+        const suggestion = bestMatch || candidates.sort((a, b) => b.score - a.score)[0];
+        if (!suggestion) return;
+
+        const category = BestNameMatcher.categorize(suggestion.score, config);
+        if (config.reviewCategories.includes(category)) {
+            reviewQueue.push({
+                originalName: currentBankName,
+                suggestedName: suggestion.groupName,
+                score: suggestion.score,
+                category,
+                merged: suggestion === bestMatch,
+                source: suggestion === canonical ? 'dictionary' : 'group'
+            });
+        }
+    });
+
+    const grouping = { bankGroups, correctedBankNames, matchSources, dictionaryMatches, decisionsApplied, reviewQueue, index };
+    return useLatinGroupLabels(grouping, config);
+}
+
+/**
+ * Group bank names by clustering (grouping: 'cluster')
+ * Review decisions and dictionary hits are settled first, as in greedy grouping. The
+ * remaining distinct names become the nodes of a similarity graph with an edge between
+ * every pair scoring at or above the group threshold; each connected component is one
+ * group, labelled with its most frequent name (ties go to the name that sorts first).
+ * Names are processed in sorted order, so the same set of names always gives the same
+ * groups however the input is ordered. Components link names through their neighbours,
+ * so two members of one group may score below the threshold against each other.
+ * @param {Array} rows - Records with a bankName property
+ * @param {Object} options - Same as groupBankNames
+ * @returns {Object} Same as groupBankNames
+ */
+function clusterBankNames(rows, options = {}) {
+    const config = options.config || DEFAULT_MATCHER_CONFIG;
+    const decisions = options.decisions || new Map();
+    const index = new BankNameGroupIndex(config, options);
+    const dictionaryIndex = new BankNameGroupIndex(config, { ...options, sharedWith: index });
+    const searchFloor = reviewSearchFloor(config);
+    const correctedBankNames = new Map(); // Maps original -> corrected
+    const matchSources = new Map(); // Maps original -> how its group was chosen
+    const nearMisses = new Map(); // Maps name -> best dictionary name or neighbour below the threshold
+    const reviewQueue = [];
+    let dictionaryMatches = 0;
+    let decisionsApplied = 0;
+
+    (options.dictionary || []).forEach(name => dictionaryIndex.addGroup(name));
+
+    const recordCounts = new Map();
+    rows.forEach(row => recordCounts.set(row.bankName, (recordCounts.get(row.bankName) || 0) + 1));
+
+    // Sort by normalized form, then by the raw name, so input order plays no part
+    const names = [...recordCounts.keys()].sort((a, b) => {
+        const normalizedA = index.profileOf(a).normalized;
+        const normalizedB = index.profileOf(b).normalized;
+        if (normalizedA !== normalizedB) return normalizedA < normalizedB ? -1 : 1;
+        return a < b ? -1 : a > b ? 1 : 0;
+    });
+
+    const keepNearMiss = (name, match, source) => {
+        const current = nearMisses.get(name);
+        if (!current || match.score > current.score) nearMisses.set(name, { ...match, source });
+    };
+
+    const queueForReview = (name, suggestedName, score, merged, source) => {
+        const category = BestNameMatcher.categorize(score, config);
+        if (config.reviewCategories.includes(category)) {
+            reviewQueue.push({ originalName: name, suggestedName, score, category, merged, source });
+        }
+    };
+
+    // Decisions and dictionary hits do not take part in clustering
+    const nodes = [];
+    names.forEach(name => {
+        const decision = decisions.get(name);
+        if (decision) {
+            correctedBankNames.set(name, decision.action === 'reject' ? name : decision.targetName);
+            matchSources.set(name, 'review');
+            decisionsApplied++;
+            return;
+        }
+
+        const canonical = dictionaryIndex.findBestGroup(name, searchFloor);
+        if (canonical && canonical.score >= config.groupThreshold) {
+            correctedBankNames.set(name, canonical.groupName);
+            matchSources.set(name, 'dictionary');
+            dictionaryMatches++;
+            queueForReview(name, canonical.groupName, canonical.score, true, 'dictionary');
+            return;
+        }
+
+        if (canonical) keepNearMiss(name, canonical, 'dictionary');
+        nodes.push(name);
+        index.addGroup(name);
+    });
+
+    // Union-find over the similarity graph; each pair is scored once
+    const parent = nodes.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    nodes.forEach((name, i) => {
+        const profile = index.profileOf(name);
+        if (profile.blank) return;
+
+        for (const group of index.candidatesFor(profile, searchFloor)) {
+            if (group.order <= i) continue;
+
+            index.stats.candidates++;
+            const score = index.score(name, group.name).finalScore;
+            if (score >= config.groupThreshold) {
+                const rootA = find(i);
+                const rootB = find(group.order);
+                if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+            } else if (score >= searchFloor) {
+                keepNearMiss(name, { groupName: group.name, node: group.order, score }, 'group');
+                keepNearMiss(group.name, { groupName: name, node: i, score }, 'group');
+            }
+        }
+    });
+
+    // Label each component with its most frequent name
+    const labels = new Map(); // root -> label
+    nodes.forEach((name, i) => {
+        const root = find(i);
+        const label = labels.get(root);
+        if (label === undefined || recordCounts.get(name) > recordCounts.get(label)) labels.set(root, name);
+    });
+
+    nodes.forEach((name, i) => {
+        const label = labels.get(find(i));
+        correctedBankNames.set(name, label);
+
+        if (label !== name) {
+            matchSources.set(name, 'group');
+            queueForReview(name, label, index.score(name, label).finalScore, true, 'group');
+            return;
+        }
+
+        // A name that labels its own group may still be close to a dictionary name or another group
+        matchSources.set(name, 'new');
+        const nearMiss = nearMisses.get(name);
+        if (!nearMiss) return;
+
+        if (nearMiss.source === 'dictionary') {
+            queueForReview(name, nearMiss.groupName, nearMiss.score, false, 'dictionary');
+        } else {
+            const neighbourLabel = labels.get(find(nearMiss.node));
+            if (neighbourLabel !== name) {
+                queueForReview(name, neighbourLabel, index.score(name, neighbourLabel).finalScore, false, 'group');
+            }
+        }
+    });
+
+    // Groups in the sorted order of their first member, rows in file order
+    const bankGroups = new Map();
+    names.forEach(name => {
+        const groupName = correctedBankNames.get(name);
+        if (!bankGroups.has(groupName)) bankGroups.set(groupName, []);
+    });
+    rows.forEach(row => bankGroups.get(correctedBankNames.get(row.bankName)).push(row));
+
+    const grouping = { bankGroups, correctedBankNames, matchSources, dictionaryMatches, decisionsApplied, reviewQueue, index };
+    return useLatinGroupLabels(grouping, config);
+}
+
+/**
+ * Benchmark mode: repeat the grouping with an exhaustive scan over all groups
+ * and report both timings and whether the assignments agree
+ * @param {Array} rows - Records passed to groupBankNames
+ * @param {Map} correctedBankNames - Assignments from the indexed run
+ * @param {BankNameGroupIndex} index - Index of the indexed run
+ * @param {number} indexedMs - Duration of the indexed run
+ * @param {Object} options - Options of the indexed run (see groupBankNames)
+ * @returns {Object} Benchmark report
+ */
+function benchmarkGrouping(rows, correctedBankNames, index, indexedMs, options = {}) {
+    const start = Date.now();
+    const exhaustive = groupBankNames(rows, { ...options, exhaustive: true });
+    const exhaustiveMs = Date.now() - start;
+
+    const identical = exhaustive.correctedBankNames.size === correctedBankNames.size &&
+        [...correctedBankNames.entries()].every(([original, corrected]) => {
+            return exhaustive.correctedBankNames.get(original) === corrected;
+        });
+
+    const report = {
+        distinctNames: correctedBankNames.size,
+        indexedMs,
+        exhaustiveMs,
+        speedup: indexedMs > 0 ? Math.round((exhaustiveMs / indexedMs) * 100) / 100 : null,
+        indexedComparisons: index.stats.comparisons,
+        exhaustiveComparisons: exhaustive.index.stats.comparisons,
+        identical
+    };
+
+    console.log(`\n=== FUZZY MATCHING BENCHMARK ===`);
+    console.log(`Indexed: ${indexedMs} ms, ${report.indexedComparisons} comparisons`);
+    console.log(`Exhaustive: ${exhaustiveMs} ms, ${report.exhaustiveComparisons} comparisons`);
+    console.log(identical ? '✅ Both scans produced identical groups' : '❌ Indexed and exhaustive groups differ');
+    return report;
+}
+
 /* =========================================================
    FUZZY MATCHING PROCESSOR
    ========================================================= */
 
+/**
+ * Matcher configuration used by the last fuzzy matching run
+ */
+const FUZZY_CONFIG_FILE = 'fuzzy_matching_config.json';
+
 /**
  * Apply fuzzy matching to standardize bank names
  * Groups similar bank names together using multiple matching algorithms
  * @param {string} sortedFile - Path to sorted input file
- * @returns {Promise<Object>} Fuzzy matching statistics
+ * @param {Object} profile - Column profile (see logic/columnProfiles.js)
+ * @param {Object} options - { matcherConfig: overrides of DEFAULT_MATCHER_CONFIG,
+ *                             dictionary: canonical bank names to snap to first,
+ *                             reviewDecisions: Map of original name -> stored review decision,
+ *                             idfNames: bank names the TF-IDF weighting is built from (defaults to the input's names),
+ *                             benchmark: also time an exhaustive scan and check both agree,
+ *                             outputDir: directory the output files are written to (default: current directory),
+ *                             onProgress: called with the number of records read so far; an error it throws stops the run }
+ * @returns {Promise<Object>} Fuzzy matching statistics, with the new review queue items in reviewQueue
  */
-function applyFuzzyMatchingToBankNames(sortedFile) {
+function applyFuzzyMatchingToBankNames(sortedFile, profile = loadColumnProfile(), options = {}) {
     return new Promise((resolve, reject) => {
+        let matcherConfig;
+        try {
+            matcherConfig = resolveMatcherConfig(options.matcherConfig);
+        } catch (error) {
+            return reject(error);
+        }
+
         const rows = [];
+        const tracker = createColumnTracker(profile.input);
+        const outputPath = filename => path.join(options.outputDir || '.', filename);
 
-        const rl = readline.createInterface({
-            input: fs.createReadStream(sortedFile),
-            crlfDelay: Infinity
-        });
+        readDelimitedRecords(sortedFile, (fields, delimiter) => {
+            if (tracker.consumeHeader(fields)) return;
 
-        rl.on('line', (line) => {
-            if (!line.trim()) return;
-            // Auto-detect delimiter
-            const delimiter = line.includes('~') ? '~' : ',';
-            const fields = line.split(delimiter);
-
-            // For format: ID~MICR~IFSC~BANK_NAME~ADDRESS~...
-            // fields[0] = ID, fields[1] = MICR, fields[2] = IFSC, fields[3] = BANK_NAME
-            const micr = (fields[1] || '').trim();
-            const ifsc = (fields[2] || '').trim();
-            const bankName = (fields[3] || '').trim();
+            const micr = getField(fields, tracker.columns, 'micr');
+            const ifsc = getField(fields, tracker.columns, 'ifsc');
+            const bankName = getField(fields, tracker.columns, 'bankName');
             const micrLen = micr.length;
             const ifscLen = ifsc.length;
 
-            rows.push({ micr, ifsc, bankName, micrLen, ifscLen, originalLine: line });
-        });
+            rows.push({ micr, ifsc, bankName, micrLen, ifscLen, originalLine: formatRecord(fields, delimiter) });
+            if (options.onProgress) options.onProgress(rows.length);
+        }).then(() => {
+            // Pick up edits to the alias rules without a restart
+            loadNameAliases();
 
-        rl.on('close', () => {
             console.log(`\n=== FUZZY MATCHING PROCESS ===`);
             console.log(`Total records to process: ${rows.length}`);
+            console.log(`Group threshold: ${matcherConfig.groupThreshold}`);
+            console.log(`Grouping: ${matcherConfig.grouping}`);
+            console.log(`Scorers: ${activeScorers(matcherConfig).join(', ')}`);
+
+            // Record the configuration next to the outputs it produced
+            fs.writeFileSync(outputPath(FUZZY_CONFIG_FILE), JSON.stringify({
+                createdAt: new Date().toISOString(),
+                sortedFile,
+                profile: profile.name,
+                matcherConfig
+            }, null, 2));
 
             // Group similar bank names
-            const bankGroups = new Map();
-            const correctedBankNames = new Map(); // Maps original -> corrected
-
-            rows.forEach((row, index) => {
-                const currentBankName = row.bankName;
-
-                // Check if this bank name has already been assigned to a group
-                if (correctedBankNames.has(currentBankName)) {
-                    return;
-                }
-
-                let bestMatch = null;
-                let bestScore = 0;
-
-                // Compare with all existing group representatives
-                for (const [groupName, members] of bankGroups.entries()) {
-                    const matchResult = BestNameMatcher.compare(currentBankName, groupName);
-
-                    if (matchResult.finalScore > bestScore && matchResult.finalScore >= 70) {
-                        bestScore = matchResult.finalScore;
-                        bestMatch = groupName;
-                    }
-                }
-
-                if (bestMatch) {
-                    // Add to existing group
-                    bankGroups.get(bestMatch).push(row);
-                    correctedBankNames.set(currentBankName, bestMatch);
-                } else {
-                    // Create new group
-                    bankGroups.set(currentBankName, [row]);
-                    correctedBankNames.set(currentBankName, currentBankName);
-                }
-            });
+            const groupingStart = Date.now();
+            const scorers = activeScorers(matcherConfig);
+            const groupingOptions = {
+                config: matcherConfig,
+                dictionary: options.dictionary,
+                decisions: options.reviewDecisions,
+                idf: scorers.includes('TFIDF_COSINE') ?
+                    buildTokenIdf(options.idfNames || rows.map(row => row.bankName)) :
+                    null
+            };
+            const {
+                bankGroups,
+                correctedBankNames,
+                matchSources,
+                dictionaryMatches,
+                decisionsApplied,
+                reviewQueue,
+                index
+            } = groupBankNames(rows, groupingOptions);
+            const groupingMs = Date.now() - groupingStart;
+
+            console.log(`Grouping took ${groupingMs} ms (${index.stats.comparisons} full comparisons for ${correctedBankNames.size} distinct names)`);
+            if (options.dictionary && options.dictionary.length > 0) {
+                console.log(`Names snapped to the bank name dictionary: ${dictionaryMatches} (${options.dictionary.length} entries)`);
+            }
+            if (decisionsApplied > 0) {
+                console.log(`Review decisions applied: ${decisionsApplied}`);
+            }
+            console.log(`Matches queued for review (${matcherConfig.reviewCategories.join(', ') || 'none'}): ${reviewQueue.length}`);
+            const benchmark = options.benchmark ?
+                benchmarkGrouping(rows, correctedBankNames, index, groupingMs, groupingOptions) :
+                null;
 
             console.log(`Unique bank name groups identified: ${bankGroups.size}`);
             console.log(`Original unique bank names: ${new Set(rows.map(r => r.bankName)).size}`);
 
             // Generate corrected bank names CSV
-            const correctedStream = fs.createWriteStream('bank_names_corrected.csv');
-            correctedStream.write('MICR,IFSC,OriginalBankName,CorrectedBankName,MatchScore,MICR_Length,IFSC_Length\n');
+            const correctedStream = fs.createWriteStream(outputPath('bank_names_corrected.csv'));
+            correctedStream.write(formatRecord([
+                'MICR', 'IFSC', 'OriginalBankName', 'CorrectedBankName', 'MatchScore', 'MICR_Length', 'IFSC_Length',
+                ...scorers.map(name => `${name}_Score`)
+            ], ',') + '\n');
 
             rows.forEach(row => {
                 const correctedName = correctedBankNames.get(row.bankName);
-                const matchScore = row.bankName === correctedName ? 100 :
-                    BestNameMatcher.compare(row.bankName, correctedName).finalScore;
+                const matchResult = row.bankName === correctedName ? MatchResult.strongMatch(100) :
+                    index.score(row.bankName, correctedName);
 
-                correctedStream.write(
-                    `${row.micr},${row.ifsc},"${row.bankName}","${correctedName}",${matchScore},${row.micrLen},${row.ifscLen}\n`
-                );
+                correctedStream.write(formatRecord([
+                    row.micr, row.ifsc, row.bankName, correctedName, matchResult.finalScore, row.micrLen, row.ifscLen,
+                    ...scorerValues(matchResult, scorers)
+                ], ',') + '\n');
             });
 
             // Generate only corrected bank names mapping
-            const onlyCorrectedStream = fs.createWriteStream('only_corrected_bank_names.csv');
-            onlyCorrectedStream.write('OriginalBankName,CorrectedBankName,RecordCount\n');
+            const onlyCorrectedStream = fs.createWriteStream(outputPath('only_corrected_bank_names.csv'));
+            onlyCorrectedStream.write(formatRecord(['OriginalBankName', 'CorrectedBankName', 'RecordCount'], ',') + '\n');
 
             const nameCounts = new Map();
             rows.forEach(row => {
@@ -801,32 +2073,57 @@ function applyFuzzyMatchingToBankNames(sortedFile) {
             for (const original of uniqueOriginals) {
                 const corrected = correctedBankNames.get(original);
                 const count = nameCounts.get(original) || 0;
-                onlyCorrectedStream.write(`"${original}","${corrected}",${count}\n`);
+                onlyCorrectedStream.write(formatRecord([original, corrected, count], ',') + '\n');
+            }
+
+            // Generate one explanation per corrected name
+            const explanationsStream = fs.createWriteStream(outputPath('bank_name_explanations.csv'));
+            explanationsStream.write(formatRecord([
+                'OriginalBankName', 'CorrectedBankName', 'Source', 'RecordCount', 'NormalizedOriginal', 'NormalizedCorrected',
+                'MatchScore', 'Category', ...scorers.map(name => `${name}_Score`),
+                'SharedTokens', 'OriginalOnlyTokens', 'CorrectedOnlyTokens', 'TokenOverlap'
+            ], ',') + '\n');
+
+            for (const [original, corrected] of correctedBankNames.entries()) {
+                if (original === corrected) continue;
+
+                const explanation = explainMatch(original, corrected, matcherConfig, {
+                    matchResult: index.score(original, corrected)
+                });
+                explanationsStream.write(formatRecord([
+                    original, corrected, matchSources.get(original), nameCounts.get(original) || 0,
+                    explanation.normalizedOriginal, explanation.normalizedCorrected,
+                    explanation.finalScore, explanation.category, ...Object.values(explanation.scores),
+                    explanation.tokens.shared.join(' '), explanation.tokens.originalOnly.join(' '),
+                    explanation.tokens.correctedOnly.join(' '), explanation.tokenOverlap
+                ], ',') + '\n');
             }
 
             // Generate exact matches report
-            const exactMatchesStream = fs.createWriteStream('exact_matches_report.csv');
-            exactMatchesStream.write('BankName,RecordCount,UniqueIFSCCodes,UniqueMICRCodes\n');
+            const exactMatchesStream = fs.createWriteStream(outputPath('exact_matches_report.csv'));
+            exactMatchesStream.write(formatRecord(['BankName', 'RecordCount', 'UniqueIFSCCodes', 'UniqueMICRCodes'], ',') + '\n');
 
             for (const [groupName, members] of bankGroups.entries()) {
                 const uniqueIFSC = new Set(members.map(m => m.ifsc));
                 const uniqueMICR = new Set(members.map(m => m.micr));
-                exactMatchesStream.write(`"${groupName}",${members.length},${uniqueIFSC.size},${uniqueMICR.size}\n`);
+                exactMatchesStream.write(formatRecord([groupName, members.length, uniqueIFSC.size, uniqueMICR.size], ',') + '\n');
             }
 
             // Generate detailed matching records
-            const matchedRecordsStream = fs.createWriteStream('ifsc_matched_records.csv');
-            matchedRecordsStream.write('MICR,IFSC,OriginalBankName,CorrectedBankName,MICR_Length,IFSC_Length\n');
+            const matchedRecordsStream = fs.createWriteStream(outputPath('ifsc_matched_records.csv'));
+            matchedRecordsStream.write(formatRecord(
+                ['MICR', 'IFSC', 'OriginalBankName', 'CorrectedBankName', 'MICR_Length', 'IFSC_Length'], ','
+            ) + '\n');
 
             rows.forEach(row => {
                 const correctedName = correctedBankNames.get(row.bankName);
-                matchedRecordsStream.write(
-                    `${row.micr},${row.ifsc},"${row.bankName}","${correctedName}",${row.micrLen},${row.ifscLen}\n`
-                );
+                matchedRecordsStream.write(formatRecord(
+                    [row.micr, row.ifsc, row.bankName, correctedName, row.micrLen, row.ifscLen], ','
+                ) + '\n');
             });
 
             // Wait for all streams to finish before resolving
-            let streamsToClose = 4;
+            let streamsToClose = 5;
             const streamClosed = () => {
                 streamsToClose--;
                 if (streamsToClose === 0) {
@@ -835,7 +2132,7 @@ function applyFuzzyMatchingToBankNames(sortedFile) {
                     let sampleCount = 0;
                     for (const [original, corrected] of correctedBankNames.entries()) {
                         if (original !== corrected && sampleCount < 10) {
-                            const score = BestNameMatcher.compare(original, corrected).finalScore;
+                            const score = index.score(original, corrected).finalScore;
                             console.log(`"${original}" → "${corrected}" (Score: ${score.toFixed(2)})`);
                             sampleCount++;
                         }
@@ -843,27 +2140,36 @@ function applyFuzzyMatchingToBankNames(sortedFile) {
 
                     console.log(`\n✅ Fuzzy matching complete! Files written successfully.`);
 
-                    resolve({
+                    const stats = {
                         totalRecords: rows.length,
                         uniqueGroups: bankGroups.size,
                         originalUniqueNames: new Set(rows.map(r => r.bankName)).size,
-                        correctionsMade: Array.from(correctedBankNames.entries()).filter(([k, v]) => k !== v).length
-                    });
+                        correctionsMade: Array.from(correctedBankNames.entries()).filter(([k, v]) => k !== v).length,
+                        dictionaryMatches,
+                        decisionsApplied,
+                        matcherConfig,
+                        reviewQueue: reviewQueue.map(item => ({
+                            ...item,
+                            recordCount: nameCounts.get(item.originalName) || 0
+                        }))
+                    };
+                    if (benchmark) stats.benchmark = benchmark;
+                    resolve(stats);
                 }
             };
 
             correctedStream.on('finish', streamClosed);
             onlyCorrectedStream.on('finish', streamClosed);
+            explanationsStream.on('finish', streamClosed);
             exactMatchesStream.on('finish', streamClosed);
             matchedRecordsStream.on('finish', streamClosed);
 
             correctedStream.end();
             onlyCorrectedStream.end();
+            explanationsStream.end();
             exactMatchesStream.end();
             matchedRecordsStream.end();
-        });
-
-        rl.on('error', reject);
+        }).catch(reject);
     });
 }
 
@@ -875,6 +2181,7 @@ module.exports = {
     // File reading
     readBankFile,
     loadBankMappingFile,
+    extractMicrIfsc,
 
     // Validation & Filtering
     filterCsvFile,
@@ -884,10 +2191,21 @@ module.exports = {
     compareIfscAndMicrWithBankMapping,
 
     // Sorting
+    SORT_KEYS,
+    resolveSortFields,
     sortByIfsc,
 
     // Fuzzy Matching
+    NAME_SCORERS,
+    DEFAULT_MATCHER_CONFIG,
+    GROUPING_MODES,
+    FUZZY_CONFIG_FILE,
+    resolveMatcherConfig,
+    buildTokenIdf,
+    explainMatch,
     applyFuzzyMatchingToBankNames,
+    groupBankNames,
+    BankNameGroupIndex,
     BestNameMatcher,
     MatchResult
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { MAPPING_STORE_DIR } = require('./mappingStore');
+
+/* =========================================================
+   FUZZY MATCH REVIEW QUEUE
+   ========================================================= */
+
+const REVIEW_QUEUE_FILE = path.join(MAPPING_STORE_DIR, 'review_queue.json');
+const REVIEW_DECISIONS_FILE = path.join(MAPPING_STORE_DIR, 'review_decisions.json');
+const REVIEW_ACTIONS = ['approve', 'reject', 'reassign'];
+
+/**
+ * Read a JSON file from the store, or a default when it does not exist yet
+ */
+function readStoreFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Write a JSON file to the store
+ */
+function writeStoreFile(filePath, data) {
+    fs.mkdirSync(MAPPING_STORE_DIR, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read the review queue filled by the fuzzy matching runs so far
+ * @returns {Object} { createdAt, updatedAt, items }
+ */
+function readReviewQueue() {
+    return readStoreFile(REVIEW_QUEUE_FILE, { createdAt: null, updatedAt: null, items: [] });
+}
+
+/**
+ * Key of a queued item: a name is queued once per job
+ */
+function reviewItemKey(item) {
+    return `${item.jobId || ''}\u0000${item.originalName}`;
+}
+
+/**
+ * Merge the items of a new fuzzy matching run into the review queue
+ * Items are tagged with the job that queued them, so runs of different jobs never
+ * replace each other's items. An item replaces the one the same job queued for the same
+ * original name; other items stay until a decision is made for them.
+ * @param {Array<Object>} items - reviewQueue from applyFuzzyMatchingToBankNames
+ * @param {string|null} jobId - Job of the run (null for CLI runs)
+ * @returns {Object} Stored queue
+ */
+function saveReviewQueue(items, jobId = null) {
+    const queue = readReviewQueue();
+    const decisions = loadReviewDecisions();
+
+    const byKey = new Map(queue.items.map(item => [reviewItemKey(item), item]));
+    items.forEach(item => {
+        const tagged = { ...item, jobId };
+        byKey.set(reviewItemKey(tagged), tagged);
+    });
+
+    const now = new Date().toISOString();
+    const stored = {
+        createdAt: queue.createdAt || now,
+        updatedAt: now,
+        items: [...byKey.values()].filter(item => !decisions.has(item.originalName))
+    };
+    writeStoreFile(REVIEW_QUEUE_FILE, stored);
+    console.log(`📝 Review queue: ${items.length} matches from this run, ${stored.items.length} waiting for review`);
+    return stored;
+}
+
+/**
+ * List stored review decisions, oldest first
+ * @returns {Array<Object>} [{ originalName, action, targetName, suggestedName, score, category, decidedAt }]
+ */
+function listReviewDecisions() {
+    return readStoreFile(REVIEW_DECISIONS_FILE, { updatedAt: null, decisions: [] }).decisions;
+}
+
+/**
+ * Stored review decisions keyed by original bank name (passed to fuzzy matching)
+ * @returns {Map<string, Object>}
+ */
+function loadReviewDecisions() {
+    return new Map(listReviewDecisions().map(decision => [decision.originalName, decision]));
+}
+
+/**
+ * Write the decision list
+ */
+function writeReviewDecisions(decisions) {
+    writeStoreFile(REVIEW_DECISIONS_FILE, { updatedAt: new Date().toISOString(), decisions });
+}
+
+/**
+ * Queue items that have no decision yet
+ * @param {string|null} jobId - Only the items this job queued (all items when omitted)
+ * @returns {Array<Object>} Pending review items in queue order
+ */
+function listPendingReviewItems(jobId = null) {
+    const decisions = loadReviewDecisions();
+    return readReviewQueue().items
+        .filter(item => !jobId || item.jobId === jobId)
+        .filter(item => !decisions.has(item.originalName));
+}
+
+/**
+ * Find a name in the review queue or among the decisions
+ * @param {string} originalName - Bank name as read from the input
+ * @returns {Object|null} { item, decision }
+ */
+function findReviewItem(originalName) {
+    const item = readReviewQueue().items.find(entry => entry.originalName === originalName) || null;
+    const decision = loadReviewDecisions().get(originalName) || null;
+    return item || decision ? { item, decision } : null;
+}
+
+/**
+ * Record (or replace) the decision for a queued name
+ * approve keeps the suggested name, reject keeps the original name, reassign uses targetName.
+ * Decisions are reapplied by every later fuzzy matching run.
+ * @param {string} originalName - Bank name as read from the input
+ * @param {string} action - approve, reject or reassign
+ * @param {string} targetName - New name (reassign only)
+ * @returns {Object} Stored decision
+ */
+function decideReviewItem(originalName, action, targetName = null) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+        throw new Error(`Unknown review action "${action}"`);
+    }
+
+    const found = findReviewItem(originalName);
+    if (!found) {
+        throw new Error(`"${originalName}" is not in the review queue`);
+    }
+
+    // A name decided in an earlier run is no longer queued; reuse what was suggested then
+    const suggestion = found.item || found.decision;
+    const reassignedName = (targetName || '').toString().replace(/\s+/g, ' ').trim();
+    if (action === 'reassign' && !/\p{L}/u.test(reassignedName)) {
+        throw new Error('Reassigned bank name must contain letters');
+    }
+
+    const decision = {
+        originalName,
+        action,
+        targetName: {
+            approve: suggestion.suggestedName,
+            reject: originalName,
+            reassign: reassignedName
+        }[action],
+        suggestedName: suggestion.suggestedName,
+        score: suggestion.score,
+        category: suggestion.category,
+        decidedAt: new Date().toISOString()
+    };
+
+    const decisions = listReviewDecisions().filter(entry => entry.originalName !== originalName);
+    decisions.push(decision);
+    writeReviewDecisions(decisions);
+    console.log(`📝 Review: ${action} "${originalName}" → "${decision.targetName}"`);
+    return decision;
+}
+
+/**
+ * Forget the decision for a name; the next fuzzy matching run queues it again if needed
+ * @param {string} originalName - Bank name as read from the input
+ * @returns {Object} Removed decision
+ */
+function clearReviewDecision(originalName) {
+    const decisions = listReviewDecisions();
+    const position = decisions.findIndex(entry => entry.originalName === originalName);
+    if (position === -1) {
+        throw new Error(`No review decision recorded for "${originalName}"`);
+    }
+
+    const [decision] = decisions.splice(position, 1);
+    writeReviewDecisions(decisions);
+    return decision;
+}
+
+module.exports = {
+    REVIEW_QUEUE_FILE,
+    REVIEW_DECISIONS_FILE,
+    REVIEW_ACTIONS,
+    readReviewQueue,
+    saveReviewQueue,
+    listReviewDecisions,
+    loadReviewDecisions,
+    listPendingReviewItems,
+    findReviewItem,
+    decideReviewItem,
+    clearReviewDecision
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/* =========================================================
+   RUN HISTORY
+   ========================================================= */
+
+const RUN_HISTORY_DIR = 'run_history';
+const RUN_INDEX_FILE = path.join(RUN_HISTORY_DIR, 'index.json');
+const RUN_ID_PATTERN = /^run-[a-z0-9]+-[a-f0-9]{8}$/;
+
+/**
+ * Read the run index
+ * @returns {Object} { runs } (oldest first)
+ */
+function readRunIndex() {
+    if (!fs.existsSync(RUN_INDEX_FILE)) {
+        return { runs: [] };
+    }
+    return JSON.parse(fs.readFileSync(RUN_INDEX_FILE, 'utf-8'));
+}
+
+/**
+ * Write the run index
+ * @param {Object} index - { runs }
+ */
+function writeRunIndex(index) {
+    fs.mkdirSync(RUN_HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(RUN_INDEX_FILE, JSON.stringify(index, null, 2));
+}
+
+/**
+ * Path of a file kept with a run
+ * @param {string} runId - Run id
+ * @param {string} filename - File name (no directories)
+ * @returns {string} Path of the file
+ */
+function runFilePath(runId, filename) {
+    return path.join(RUN_HISTORY_DIR, runId, path.basename(filename));
+}
+
+/**
+ * Record a finished run
+ * The listed output files that exist in sourceDir are copied next to the entry, so the
+ * run's results stay available after its job is deleted or a later step overwrites them.
+ * @param {Object} details - { kind, jobId, status, startedAt, inputs, parameters, stats, error }
+ * @param {string} sourceDir - Directory holding the run's output files
+ * @param {Array<string>} fileNames - Output files to keep (missing ones are skipped)
+ * @returns {Object} Run entry
+ */
+function recordRun(details, sourceDir, fileNames = []) {
+    const id = `run-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const finishedAt = new Date();
+
+    const files = [];
+    fileNames
+        .filter(name => fs.existsSync(path.join(sourceDir, name)))
+        .forEach(name => {
+            fs.mkdirSync(path.join(RUN_HISTORY_DIR, id), { recursive: true });
+            fs.copyFileSync(path.join(sourceDir, name), runFilePath(id, name));
+            files.push({ name, size: fs.statSync(runFilePath(id, name)).size });
+        });
+
+    const entry = {
+        id,
+        ...details,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: details.startedAt ? finishedAt - new Date(details.startedAt) : null,
+        files
+    };
+
+    const index = readRunIndex();
+    index.runs.push(entry);
+    writeRunIndex(index);
+
+    console.log(`🕘 Recorded ${entry.kind} run ${id} (${entry.status}, ${files.length} files kept)`);
+    return entry;
+}
+
+/**
+ * List recorded runs, newest first
+ * @param {Object} filters - { kind, jobId } (optional)
+ * @returns {Array<Object>} Run entries
+ */
+function listRuns(filters = {}) {
+    return readRunIndex().runs
+        .filter(run => !filters.kind || run.kind === filters.kind)
+        .filter(run => !filters.jobId || run.jobId === filters.jobId)
+        .reverse();
+}
+
+/**
+ * Find a recorded run
+ * @param {string} runId - Run id
+ * @returns {Object|null} Run entry
+ */
+function getRun(runId) {
+    if (!RUN_ID_PATTERN.test(runId || '')) return null;
+    return readRunIndex().runs.find(run => run.id === runId) || null;
+}
+
+/**
+ * Delete a recorded run and its kept files
+ * @param {string} runId - Run id
+ * @returns {Object} Removed run entry
+ */
+function removeRun(runId) {
+    const index = readRunIndex();
+    const run = index.runs.find(entry => entry.id === runId);
+    if (!run) {
+        throw new Error(`Run "${runId}" not found`);
+    }
+
+    fs.rmSync(path.join(RUN_HISTORY_DIR, run.id), { recursive: true, force: true });
+    index.runs = index.runs.filter(entry => entry.id !== run.id);
+    writeRunIndex(index);
+
+    console.log(`🗑️ Removed run ${run.id}`);
+    return run;
+}
+
+/**
+ * Delete recorded runs that finished longer ago than maxAgeMs, with their kept files
+ * @param {number} maxAgeMs - Age in milliseconds
+ * @returns {number} Number of runs removed
+ */
+function pruneRuns(maxAgeMs) {
+    const index = readRunIndex();
+    const cutoff = Date.now() - maxAgeMs;
+    const expired = index.runs.filter(run => new Date(run.finishedAt).getTime() < cutoff);
+    if (expired.length === 0) return 0;
+
+    expired.forEach(run => fs.rmSync(path.join(RUN_HISTORY_DIR, run.id), { recursive: true, force: true }));
+    index.runs = index.runs.filter(run => !expired.includes(run));
+    writeRunIndex(index);
+
+    console.log(`🗑️ Removed ${expired.length} runs older than ${Math.round(maxAgeMs / 86400000)} days from the run history`);
+    return expired.length;
+}
+
+module.exports = {
+    RUN_HISTORY_DIR,
+    runFilePath,
+    recordRun,
+    listRuns,
+    getRun,
+    removeRun,
+    pruneRuns
+};
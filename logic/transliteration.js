@@ -0,0 +1,220 @@
+/* =========================================================
+   INDIC TRANSLITERATION & VOWEL VARIANT FOLDING
+   ========================================================= */
+
+/**
+ * Unicode blocks of the Brahmic scripts that share the ISCII layout: the same letter
+ * sits at the same offset in every block, so one offset table covers all of them.
+ * Northern scripts drop the inherent vowel at the end of a word (नगर → NAGAR);
+ * the Dravidian scripts keep it (ನಗರ → NAGARA).
+ */
+const INDIC_SCRIPTS = [
+    { name: 'Devanagari', base: 0x0900, dropsFinalVowel: true },
+    { name: 'Bengali', base: 0x0980, dropsFinalVowel: true },
+    { name: 'Gurmukhi', base: 0x0A00, dropsFinalVowel: true },
+    { name: 'Gujarati', base: 0x0A80, dropsFinalVowel: true },
+    { name: 'Oriya', base: 0x0B00, dropsFinalVowel: true },
+    { name: 'Tamil', base: 0x0B80, dropsFinalVowel: false },
+    { name: 'Telugu', base: 0x0C00, dropsFinalVowel: false },
+    { name: 'Kannada', base: 0x0C80, dropsFinalVowel: false },
+    { name: 'Malayalam', base: 0x0D00, dropsFinalVowel: false }
+];
+
+/**
+ * Consonants by block offset; each carries the inherent vowel A unless a vowel sign or virama follows
+ */
+const CONSONANTS = {
+    0x15: 'K', 0x16: 'KH', 0x17: 'G', 0x18: 'GH', 0x19: 'N',
+    0x1A: 'CH', 0x1B: 'CHH', 0x1C: 'J', 0x1D: 'JH', 0x1E: 'N',
+    0x1F: 'T', 0x20: 'TH', 0x21: 'D', 0x22: 'DH', 0x23: 'N',
+    0x24: 'T', 0x25: 'TH', 0x26: 'D', 0x27: 'DH', 0x28: 'N', 0x29: 'N',
+    0x2A: 'P', 0x2B: 'F', 0x2C: 'B', 0x2D: 'BH', 0x2E: 'M',
+    0x2F: 'Y', 0x30: 'R', 0x31: 'R', 0x32: 'L', 0x33: 'L', 0x34: 'ZH', 0x35: 'V',
+    0x36: 'SH', 0x37: 'SH', 0x38: 'S', 0x39: 'H',
+    0x58: 'K', 0x59: 'KH', 0x5A: 'G', 0x5B: 'Z', 0x5C: 'R', 0x5D: 'RH', 0x5E: 'F', 0x5F: 'Y'
+};
+
+/**
+ * Independent vowels by block offset (long and short forms are not distinguished)
+ */
+const VOWELS = {
+    0x05: 'A', 0x06: 'A', 0x07: 'I', 0x08: 'I', 0x09: 'U', 0x0A: 'U',
+    0x0B: 'RI', 0x0C: 'LI', 0x0D: 'E', 0x0E: 'E', 0x0F: 'E', 0x10: 'AI',
+    0x11: 'O', 0x12: 'O', 0x13: 'O', 0x14: 'AU', 0x60: 'RI', 0x61: 'LI'
+};
+
+/**
+ * Dependent vowel signs by block offset; they replace the inherent vowel of the consonant before them
+ */
+const VOWEL_SIGNS = {
+    0x3E: 'A', 0x3F: 'I', 0x40: 'I', 0x41: 'U', 0x42: 'U', 0x43: 'RI', 0x44: 'RI',
+    0x45: 'E', 0x46: 'E', 0x47: 'E', 0x48: 'AI', 0x49: 'O', 0x4A: 'O', 0x4B: 'O', 0x4C: 'AU',
+    0x62: 'LI', 0x63: 'LI'
+};
+
+/**
+ * Sounds a nukta turns the consonant before it into (स़ → SH, ज़ → Z, क़ → Q)
+ */
+const NUKTA_FORMS = { S: 'SH', J: 'Z', K: 'Q', KH: 'KH', G: 'G', D: 'R', DH: 'RH' };
+
+const NASALS = [0x01, 0x02];
+const VISARGA = 0x03;
+const NUKTA = 0x3C;
+const VIRAMA = 0x4D;
+const OM = 0x50;
+const LABIALS = [0x2A, 0x2B, 0x2C, 0x2D, 0x2E];
+
+/**
+ * Letters outside the shared layout: consonants that never carry a vowel
+ * (Bengali khanda ta, Malayalam chillu letters) and Gurmukhi nasal marks
+ */
+const FINAL_CONSONANTS = {
+    0x09CE: 'T',
+    0x0D7A: 'N', 0x0D7B: 'N', 0x0D7C: 'R', 0x0D7D: 'L', 0x0D7E: 'L', 0x0D7F: 'K'
+};
+const EXTRA_NASALS = [0x0A70];
+const ZERO_WIDTH_JOINERS = [0x200C, 0x200D];
+const INDIC_TEXT = /[\u0900-\u0D7F]/;
+
+/**
+ * Check whether text contains letters of one of the Indic scripts
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function containsIndicScript(text) {
+    return INDIC_TEXT.test(text || '');
+}
+
+/**
+ * Find the Indic block a code point belongs to
+ * @param {number} code - Unicode code point
+ * @returns {Object|null} Script from INDIC_SCRIPTS
+ */
+function indicScriptOf(code) {
+    if (code < 0x0900 || code > 0x0D7F) return null;
+    return INDIC_SCRIPTS[(code - 0x0900) >> 7];
+}
+
+/**
+ * Transliterate Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Tamil, Telugu, Kannada
+ * and Malayalam text into plain uppercase Latin letters
+ * Consonants carry the inherent vowel A until a vowel sign or virama replaces it;
+ * anusvara becomes M before P/B/M sounds and N elsewhere. Characters outside these
+ * blocks are copied unchanged, so Latin names pass through as they are.
+ * @param {string} text - Text in any mix of scripts
+ * @returns {string} Text with Indic letters replaced by Latin ones
+ */
+function transliterateIndic(text) {
+    if (!containsIndicScript(text)) return text;
+
+    const chars = Array.from(text);
+    let output = '';
+    let pendingScript = null; // script of a consonant still waiting for its vowel
+    let lastConsonant = '';
+
+    const settleVowel = (wordEnds) => {
+        if (pendingScript && !(wordEnds && pendingScript.dropsFinalVowel)) {
+            output += 'A';
+        }
+        pendingScript = null;
+    };
+
+    chars.forEach((char, i) => {
+        const code = char.codePointAt(0);
+        const script = indicScriptOf(code);
+        if (ZERO_WIDTH_JOINERS.includes(code)) return;
+        if (!script) {
+            settleVowel(true);
+            output += char;
+            return;
+        }
+
+        const offset = code - script.base;
+        const nextCode = i + 1 < chars.length ? chars[i + 1].codePointAt(0) : null;
+
+        if (CONSONANTS[offset]) {
+            settleVowel(false);
+            output += CONSONANTS[offset];
+            lastConsonant = CONSONANTS[offset];
+            pendingScript = script;
+        } else if (offset === NUKTA) {
+            if (pendingScript && NUKTA_FORMS[lastConsonant]) {
+                output = output.slice(0, -lastConsonant.length) + NUKTA_FORMS[lastConsonant];
+            }
+        } else if (VOWEL_SIGNS[offset]) {
+            output += VOWEL_SIGNS[offset];
+            pendingScript = null;
+        } else if (offset === VIRAMA) {
+            pendingScript = null;
+        } else if (FINAL_CONSONANTS[code]) {
+            settleVowel(false);
+            output += FINAL_CONSONANTS[code];
+        } else if (NASALS.includes(offset) || EXTRA_NASALS.includes(code)) {
+            settleVowel(false);
+            const beforeLabial = nextCode !== null && indicScriptOf(nextCode) &&
+                LABIALS.includes(nextCode - indicScriptOf(nextCode).base);
+            output += beforeLabial ? 'M' : 'N';
+        } else if (offset === VISARGA) {
+            settleVowel(false);
+            output += 'H';
+        } else if (VOWELS[offset]) {
+            settleVowel(false);
+            output += VOWELS[offset];
+        } else if (offset === OM) {
+            settleVowel(false);
+            output += 'OM';
+        } else if (offset >= 0x66 && offset <= 0x6F) {
+            settleVowel(true);
+            output += String(offset - 0x66);
+        }
+        // Accent marks, length marks and other signs carry no Latin letter
+    });
+
+    settleVowel(true);
+    return output;
+}
+
+/**
+ * Fold romanization variants of Indian words in a normalized name
+ * Doubled vowels are reduced (AA → A, EE/II → I, OO/UU → U), then a short A between
+ * two consonants is dropped when a vowel comes before the first consonant and after the
+ * second (the schwa Hindi leaves unspoken), so सहकारी and नागरिक read SAHKARI and NAGRIK.
+ * @param {string} name - Name containing only A-Z and single spaces
+ * @returns {string} Folded name
+ */
+function foldVowelVariants(name) {
+    if (!name) return name;
+
+    return name.split(' ').map(token => token
+        .replace(/A{2,}/g, 'A')
+        .replace(/E{2,}|I{2,}/g, 'I')
+        .replace(/O{2,}|U{2,}/g, 'U')
+        .replace(/([AEIOU][B-DF-HJ-NP-TV-Z])A(?=[B-DF-HJ-NP-TV-Z][AEIOU])/g, '$1')
+    ).join(' ');
+}
+
+/**
+ * Transliterate the Indic words of a name and fold their vowel variants
+ * Words already written in Latin letters are left as they are: folding them would turn
+ * English names such as CANARA into CANRA while CANNARA stays, pulling apart spellings
+ * that differ by one letter. Latin romanizations (SAHKARI, NAGRIK) are matched through
+ * config/bank-name-aliases.json instead.
+ * @param {string} text - Name in any mix of scripts
+ * @returns {string} Name with Indic words replaced by folded uppercase Latin ones
+ */
+function romanizeName(text) {
+    if (!containsIndicScript(text)) return text;
+
+    return text.split(/(\s+)/).map(word => {
+        if (!containsIndicScript(word)) return word;
+        return foldVowelVariants(transliterateIndic(word).toUpperCase().replace(/[^A-Z]/g, ''));
+    }).join('');
+}
+
+module.exports = {
+    INDIC_SCRIPTS,
+    containsIndicScript,
+    transliterateIndic,
+    foldVowelVariants,
+    romanizeName
+};
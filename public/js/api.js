@@ -4,19 +4,29 @@
 
 const API = {
     baseURL: 'http://localhost:3000/api',
+    jobId: sessionStorage.getItem('jobId'),
 
-    headerlessFiles: new Set([
-        'valid_records.csv',
-        'invalid_records.csv',
-        'ifsc_matched.csv',
-        'ifsc_unmatched.csv',
-        'micr_matched.csv',
-        'micr_unmatched.csv',
-        'ifsc_missing_micr_present.csv',
-        'micr_missing_ifsc_present.csv',
-        'ifsc_micr_both_unmatched.csv',
-        'ifsc_micr_both_unmatched_sorted.csv'
-    ]),
+    /**
+     * Remember the job later steps, downloads and the dashboard work on
+     */
+    setJob(jobId) {
+        this.jobId = jobId || null;
+        if (this.jobId) {
+            sessionStorage.setItem('jobId', this.jobId);
+        } else {
+            sessionStorage.removeItem('jobId');
+        }
+    },
+
+    /**
+     * URL of an endpoint of the current job
+     */
+    jobURL(path = '') {
+        if (!this.jobId) {
+            throw new Error('No job yet. Upload an input file or run the complete workflow first.');
+        }
+        return `${this.baseURL}/jobs/${encodeURIComponent(this.jobId)}${path}`;
+    },
 
     /**
      * Health check endpoint
@@ -31,11 +41,25 @@ const API = {
         }
     },
 
+    /**
+     * List available column mapping profiles
+     */
+    async getProfiles() {
+        try {
+            const response = await fetch(`${this.baseURL}/profiles`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to list profiles:', error);
+            throw error;
+        }
+    },
+
     /**
      * Upload input file (CSV/Excel/JSON)
      */
-    async uploadInputFile(file) {
+    async uploadInputFile(file, profile = 'default') {
         const formData = new FormData();
+        formData.append('profile', profile);
         formData.append('inputFile', file);
 
         try {
@@ -53,8 +77,9 @@ const API = {
     /**
      * Upload bank mapping file
      */
-    async uploadBankMapping(file) {
+    async uploadBankMapping(file, profile = 'default') {
         const formData = new FormData();
+        formData.append('profile', profile);
         formData.append('bankMappingFile', file);
 
         try {
@@ -70,15 +95,168 @@ const API = {
     },
 
     /**
-     * Compare IFSC and MICR codes
+     * List stored bank mapping versions
+     */
+    async getMappingVersions() {
+        try {
+            const response = await fetch(`${this.baseURL}/mapping/versions`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to list mapping versions:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Make a stored bank mapping version the active one
+     */
+    async activateMappingVersion(version) {
+        try {
+            const response = await fetch(`${this.baseURL}/mapping/versions/${encodeURIComponent(version)}/activate`, {
+                method: 'POST'
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to activate mapping version:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Diff two stored bank mapping versions (the files go to the current job, if any)
+     */
+    async diffMappings(fromVersion, toVersion) {
+        try {
+            const response = await fetch(`${this.baseURL}/mapping/diff`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fromVersion, toVersion, jobId: this.jobId || undefined })
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Mapping diff failed:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * List the canonical bank name dictionary
+     */
+    async getBankNames() {
+        try {
+            const response = await fetch(`${this.baseURL}/bank-names`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to list bank names:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Add a canonical bank name
      */
-    async compareData() {
+    async addBankName(name) {
         try {
-            const response = await fetch(`${this.baseURL}/compare`, {
+            const response = await fetch(`${this.baseURL}/bank-names`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to add bank name:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Remove a canonical bank name
+     */
+    async removeBankName(name) {
+        try {
+            const response = await fetch(`${this.baseURL}/bank-names/${encodeURIComponent(name)}`, {
+                method: 'DELETE'
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to remove bank name:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Seed the bank name dictionary from the active bank mapping version
+     */
+    async seedBankNames() {
+        try {
+            const response = await fetch(`${this.baseURL}/bank-names/seed`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
             return await response.json();
+        } catch (error) {
+            console.error('Failed to seed bank names:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * List the current job's fuzzy matches waiting for review and the decisions made so far
+     */
+    async getReviewQueue() {
+        try {
+            const query = this.jobId ? `?jobId=${encodeURIComponent(this.jobId)}` : '';
+            const response = await fetch(`${this.baseURL}/review${query}`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to load review queue:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Approve, reject or reassign a queued match
+     */
+    async decideReview(name, action, targetName = null) {
+        try {
+            const response = await fetch(`${this.baseURL}/review/${encodeURIComponent(name)}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(targetName ? { targetName } : {})
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to record review decision:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Clear the review decision for a name
+     */
+    async clearReviewDecision(name) {
+        try {
+            const response = await fetch(`${this.baseURL}/review/${encodeURIComponent(name)}`, {
+                method: 'DELETE'
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to clear review decision:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Compare the current job's IFSC and MICR codes (against the active mapping version unless one is given)
+     */
+    async compareData(mappingVersion = null) {
+        try {
+            const response = await fetch(this.jobURL('/compare'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(mappingVersion ? { mappingVersion } : {})
+            });
+            return await response.json();
         } catch (error) {
             console.error('Comparison failed:', error);
             throw error;
@@ -86,11 +264,11 @@ const API = {
     },
 
     /**
-     * Apply fuzzy matching to bank names
+     * Apply fuzzy matching to the current job's bank names
      */
     async fuzzyMatch() {
         try {
-            const response = await fetch(`${this.baseURL}/fuzzy-match`, {
+            const response = await fetch(this.jobURL('/fuzzy-match'), {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
@@ -102,12 +280,16 @@ const API = {
     },
 
     /**
-     * Process complete workflow (all steps at once)
+     * Queue the complete workflow (all steps at once) as a background job
+     * Without a bank mapping file the stored mapping version is used.
+     * Returns the new job id at once; poll getJobStatus for progress and results.
      */
-    async processAll(inputFile, bankMappingFile) {
+    async processAll(inputFile, bankMappingFile, profile = 'default', mappingVersion = null) {
         const formData = new FormData();
+        formData.append('profile', profile);
+        if (mappingVersion) formData.append('mappingVersion', mappingVersion);
         formData.append('inputFile', inputFile);
-        formData.append('bankMappingFile', bankMappingFile);
+        if (bankMappingFile) formData.append('bankMappingFile', bankMappingFile);
 
         try {
             const response = await fetch(`${this.baseURL}/process-all`, {
@@ -122,11 +304,46 @@ const API = {
     },
 
     /**
-     * Get list of all generated files
+     * Get status, progress and (once completed) results of the current job
+     */
+    async getJobStatus() {
+        try {
+            const response = await fetch(this.jobURL('/status'));
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to get job status:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Open the Server-Sent Events stream of the current job's progress, status and log
+     */
+    openJobEvents() {
+        return new EventSource(this.jobURL('/events'));
+    },
+
+    /**
+     * Cancel the current job while it is queued or running
+     */
+    async cancelJob() {
+        try {
+            const response = await fetch(this.jobURL('/cancel'), {
+                method: 'POST'
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to cancel job:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get list of the current job's generated files
      */
     async listFiles() {
         try {
-            const response = await fetch(`${this.baseURL}/files`);
+            const response = await fetch(this.jobURL('/files'));
             return await response.json();
         } catch (error) {
             console.error('Failed to list files:', error);
@@ -135,21 +352,23 @@ const API = {
     },
 
     /**
-     * Download a specific file
+     * Download a specific file of the current job
      */
     downloadFile(filename) {
-        window.location.href = `${this.baseURL}/download/${filename}`;
+        window.location.href = this.jobURL(`/download/${filename}`);
     },
 
     /**
-     * Clean up all generated files
+     * Delete the current job and all of its files
      */
     async cleanup() {
         try {
-            const response = await fetch(`${this.baseURL}/cleanup`, {
+            const response = await fetch(this.jobURL(), {
                 method: 'DELETE'
             });
-            return await response.json();
+            const result = await response.json();
+            if (result.success) this.setJob(null);
+            return result;
         } catch (error) {
             console.error('Cleanup failed:', error);
             throw error;
@@ -157,11 +376,63 @@ const API = {
     },
 
     /**
-     * Read CSV file on client side for dashboard display
+     * List recorded runs, newest first
+     */
+    async getRuns() {
+        try {
+            const response = await fetch(`${this.baseURL}/runs`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to list runs:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a recorded run with its inputs, parameters, stats and kept files
+     */
+    async getRun(runId) {
+        try {
+            const response = await fetch(`${this.baseURL}/runs/${encodeURIComponent(runId)}`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to get run:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a recorded run and its kept files
+     */
+    async deleteRun(runId) {
+        try {
+            const response = await fetch(`${this.baseURL}/runs/${encodeURIComponent(runId)}`, {
+                method: 'DELETE'
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to delete run:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Download a file kept with a recorded run
      */
-    async readCSVFile(filename) {
+    downloadRunFile(runId, filename) {
+        window.location.href = `${this.baseURL}/runs/${encodeURIComponent(runId)}/download/${filename}`;
+    },
+
+    /**
+     * Read a CSV file of the current job (or of a recorded run) on client side for dashboard display
+     */
+    async readCSVFile(filename, runId = null) {
         try {
-            const response = await fetch(`${this.baseURL}/download/${filename}`);
+            const url = runId ?
+                `${this.baseURL}/runs/${encodeURIComponent(runId)}/download/${filename}` :
+                this.jobURL(`/download/${filename}`);
+            const response = await fetch(url);
+            if (!response.ok) return [];
             const text = await response.text();
             return this.parseCSV(text, filename);
         } catch (error) {
@@ -214,8 +485,6 @@ const API = {
     },
 
     detectHeader(filename, firstLine, delimiter) {
-        if (this.headerlessFiles.has(filename)) return false;
-
         const lower = firstLine.toLowerCase();
         if (lower.includes('ifsc') || lower.includes('micr') || lower.includes('bank')) {
             return true;
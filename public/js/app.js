@@ -16,17 +16,31 @@ const Dashboard = {
         ifscMissingMicrPresent: [],
         micrMissingIfscPresent: [],
         ifscUnmatched: [],
-        micrUnmatched: []
+        micrUnmatched: [],
+        pairMismatch: [],
+        bankNameConflicts: [],
+        ifscRepairSuggestions: [],
+        micrCorrections: [],
+        mappingAdded: [],
+        mappingRemoved: [],
+        mappingMicrChanged: [],
+        mappingBankNameChanged: [],
+        mappingBranchRenamed: []
     },
 
+    viewingRun: null, // recorded run shown instead of the current job (see RunHistory)
     currentView: 'overview',
     currentPage: 1,
     recordsPerPage: 50,
 
     /**
      * Load all dashboard data - ALL RECORDS INCLUDING EDGE CASES
+     * @param {Object|null} run - Recorded run to show instead of the current job
      */
-    async loadDashboard() {
+    async loadDashboard(run = null) {
+        this.viewingRun = run;
+        const runId = run ? run.id : null;
+        UI.hideAlert('dashboardAlert');
         UI.showLoading('dashboardLoading', 'Loading dashboard data...');
 
         try {
@@ -35,19 +49,28 @@ const Dashboard = {
             // Load ALL CSV files - No records will be missed!
             // Using Promise.allSettled to load even if some files are missing
             const results = await Promise.allSettled([
-                API.readCSVFile('valid_records.csv'),
-                API.readCSVFile('invalid_records.csv'),
-                API.readCSVFile('ifsc_matched.csv'),
-                API.readCSVFile('micr_matched.csv'),
-                API.readCSVFile('ifsc_micr_both_unmatched_sorted.csv'),
-                API.readCSVFile('bank_names_corrected.csv'),
-                API.readCSVFile('exact_matches_report.csv'),
-                API.readCSVFile('ifsc_mismatch_but_micr_found.csv'),
-                API.readCSVFile('micr_mismatch_but_ifsc_found.csv'),
-                API.readCSVFile('ifsc_missing_micr_present.csv'),
-                API.readCSVFile('micr_missing_ifsc_present.csv'),
-                API.readCSVFile('ifsc_unmatched.csv'),
-                API.readCSVFile('micr_unmatched.csv')
+                API.readCSVFile('valid_records.csv', runId),
+                API.readCSVFile('invalid_records.csv', runId),
+                API.readCSVFile('ifsc_matched.csv', runId),
+                API.readCSVFile('micr_matched.csv', runId),
+                API.readCSVFile('ifsc_micr_both_unmatched_sorted.csv', runId),
+                API.readCSVFile('bank_names_corrected.csv', runId),
+                API.readCSVFile('exact_matches_report.csv', runId),
+                API.readCSVFile('ifsc_mismatch_but_micr_found.csv', runId),
+                API.readCSVFile('micr_mismatch_but_ifsc_found.csv', runId),
+                API.readCSVFile('ifsc_missing_micr_present.csv', runId),
+                API.readCSVFile('micr_missing_ifsc_present.csv', runId),
+                API.readCSVFile('ifsc_unmatched.csv', runId),
+                API.readCSVFile('micr_unmatched.csv', runId),
+                API.readCSVFile('ifsc_micr_pair_mismatch.csv', runId),
+                API.readCSVFile('bank_name_conflicts.csv', runId),
+                API.readCSVFile('ifsc_repair_suggestions.csv', runId),
+                API.readCSVFile('micr_corrections.csv', runId),
+                API.readCSVFile('mapping_diff_added.csv', runId),
+                API.readCSVFile('mapping_diff_removed.csv', runId),
+                API.readCSVFile('mapping_diff_micr_changed.csv', runId),
+                API.readCSVFile('mapping_diff_bank_name_changed.csv', runId),
+                API.readCSVFile('mapping_diff_branch_renamed.csv', runId)
             ]);
 
             // Extract data from settled promises
@@ -64,7 +87,16 @@ const Dashboard = {
                 ifscMissingMicrPresent,
                 micrMissingIfscPresent,
                 ifscUnmatched,
-                micrUnmatched
+                micrUnmatched,
+                pairMismatch,
+                bankNameConflicts,
+                ifscRepairSuggestions,
+                micrCorrections,
+                mappingAdded,
+                mappingRemoved,
+                mappingMicrChanged,
+                mappingBankNameChanged,
+                mappingBranchRenamed
             ] = results.map(r => r.status === 'fulfilled' ? (r.value || []) : []);
 
             this.currentData = {
@@ -78,9 +110,18 @@ const Dashboard = {
                 ifscMismatchMicrFound,
                 micrMismatchIfscFound,
                 ifscMissingMicrPresent,
-                micrMissingIfscPresent,
-                ifscUnmatched,
-                micrUnmatched
+                micrMissingIfscPresent: this.withMicrCorrections(micrMissingIfscPresent, micrCorrections),
+                ifscUnmatched: this.withRepairSuggestions(ifscUnmatched, ifscRepairSuggestions),
+                micrUnmatched,
+                pairMismatch,
+                bankNameConflicts,
+                ifscRepairSuggestions,
+                micrCorrections,
+                mappingAdded,
+                mappingRemoved,
+                mappingMicrChanged,
+                mappingBankNameChanged,
+                mappingBranchRenamed
             };
 
             // Log summary
@@ -92,10 +133,21 @@ const Dashboard = {
             console.log(`  - IFSC Unmatched: ${ifscUnmatched.length}`);
             console.log(`  - MICR Unmatched: ${micrUnmatched.length}`);
             console.log(`  - Both Unmatched: ${bothUnmatched.length}`);
+            console.log(`  - IFSC/MICR Pair Mismatch: ${pairMismatch.length}`);
+            console.log(`  - Bank Name Conflicts: ${bankNameConflicts.length}`);
+            console.log(`  - IFSC Repair Suggestions: ${ifscRepairSuggestions.length}`);
+            console.log(`  - MICR Corrections: ${micrCorrections.length}`);
 
             this.renderOverview();
             this.renderDatasetSelector();
 
+            if (run) {
+                const inputFile = run.inputs && run.inputs.inputFile ? ` of ${Utils.sanitizeHTML(run.inputs.inputFile)}` : '';
+                UI.showAlert('dashboardAlert', 'info',
+                    `🕘 Showing ${RunHistory.kindLabels[run.kind] || run.kind} run ${run.id}${inputFile} from ${Utils.formatDate(run.finishedAt)}.
+                    <button class="btn btn-sm btn-secondary" onclick="Dashboard.loadDashboard()">Back to Current Job</button>`);
+            }
+
         } catch (error) {
             console.error('Error loading dashboard:', error);
             UI.showAlert('dashboardAlert', 'error', '❌ Failed to load dashboard data');
@@ -104,6 +156,59 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Add the IFSC repair suggestions of each unmatched IFSC record as a SuggestedIFSC column
+     * Records are matched to suggestions by the IFSC and MICR values they contain, so any
+     * column profile works.
+     */
+    withRepairSuggestions(records, suggestions) {
+        if (suggestions.length === 0) return records;
+
+        const byIfsc = new Map();
+        suggestions.forEach(suggestion => {
+            if (!byIfsc.has(suggestion.IFSC)) byIfsc.set(suggestion.IFSC, []);
+            byIfsc.get(suggestion.IFSC).push(suggestion);
+        });
+
+        return records.map(record => {
+            const values = Object.values(record);
+            const ifsc = values.find(value => byIfsc.has(value));
+            const listed = new Set();
+            const suggested = (ifsc ? byIfsc.get(ifsc) : [])
+                .filter(suggestion => values.includes(suggestion.MICR) && !listed.has(suggestion.SuggestedIFSC))
+                .map(suggestion => {
+                    listed.add(suggestion.SuggestedIFSC);
+                    return `${suggestion.SuggestedIFSC} (${suggestion.Confidence}%)`;
+                });
+
+            return { ...record, SuggestedIFSC: suggested.join(', ') };
+        });
+    },
+
+    /**
+     * Add the proposed MICR and verdict of each MICR-missing record as ProposedMICR / MicrVerdict columns
+     * Matched by the IFSC and MICR values the record contains, like withRepairSuggestions.
+     */
+    withMicrCorrections(records, corrections) {
+        if (corrections.length === 0) return records;
+
+        const byPair = new Map();
+        corrections.forEach(correction => byPair.set(`${correction.IFSC}|${correction.MICR}`, correction));
+
+        return records.map(record => {
+            const values = Object.values(record);
+            const correction = values
+                .map(ifsc => values.map(micr => byPair.get(`${ifsc}|${micr}`)).find(Boolean))
+                .find(Boolean);
+
+            return {
+                ...record,
+                ProposedMICR: correction ? correction.ProposedMICR : '',
+                MicrVerdict: correction ? correction.Verdict : ''
+            };
+        });
+    },
+
     /**
      * Render overview statistics - Shows ALL record categories
      */
@@ -123,6 +228,12 @@ const Dashboard = {
             'IFSC Missing (MICR Present)': this.currentData.ifscMissingMicrPresent.length,
             'MICR Missing (IFSC Present)': this.currentData.micrMissingIfscPresent.length,
             'Both Unmatched': this.currentData.bothUnmatched.length,
+            'IFSC/MICR Pair Mismatch': this.currentData.pairMismatch.length,
+            'Bank Name Conflicts': this.currentData.bankNameConflicts.length,
+            'IFSC Repairs Suggested': this.currentData.ifscUnmatched.filter(row => row.SuggestedIFSC).length,
+            'MICR Typos': this.currentData.micrCorrections.filter(row => row.Verdict === 'TYPO').length,
+            'MICR Different Branch': this.currentData.micrCorrections.filter(row => row.Verdict === 'DIFFERENT_BRANCH').length,
+            'MICR Bank Mismatch': this.countMicrBankMismatches(),
             'Bank Names Corrected': this.currentData.corrected.length,
             'Unique Bank Groups': this.currentData.exactMatches.length
         };
@@ -133,7 +244,7 @@ const Dashboard = {
         for (const [label, value] of Object.entries(stats)) {
             let colorClass = '';
             if (label.includes('Matched')) colorClass = 'success';
-            else if (label.includes('Invalid') || label.includes('Unmatched')) colorClass = 'danger';
+            else if (label.includes('Invalid') || label.includes('Unmatched') || label.includes('Mismatch') || label.includes('Conflicts')) colorClass = 'danger';
             else if (label.includes('Corrected')) colorClass = 'warning';
 
             html += `
@@ -177,6 +288,15 @@ const Dashboard = {
         overview.innerHTML = html;
     },
 
+    /**
+     * Count valid records whose MICR bank segment disagrees with the IFSC bank
+     */
+    countMicrBankMismatches() {
+        return this.currentData.valid
+            .filter(row => Object.values(row).includes('BANK_MISMATCH'))
+            .length;
+    },
+
     /**
      * Render dataset selector - ALL datasets visible
      */
@@ -196,8 +316,17 @@ const Dashboard = {
             { id: 'ifscMissingMicrPresent', label: '🔶 IFSC Missing (MICR Present)', count: this.currentData.ifscMissingMicrPresent.length },
             { id: 'micrMissingIfscPresent', label: '🔶 MICR Missing (IFSC Present)', count: this.currentData.micrMissingIfscPresent.length },
             { id: 'bothUnmatched', label: '🚫 Both Unmatched', count: this.currentData.bothUnmatched.length },
+            { id: 'pairMismatch', label: '🔀 IFSC/MICR Pair Mismatch', count: this.currentData.pairMismatch.length },
+            { id: 'bankNameConflicts', label: '🏷️ Bank Name Conflicts', count: this.currentData.bankNameConflicts.length },
+            { id: 'ifscRepairSuggestions', label: '🩹 IFSC Repair Suggestions', count: this.currentData.ifscRepairSuggestions.length },
+            { id: 'micrCorrections', label: '🩹 MICR Corrections', count: this.currentData.micrCorrections.length },
             { id: 'corrected', label: '🔧 Bank Names Corrected', count: this.currentData.corrected.length },
-            { id: 'exactMatches', label: '📊 Bank Groups Summary', count: this.currentData.exactMatches.length }
+            { id: 'exactMatches', label: '📊 Bank Groups Summary', count: this.currentData.exactMatches.length },
+            { id: 'mappingAdded', label: '➕ Mapping: Added IFSCs', count: this.currentData.mappingAdded.length },
+            { id: 'mappingRemoved', label: '➖ Mapping: Removed IFSCs', count: this.currentData.mappingRemoved.length },
+            { id: 'mappingMicrChanged', label: '🔁 Mapping: MICR Changed', count: this.currentData.mappingMicrChanged.length },
+            { id: 'mappingBankNameChanged', label: '🏦 Mapping: Bank Name Changed', count: this.currentData.mappingBankNameChanged.length },
+            { id: 'mappingBranchRenamed', label: '🏢 Mapping: Branch Renamed', count: this.currentData.mappingBranchRenamed.length }
         ];
 
         let html = '<h3>📋 View Detailed Records</h3>';
@@ -242,19 +371,28 @@ const Dashboard = {
      */
     getDatasetInfo(datasetId) {
         const info = {
-            valid: { title: 'Valid Records', description: 'All records with valid IFSC (11 chars) and MICR (9 chars)' },
-            invalid: { title: 'Invalid Records', description: 'Records that failed validation' },
+            valid: { title: 'Valid Records', description: 'All records with a structurally valid IFSC (RBI format) and MICR (9 digits)' },
+            invalid: { title: 'Invalid Records', description: 'Records that failed validation (last column holds the rejection reason codes)' },
             ifscMatched: { title: 'IFSC Matched Records', description: 'Records where IFSC code was found in bank mapping' },
             micrMatched: { title: 'MICR Matched Records', description: 'Records where MICR code was found in bank mapping' },
-            ifscUnmatched: { title: 'IFSC Unmatched Records', description: 'Records where IFSC code was NOT found in bank mapping' },
+            ifscUnmatched: { title: 'IFSC Unmatched Records', description: 'Records where IFSC code was NOT found in bank mapping (SuggestedIFSC lists the nearest mapping IFSCs)' },
             micrUnmatched: { title: 'MICR Unmatched Records', description: 'Records where MICR code was NOT found in bank mapping' },
             ifscMismatchMicrFound: { title: 'IFSC Mismatch but MICR Found', description: 'Records where IFSC did not match but MICR was found in bank mapping' },
             micrMismatchIfscFound: { title: 'MICR Mismatch but IFSC Found', description: 'Records where MICR did not match but IFSC was found in bank mapping' },
             ifscMissingMicrPresent: { title: 'IFSC Missing, MICR Present', description: 'Records that are missing IFSC code but have MICR code' },
             micrMissingIfscPresent: { title: 'MICR Missing, IFSC Present', description: 'Records that are missing MICR code but have IFSC code' },
             bothUnmatched: { title: 'Both Unmatched Records', description: 'Records where neither IFSC nor MICR were found in bank mapping' },
+            pairMismatch: { title: 'IFSC/MICR Pair Mismatch', description: 'Records where IFSC and MICR both exist in bank mapping but not on the same row' },
+            bankNameConflicts: { title: 'Bank Name Conflicts', description: 'IFSC-matched records whose bank name does not strongly match the bank mapping' },
+            ifscRepairSuggestions: { title: 'IFSC Repair Suggestions', description: 'Mapping IFSCs within two edits of an unmatched IFSC, best first per record' },
+            micrCorrections: { title: 'MICR Corrections', description: 'Mapped MICR for the matched IFSC of each MICR-missing record, flagged as a typo or a different branch' },
             corrected: { title: 'Bank Names Corrected', description: 'All records with fuzzy-matched bank names' },
-            exactMatches: { title: 'Bank Groups Summary', description: 'Grouped bank names with statistics' }
+            exactMatches: { title: 'Bank Groups Summary', description: 'Grouped bank names with statistics' },
+            mappingAdded: { title: 'Mapping Diff: Added IFSCs', description: 'IFSCs present in the newer bank mapping version only' },
+            mappingRemoved: { title: 'Mapping Diff: Removed IFSCs', description: 'IFSCs present in the older bank mapping version only' },
+            mappingMicrChanged: { title: 'Mapping Diff: MICR Changed', description: 'IFSCs whose MICR differs between the two bank mapping versions' },
+            mappingBankNameChanged: { title: 'Mapping Diff: Bank Name Changed', description: 'IFSCs whose bank name differs between the two bank mapping versions' },
+            mappingBranchRenamed: { title: 'Mapping Diff: Branch Renamed', description: 'IFSCs whose branch name differs between the two bank mapping versions' }
         };
 
         return info[datasetId] || { title: 'Records', description: '' };
@@ -452,7 +590,14 @@ const Dashboard = {
             micrMatched: [],
             bothUnmatched: [],
             corrected: [],
-            exactMatches: []
+            exactMatches: [],
+            pairMismatch: [],
+            bankNameConflicts: [],
+            mappingAdded: [],
+            mappingRemoved: [],
+            mappingMicrChanged: [],
+            mappingBankNameChanged: [],
+            mappingBranchRenamed: []
         };
 
         const overview = document.getElementById('dashboardOverview');
@@ -464,6 +609,41 @@ const Dashboard = {
         if (container) container.innerHTML = '';
     },
 
+    /**
+     * Diff the two selected bank mapping versions and show the results
+     */
+    async runMappingDiff() {
+        const fromVersion = document.getElementById('diffFromVersion').value;
+        const toVersion = document.getElementById('diffToVersion').value;
+
+        if (!fromVersion || !toVersion) {
+            UI.showAlert('mappingDiffResult', 'error', '❌ Select two stored bank mapping versions');
+            return;
+        }
+
+        UI.hideAlert('mappingDiffResult');
+        UI.showLoading('mappingDiffLoading', 'Comparing bank mapping versions...');
+
+        try {
+            const result = await API.diffMappings(fromVersion, toVersion);
+
+            if (result.success) {
+                API.setJob(result.jobId);
+                UI.renderStats('mappingDiffStats', result.data);
+                UI.showAlert('mappingDiffResult', 'success',
+                    `✅ Compared ${result.fromVersion} → ${result.toVersion}. Use the dataset buttons below to browse the changes.`);
+                await FileHandler.listFiles();
+                await this.loadDashboard();
+            } else {
+                UI.showAlert('mappingDiffResult', 'error', `❌ ${result.error}${result.message ? ': ' + result.message : ''}`);
+            }
+        } catch (error) {
+            UI.showAlert('mappingDiffResult', 'error', `❌ Error: ${error.message}`);
+        } finally {
+            UI.hideLoading('mappingDiffLoading');
+        }
+    },
+
     /**
      * Show modal to view old data backups
      */
@@ -484,7 +664,7 @@ const Dashboard = {
                 backupList.innerHTML = `
                     <div class="alert alert-info">
                         <strong>No old data found</strong>
-                        <p>There are no previous backups available. Old data is created automatically when you upload and process new files.</p>
+                        <p>There are no previous backups available. Runs now keep their outputs in their own job, so no new backups are made.</p>
                     </div>
                 `;
                 return;
@@ -593,10 +773,20 @@ const Dashboard = {
                 'ifsc_unmatched': 'IFSC Unmatched',
                 'micr_unmatched': 'MICR Unmatched',
                 'ifsc_micr_both_unmatched_sorted': 'Both Unmatched (Sorted)',
+                'ifsc_micr_pair_mismatch': 'IFSC/MICR Pair Mismatch',
+                'bank_name_conflicts': 'Bank Name Conflicts',
+                'ifsc_repair_suggestions': 'IFSC Repair Suggestions',
+                'micr_corrections': 'MICR Corrections',
                 'bank_names_corrected': 'Bank Names Corrected',
                 'only_corrected_bank_names': 'Only Corrected Names',
+                'bank_name_explanations': 'Bank Name Explanations',
                 'exact_matches_report': 'Exact Matches Report',
-                'ifsc_matched_records': 'IFSC Matched Records'
+                'ifsc_matched_records': 'IFSC Matched Records',
+                'mapping_diff_added': 'Mapping Diff: Added',
+                'mapping_diff_removed': 'Mapping Diff: Removed',
+                'mapping_diff_micr_changed': 'Mapping Diff: MICR Changed',
+                'mapping_diff_bank_name_changed': 'Mapping Diff: Bank Name Changed',
+                'mapping_diff_branch_renamed': 'Mapping Diff: Branch Renamed'
             };
 
             let html = `<h3>Backup from ${new Date(timestamp.replace(/-/g, ':').replace('T', ' ')).toLocaleString()}</h3>`;
@@ -645,8 +835,7 @@ const Dashboard = {
 
             // Parse CSV
             const rows = text.trim().split('\n').map(row => {
-                // Simple CSV parsing (handles basic cases)
-                return row.split(',').map(cell => cell.trim());
+                return API.parseCSVLine(row, API.detectDelimiter(row));
             });
 
             if (rows.length === 0) {
@@ -768,8 +957,13 @@ class App {
             UI.notify('Warning: Could not connect to server', 'warning');
         }
 
-        // Load initial file list
+        // Load initial file list, column profiles, stored mapping versions, bank names and review queue
         await FileHandler.listFiles();
+        await FileHandler.loadProfiles();
+        await FileHandler.loadMappingVersions();
+        await FileHandler.loadBankNames();
+        await Review.loadQueue();
+        await RunHistory.load();
 
         // Set up event listeners
         this.setupEventListeners();
@@ -806,6 +1000,9 @@ class App {
                     searchBox.focus();
                 }
             }
+
+            // Review tab triage keys
+            Review.handleKey(e);
         });
 
         // Auto-refresh file list every 30 seconds
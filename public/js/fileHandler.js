@@ -33,6 +33,182 @@ const FileHandler = {
         return { valid: true };
     },
 
+    /**
+     * Populate every column profile selector from the server
+     */
+    async loadProfiles() {
+        try {
+            const result = await API.getProfiles();
+            if (!result.success) return;
+
+            document.querySelectorAll('.profile-select').forEach(select => {
+                select.innerHTML = result.profiles.map(profile => `
+                    <option value="${profile.name}" title="${Utils.sanitizeHTML(profile.description)}">${profile.name}</option>
+                `).join('');
+                select.value = 'default';
+            });
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    },
+
+    /**
+     * Populate every bank mapping version selector, selecting the active version
+     */
+    async loadMappingVersions() {
+        try {
+            const result = await API.getMappingVersions();
+            if (!result.success) return;
+
+            document.querySelectorAll('.mapping-version-select').forEach(select => {
+                if (result.versions.length === 0) {
+                    select.innerHTML = '<option value="">No stored versions</option>';
+                    return;
+                }
+
+                select.innerHTML = result.versions.map(entry => {
+                    const active = entry.version === result.activeVersion ? ' (active)' : '';
+                    const label = `${entry.version}${active} - ${entry.sourceFile || 'unknown file'}, ` +
+                        `${Utils.formatNumber(entry.recordCount)} records, ${new Date(entry.createdAt).toLocaleString()}`;
+                    return `<option value="${entry.version}">${Utils.sanitizeHTML(label)}</option>`;
+                }).join('');
+                select.value = result.activeVersion || result.versions[0].version;
+            });
+
+            // The mapping diff starts from the version stored before the active one
+            const diffFrom = document.getElementById('diffFromVersion');
+            const activeIndex = result.versions.findIndex(entry => entry.version === result.activeVersion);
+            if (diffFrom && result.versions[activeIndex + 1]) {
+                diffFrom.value = result.versions[activeIndex + 1].version;
+            }
+        } catch (error) {
+            console.error('Error loading mapping versions:', error);
+        }
+    },
+
+    /**
+     * Activate the bank mapping version selected for the comparison step
+     */
+    async activateMappingVersion() {
+        const version = document.getElementById('compareMappingVersion').value;
+        if (!version) {
+            UI.showAlert('compareResult', 'error', '❌ No stored bank mapping version to activate');
+            return;
+        }
+
+        try {
+            const result = await API.activateMappingVersion(version);
+
+            if (result.success) {
+                UI.showAlert('compareResult', 'success', `✅ Bank mapping ${result.activeVersion} is now active`);
+                await this.loadMappingVersions();
+            } else {
+                UI.showAlert('compareResult', 'error', `❌ ${result.error}: ${result.message}`);
+            }
+        } catch (error) {
+            UI.showAlert('compareResult', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Populate the canonical bank name list
+     */
+    async loadBankNames() {
+        try {
+            const result = await API.getBankNames();
+            if (!result.success) return;
+
+            const select = document.getElementById('canonicalBankNames');
+            const count = document.getElementById('bankNameCount');
+            if (count) count.textContent = Utils.formatNumber(result.count);
+            if (!select) return;
+
+            select.innerHTML = '';
+            result.entries.forEach(entry => {
+                select.appendChild(new Option(`${entry.name} (${entry.source})`, entry.name));
+            });
+        } catch (error) {
+            console.error('Error loading bank names:', error);
+        }
+    },
+
+    /**
+     * Add the typed name to the canonical bank name dictionary
+     */
+    async addBankName() {
+        const input = document.getElementById('newBankName');
+        const name = input.value.trim();
+        if (!name) {
+            UI.showAlert('bankNameResult', 'error', '❌ Enter a bank name to add');
+            return;
+        }
+
+        try {
+            const result = await API.addBankName(name);
+
+            if (result.success) {
+                input.value = '';
+                UI.showAlert('bankNameResult', 'success', `✅ Added ${Utils.sanitizeHTML(result.entry.name)}`);
+                await this.loadBankNames();
+            } else {
+                UI.showAlert('bankNameResult', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+            }
+        } catch (error) {
+            UI.showAlert('bankNameResult', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Remove the selected name from the canonical bank name dictionary
+     */
+    async removeBankName() {
+        const name = document.getElementById('canonicalBankNames').value;
+        if (!name) {
+            UI.showAlert('bankNameResult', 'error', '❌ Select a bank name to remove');
+            return;
+        }
+
+        try {
+            const result = await API.removeBankName(name);
+
+            if (result.success) {
+                UI.showAlert('bankNameResult', 'success', `✅ Removed ${Utils.sanitizeHTML(result.entry.name)}`);
+                await this.loadBankNames();
+            } else {
+                UI.showAlert('bankNameResult', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+            }
+        } catch (error) {
+            UI.showAlert('bankNameResult', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Add the bank names of the active mapping version to the dictionary
+     */
+    async seedBankNames() {
+        try {
+            const result = await API.seedBankNames();
+
+            if (result.success) {
+                UI.showAlert('bankNameResult', 'success',
+                    `✅ Added ${result.added} names from ${result.mappingVersion} (${result.total} in dictionary)`);
+                await this.loadBankNames();
+            } else {
+                UI.showAlert('bankNameResult', 'error', `❌ ${result.error}`);
+            }
+        } catch (error) {
+            UI.showAlert('bankNameResult', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Get the selected column profile for a selector
+     */
+    getSelectedProfile(selectId) {
+        const select = document.getElementById(selectId);
+        return select && select.value ? select.value : 'default';
+    },
+
     /**
      * Upload input file
      */
@@ -50,17 +226,21 @@ const FileHandler = {
         UI.showLoading('inputLoading', 'Uploading and processing input file...');
 
         try {
-            const result = await API.uploadInputFile(file);
+            const result = await API.uploadInputFile(file, this.getSelectedProfile('inputProfile'));
 
             UI.hideLoading('inputLoading');
 
             if (result.success) {
+                API.setJob(result.jobId);
+                JobEvents.watch('step');
                 UI.updateWorkflowStep('step1', 'completed');
                 UI.showAlert('inputResult', 'success',
                     `✅ File processed successfully!<br>
+                    <strong>Job:</strong> ${result.jobId}<br>
                     <strong>Total Records:</strong> ${Utils.formatNumber(result.data.totalRecords)}<br>
                     <strong>Valid Records:</strong> ${Utils.formatNumber(result.data.correctRecords)}<br>
-                    <strong>Invalid Records:</strong> ${Utils.formatNumber(result.data.incorrectRecords)}`
+                    <strong>Invalid Records:</strong> ${Utils.formatNumber(result.data.incorrectRecords)}
+                    ${this.formatReasonCounts(result.data.reasonCounts)}`
                 );
             } else {
                 UI.showAlert('inputResult', 'error', `❌ ${result.error}: ${result.message}`);
@@ -71,6 +251,18 @@ const FileHandler = {
         }
     },
 
+    /**
+     * Format rejection reason counts as an HTML list
+     */
+    formatReasonCounts(reasonCounts) {
+        if (!reasonCounts || Utils.isEmpty(reasonCounts)) return '';
+
+        const items = Object.entries(reasonCounts)
+            .map(([reason, count]) => `<li>${reason}: ${Utils.formatNumber(count)}</li>`)
+            .join('');
+        return `<br><strong>Rejection Reasons:</strong><ul style="margin: 5px 0;">${items}</ul>`;
+    },
+
     /**
      * Upload bank mapping file
      */
@@ -88,7 +280,7 @@ const FileHandler = {
         UI.showLoading('bankMappingLoading', 'Uploading bank mapping file...');
 
         try {
-            const result = await API.uploadBankMapping(file);
+            const result = await API.uploadBankMapping(file, this.getSelectedProfile('mappingProfile'));
 
             UI.hideLoading('bankMappingLoading');
 
@@ -96,8 +288,12 @@ const FileHandler = {
                 UI.updateWorkflowStep('step2', 'completed');
                 UI.showAlert('bankMappingResult', 'success',
                     `✅ Bank mapping loaded successfully!<br>
-                    <strong>Records Loaded:</strong> ${Utils.formatNumber(result.recordCount)}`
+                    <strong>Records Loaded:</strong> ${Utils.formatNumber(result.recordCount)}<br>
+                    <strong>Stored As:</strong> ${result.mappingVersion}<br>
+                    <strong>New Dictionary Names:</strong> ${Utils.formatNumber(result.dictionaryNamesAdded)}`
                 );
+                await this.loadMappingVersions();
+                await this.loadBankNames();
             } else {
                 UI.showAlert('bankMappingResult', 'error', `❌ ${result.error}: ${result.message}`);
             }
@@ -131,9 +327,14 @@ const FileHandler = {
         console.log('Input file:', inputFile);
         console.log('Bank mapping file:', bankMappingFile);
 
+        // Without a mapping file the selected stored mapping version is used
+        const mappingVersion = bankMappingFile ? null : document.getElementById('quickMappingVersion').value;
+
         // Validate both files
         const inputValidation = this.validateFile(inputFile);
-        const mappingValidation = this.validateFile(bankMappingFile);
+        const mappingValidation = bankMappingFile || !mappingVersion ?
+            this.validateFile(bankMappingFile) :
+            { valid: true };
 
         console.log('Input validation:', inputValidation);
         console.log('Mapping validation:', mappingValidation);
@@ -149,43 +350,61 @@ const FileHandler = {
         }
 
         UI.hideAlert('quickResult');
-        UI.showLoading('quickLoading', 'Processing complete workflow... This may take a few moments.');
-
-        // Switch to Step-by-Step tab
-        UI.switchTab('stepByStep');
+        UI.showLoading('quickLoading', 'Uploading files and queueing the workflow...');
 
         console.log('📤 Sending files to server...');
 
         try {
-            const result = await API.processAll(inputFile, bankMappingFile);
+            const result = await API.processAll(
+                inputFile,
+                bankMappingFile,
+                this.getSelectedProfile('quickProfile'),
+                mappingVersion
+            );
 
             console.log('✅ Server response:', result);
 
             UI.hideLoading('quickLoading');
 
-            if (result.success) {
+            if (!result.success) {
+                UI.showAlert('quickResult', 'error', `❌ ${result.error}: ${result.message}`);
+                return;
+            }
+
+            API.setJob(result.jobId);
+            UI.showAlert('quickResult', 'info', `⏳ Job ${result.jobId} queued. Progress is shown below.`);
+
+            // The workflow runs in the background; follow its event stream until it finishes
+            const job = await this.waitForJob();
+
+            if (job.status === 'completed') {
                 // Mark all workflow steps as completed
                 ['step1', 'step2', 'step3', 'step4'].forEach(step => {
                     UI.updateWorkflowStep(step, 'completed');
                 });
 
-                // Refresh file list
+                // Refresh file list, stored mapping versions, bank names and review queue
                 await this.listFiles();
+                await this.loadMappingVersions();
+                await this.loadBankNames();
+                await Review.loadQueue();
+                await RunHistory.load();
 
                 // Show success message on Quick Start tab
                 UI.showAlert('quickResult', 'success', '✅ All processing completed successfully! Check the Dashboard or Downloads tab.');
 
                 // Show completion modal with option to go to dashboard
-                this.showProcessingCompleteModal(result);
+                this.showProcessingCompleteModal({ jobId: job.id, ...job.result });
 
                 // Auto-load dashboard data in background
                 setTimeout(() => {
                     Dashboard.loadDashboard();
                 }, 500);
 
+            } else if (job.status === 'cancelled') {
+                UI.showAlert('quickResult', 'warning', `⏹️ Job ${job.id} was cancelled`);
             } else {
-                UI.switchTab('quickStart');
-                UI.showAlert('quickResult', 'error', `❌ ${result.error}: ${result.message}`);
+                UI.showAlert('quickResult', 'error', `❌ Processing failed: ${Utils.sanitizeHTML(job.error || 'unknown error')}`);
             }
         } catch (error) {
             UI.hideLoading('quickLoading');
@@ -193,6 +412,67 @@ const FileHandler = {
         }
     },
 
+    /**
+     * Follow the current job's events until it completes, fails or is cancelled
+     * @returns {Promise<Object>} Final job status
+     */
+    waitForJob() {
+        UI.toggleButton('quickProcessBtn', false);
+        document.getElementById('quickCancelBtn').style.display = 'inline-block';
+
+        const finish = () => {
+            UI.toggleButton('quickProcessBtn', true);
+            document.getElementById('quickCancelBtn').style.display = 'none';
+        };
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            JobEvents.watch('quick', {
+                onStatus: status => {
+                    if (settled || !['completed', 'failed', 'cancelled'].includes(status)) return;
+                    settled = true;
+                    JobEvents.stop('quick');
+
+                    API.getJobStatus().then(result => {
+                        finish();
+                        if (result.success) {
+                            resolve(result.job);
+                        } else {
+                            reject(new Error(`${result.error}: ${result.message}`));
+                        }
+                    }, error => {
+                        finish();
+                        reject(error);
+                    });
+                },
+                onClosed: () => {
+                    if (settled) return;
+                    settled = true;
+                    finish();
+                    reject(new Error('Lost the connection to the job. Check the Downloads tab once it has finished.'));
+                }
+            });
+        });
+    },
+
+    /**
+     * Cancel the running Quick Start job
+     */
+    async cancelProcessing() {
+        try {
+            const result = await API.cancelJob();
+
+            if (result.success) {
+                UI.showAlert('quickResult', 'info', '⏹️ Cancelling... the job stops at its next progress check.');
+            } else {
+                UI.showAlert('quickResult', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+            }
+        } catch (error) {
+            UI.showAlert('quickResult', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
     /**
      * Show processing complete modal with dashboard option
      */
@@ -201,6 +481,7 @@ const FileHandler = {
         let message = '<div style="text-align: left;">';
 
         message += '<h3 style="color: #28a745; margin-bottom: 20px;">✅ Processing Complete!</h3>';
+        message += `<p><strong>Job:</strong> ${result.jobId}</p>`;
 
         message += '<strong>📊 Filtering Results:</strong><br>';
         message += `<ul style="margin: 10px 0;">`;
@@ -214,6 +495,8 @@ const FileHandler = {
         message += `<li>IFSC Matched: ${Utils.formatNumber(result.data.comparison.ifscMatched)}</li>`;
         message += `<li>MICR Matched: ${Utils.formatNumber(result.data.comparison.micrMatched)}</li>`;
         message += `<li>Both Missing: ${Utils.formatNumber(result.data.comparison.bothMissing)}</li>`;
+        message += `<li>IFSC/MICR Pair Mismatch: ${Utils.formatNumber(result.data.comparison.pairMismatch)}</li>`;
+        message += `<li>Bank Name Conflicts: ${Utils.formatNumber(result.data.comparison.bankNameConflicts)}</li>`;
         message += '</ul>';
 
         message += '<strong>🎯 Fuzzy Matching Results:</strong><br>';
@@ -223,16 +506,6 @@ const FileHandler = {
         message += `<li>Corrections Made: ${Utils.formatNumber(result.data.fuzzyMatching.correctionsMade)}</li>`;
         message += '</ul>';
 
-        if (result.data.backup) {
-            message += '<strong>💾 Backup:</strong><br>';
-            message += `<ul style="margin: 10px 0;">`;
-            message += `<li>Files Backed Up: ${result.data.backup.filesBackedUp}</li>`;
-            if (result.data.backup.oldFilesDeleted > 0) {
-                message += `<li>Old Files Deleted: ${result.data.backup.oldFilesDeleted}</li>`;
-            }
-            message += '</ul>';
-        }
-
         message += '<div style="margin-top: 30px; padding: 20px; background: #f8f9fa; border-radius: 8px; text-align: center;">';
         message += '<p style="font-size: 18px; margin-bottom: 15px;">All processing steps completed successfully!</p>';
         message += '<button class="btn btn-success btn-lg" onclick="FileHandler.goToDashboard()" style="margin-right: 10px;">📊 Go to Dashboard</button>';
@@ -272,9 +545,11 @@ const FileHandler = {
     async compareData() {
         UI.hideAlert('compareResult');
         UI.showLoading('compareLoading', 'Comparing IFSC and MICR codes...');
+        JobEvents.watch('step');
 
         try {
-            const result = await API.compareData();
+            const mappingVersion = document.getElementById('compareMappingVersion').value || null;
+            const result = await API.compareData(mappingVersion);
 
             UI.hideLoading('compareLoading');
 
@@ -283,6 +558,7 @@ const FileHandler = {
                 UI.renderStats('compareStats', result.data);
                 UI.showAlert('compareResult', 'success', '✅ Comparison completed successfully!');
                 await this.listFiles();
+                await RunHistory.load();
             } else {
                 UI.showAlert('compareResult', 'error', `❌ ${result.error}: ${result.message}`);
             }
@@ -298,6 +574,7 @@ const FileHandler = {
     async fuzzyMatch() {
         UI.hideAlert('fuzzyResult');
         UI.showLoading('fuzzyLoading', 'Applying fuzzy matching to bank names...');
+        JobEvents.watch('step');
 
         try {
             const result = await API.fuzzyMatch();
@@ -309,6 +586,8 @@ const FileHandler = {
                 UI.renderStats('fuzzyStats', result.data);
                 UI.showAlert('fuzzyResult', 'success', '✅ Fuzzy matching completed successfully!');
                 await this.listFiles();
+                await Review.loadQueue();
+                await RunHistory.load();
                 UI.switchTab('dashboard');
                 Dashboard.loadDashboard();
             } else {
@@ -346,10 +625,10 @@ const FileHandler = {
     },
 
     /**
-     * Clean up all files
+     * Delete the current job and its files
      */
     async cleanupFiles() {
-        if (!UI.confirm('Are you sure you want to delete all generated files? This action cannot be undone.')) {
+        if (!UI.confirm('Are you sure you want to delete all files of this job? This action cannot be undone.')) {
             return;
         }
 
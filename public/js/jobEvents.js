@@ -0,0 +1,150 @@
+/* =========================================================
+   JOB EVENTS - Live progress bar and log of the current job
+   ========================================================= */
+
+const JobEvents = {
+    streams: {}, // panel -> { jobId, source, handlers }
+    maxLogLines: 500,
+
+    /**
+     * Follow the current job's event stream in a panel
+     * Progress goes to #<panel>Progress and #<panel>ProgressText, log lines to #<panel>Log.
+     * A panel already following the current job keeps its stream and takes the new handlers.
+     * @param {string} panel - Element id prefix ('quick' or 'step')
+     * @param {Object} handlers - { onStatus(status), onClosed() }
+     * @returns {EventSource|null} Stream, or null when there is no job yet
+     */
+    watch(panel, handlers = {}) {
+        const current = this.streams[panel];
+        if (current && current.jobId === API.jobId) {
+            current.handlers = handlers;
+            return current.source;
+        }
+
+        this.stop(panel);
+        if (!API.jobId) return null;
+
+        this.clearLog(panel);
+        const source = API.openJobEvents();
+        const stream = { jobId: API.jobId, source, handlers };
+        this.streams[panel] = stream;
+
+        // Sent on every (re)connect, after the log lines the client missed
+        source.addEventListener('snapshot', e => {
+            const { job } = JSON.parse(e.data);
+            this.showProgress(panel, job.progress, job.status, job.queuePosition);
+            if (job.status && stream.handlers.onStatus) stream.handlers.onStatus(job.status);
+        });
+
+        source.addEventListener('progress', e => {
+            const event = JSON.parse(e.data);
+            this.showProgress(panel, event.progress, 'running');
+        });
+
+        source.addEventListener('log', e => {
+            this.appendLog(panel, JSON.parse(e.data));
+        });
+
+        source.addEventListener('status', e => {
+            const event = JSON.parse(e.data);
+            this.appendLog(panel, {
+                time: event.time,
+                level: event.status === 'failed' ? 'error' : 'info',
+                message: `Job ${event.status}${event.error ? `: ${event.error}` : ''}`
+            });
+            if (stream.handlers.onStatus) stream.handlers.onStatus(event.status);
+        });
+
+        // The browser reconnects by itself unless the server refused the stream
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) return;
+
+            this.appendLog(panel, { time: new Date(), level: 'error', message: 'Lost the connection to the job\'s event stream' });
+            this.stop(panel);
+            if (stream.handlers.onClosed) stream.handlers.onClosed();
+        };
+
+        return source;
+    },
+
+    /**
+     * Stop following events in a panel (the log stays on screen)
+     * @param {string} panel - Element id prefix
+     */
+    stop(panel) {
+        const stream = this.streams[panel];
+        if (!stream) return;
+
+        stream.source.close();
+        delete this.streams[panel];
+    },
+
+    /**
+     * Show stage, rows processed and ETA with the progress bar
+     * @param {string} panel - Element id prefix
+     * @param {Object|null} progress - Progress of the job (see GET /api/jobs/:jobId/status)
+     * @param {string} status - Job status, if the job runs in the background
+     * @param {number|null} queuePosition - Position of a queued job
+     */
+    showProgress(panel, progress, status, queuePosition = null) {
+        const text = document.getElementById(`${panel}ProgressText`);
+        if (!text) return;
+
+        if (!progress) {
+            UI.updateProgress(`${panel}Progress`, 0);
+            text.textContent = status === 'queued' && queuePosition ?
+                `Queued (position ${queuePosition})...` :
+                'Waiting to start...';
+            return;
+        }
+
+        UI.updateProgress(`${panel}Progress`, progress.percent);
+
+        let line = `Stage ${progress.stageNumber}/${progress.stageCount}: ${progress.stage}`;
+        if (progress.totalRows > 0) {
+            line += ` · ${Utils.formatNumber(progress.rowsProcessed)} / ${Utils.formatNumber(progress.totalRows)} rows`;
+        }
+        if (progress.percent < 100 && progress.etaSeconds !== null) {
+            line += ` · about ${Utils.formatDuration(progress.etaSeconds)} left`;
+        }
+        text.textContent = line;
+    },
+
+    /**
+     * Add a line to a panel's log pane, keeping the newest maxLogLines lines
+     * @param {string} panel - Element id prefix
+     * @param {Object} event - { time, level ('info', 'warn' or 'error'), message }
+     */
+    appendLog(panel, event) {
+        const log = document.getElementById(`${panel}Log`);
+        if (!log) return;
+
+        const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 5;
+
+        const line = document.createElement('div');
+        line.className = `job-log-${event.level}`;
+        line.textContent = `[${new Date(event.time).toLocaleTimeString()}] ${event.message}`;
+        log.appendChild(line);
+
+        while (log.childElementCount > this.maxLogLines) {
+            log.removeChild(log.firstChild);
+        }
+
+        if (atBottom) log.scrollTop = log.scrollHeight;
+    },
+
+    /**
+     * Empty a panel's log pane and progress bar
+     * @param {string} panel - Element id prefix
+     */
+    clearLog(panel) {
+        const log = document.getElementById(`${panel}Log`);
+        if (log) log.innerHTML = '';
+
+        const progress = document.getElementById(`${panel}Progress`);
+        if (progress) progress.innerHTML = '';
+
+        const text = document.getElementById(`${panel}ProgressText`);
+        if (text) text.textContent = '';
+    }
+};
@@ -0,0 +1,167 @@
+/* =========================================================
+   REVIEW - Human review of POSSIBLE / WEAK fuzzy matches
+   ========================================================= */
+
+const Review = {
+    pending: [],
+    decisions: [],
+    selectedIndex: 0,
+
+    /**
+     * Load the review queue from the server
+     */
+    async loadQueue() {
+        UI.showLoading('reviewLoading', 'Loading review queue...');
+
+        try {
+            const result = await API.getReviewQueue();
+            if (!result.success) {
+                UI.showAlert('reviewAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+                return;
+            }
+
+            this.pending = result.pending;
+            this.decisions = result.decisions;
+            this.selectedIndex = Math.min(this.selectedIndex, Math.max(this.pending.length - 1, 0));
+
+            const count = document.getElementById('reviewPendingCount');
+            if (count) count.textContent = Utils.formatNumber(this.pending.length);
+
+            this.render();
+        } catch (error) {
+            UI.showAlert('reviewAlert', 'error', `❌ Error: ${error.message}`);
+        } finally {
+            UI.hideLoading('reviewLoading');
+        }
+    },
+
+    /**
+     * Render pending items and recent decisions
+     */
+    render() {
+        const container = document.getElementById('reviewQueue');
+        if (!container) return;
+
+        if (this.pending.length === 0) {
+            container.innerHTML = '<p class="text-muted">No matches waiting for review. Run fuzzy matching to fill the queue.</p>';
+        } else {
+            let html = '<div class="table-container"><table class="table-striped"><thead><tr>';
+            html += '<th>Original Name</th><th>Suggested Name</th><th>Score</th><th>Category</th><th>Status</th><th>Records</th>';
+            html += '</tr></thead><tbody>';
+
+            this.pending.forEach((item, i) => {
+                const selected = i === this.selectedIndex ? ' class="review-selected"' : '';
+                html += `<tr${selected} onclick="Review.select(${i})">`;
+                html += `<td>${Utils.sanitizeHTML(item.originalName)}</td>`;
+                html += `<td>${Utils.sanitizeHTML(item.suggestedName)}</td>`;
+                html += `<td>${item.score.toFixed(2)}</td>`;
+                html += `<td>${Utils.sanitizeHTML(item.category)}</td>`;
+                html += `<td>${item.merged ? 'Merged' : 'Not merged'} (${item.source})</td>`;
+                html += `<td>${Utils.formatNumber(item.recordCount)}</td>`;
+                html += '</tr>';
+            });
+
+            html += '</tbody></table></div>';
+            container.innerHTML = html;
+
+            const row = container.querySelector('.review-selected');
+            if (row) row.scrollIntoView({ block: 'nearest' });
+        }
+
+        const decided = document.getElementById('reviewDecisions');
+        if (decided) {
+            const recent = this.decisions.slice(-10).reverse();
+            decided.innerHTML = recent.length === 0 ? '' : '<h4>Recent Decisions</h4><ul>' + recent.map(decision => {
+                return `<li>${decision.action}: ${Utils.sanitizeHTML(decision.originalName)} → ${Utils.sanitizeHTML(decision.targetName)}</li>`;
+            }).join('') + '</ul>';
+        }
+    },
+
+    /**
+     * Select a pending item
+     */
+    select(index) {
+        if (this.pending.length === 0) return;
+        this.selectedIndex = Math.max(0, Math.min(index, this.pending.length - 1));
+        this.render();
+    },
+
+    /**
+     * Record a decision for the selected item
+     * @param {string} action - approve, reject or reassign
+     */
+    async decide(action) {
+        const item = this.pending[this.selectedIndex];
+        if (!item) return;
+
+        let targetName = null;
+        if (action === 'reassign') {
+            targetName = prompt(`Assign "${item.originalName}" to bank name:`, item.suggestedName);
+            if (!targetName) return;
+        }
+
+        try {
+            const result = await API.decideReview(item.originalName, action, targetName);
+
+            if (result.success) {
+                UI.showAlert('reviewAlert', 'success',
+                    `✅ ${action}: ${Utils.sanitizeHTML(result.decision.originalName)} → ${Utils.sanitizeHTML(result.decision.targetName)}`);
+                await this.loadQueue();
+            } else {
+                UI.showAlert('reviewAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+            }
+        } catch (error) {
+            UI.showAlert('reviewAlert', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Clear the most recent decision
+     */
+    async undo() {
+        const last = this.decisions[this.decisions.length - 1];
+        if (!last) return;
+
+        try {
+            const result = await API.clearReviewDecision(last.originalName);
+
+            if (result.success) {
+                UI.showAlert('reviewAlert', 'info',
+                    `↩️ Cleared decision for ${Utils.sanitizeHTML(last.originalName)} (queued again on the next fuzzy matching run)`);
+                await this.loadQueue();
+            } else {
+                UI.showAlert('reviewAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+            }
+        } catch (error) {
+            UI.showAlert('reviewAlert', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Keyboard triage while the review tab is open
+     * j/↓ next, k/↑ previous, a approve, r reject, e reassign, u undo last decision
+     */
+    handleKey(e) {
+        const tab = document.getElementById('review');
+        if (!tab || !tab.classList.contains('active')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        const actions = {
+            j: () => this.select(this.selectedIndex + 1),
+            ArrowDown: () => this.select(this.selectedIndex + 1),
+            k: () => this.select(this.selectedIndex - 1),
+            ArrowUp: () => this.select(this.selectedIndex - 1),
+            a: () => this.decide('approve'),
+            r: () => this.decide('reject'),
+            e: () => this.decide('reassign'),
+            u: () => this.undo()
+        };
+
+        const action = actions[e.key];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    }
+};
@@ -0,0 +1,211 @@
+/* =========================================================
+   RUN HISTORY - Past runs with their inputs, settings and results
+   ========================================================= */
+
+const RunHistory = {
+    runs: [],
+
+    kindLabels: {
+        'process-all': '🚀 Complete workflow',
+        filter: '📤 Upload & filter',
+        compare: '🔍 Compare',
+        'fuzzy-match': '🎯 Fuzzy matching'
+    },
+
+    /**
+     * Load the run history from the server
+     */
+    async load() {
+        UI.showLoading('historyLoading', 'Loading run history...');
+
+        try {
+            const result = await API.getRuns();
+            if (!result.success) {
+                UI.showAlert('historyAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+                return;
+            }
+
+            this.runs = result.runs;
+            this.render();
+        } catch (error) {
+            UI.showAlert('historyAlert', 'error', `❌ Error: ${error.message}`);
+        } finally {
+            UI.hideLoading('historyLoading');
+        }
+    },
+
+    /**
+     * Render the list of runs, newest first
+     */
+    render() {
+        const container = document.getElementById('runHistoryList');
+        if (!container) return;
+
+        if (this.runs.length === 0) {
+            container.innerHTML = '<p class="text-muted">No runs recorded yet. Process a file to start the history.</p>';
+            return;
+        }
+
+        let html = '<div class="table-container"><table class="table-striped"><thead><tr>';
+        html += '<th>Finished</th><th>Run</th><th>Status</th><th>Input File</th><th>Mapping</th><th>Profile</th><th>Duration</th><th>Files</th><th></th>';
+        html += '</tr></thead><tbody>';
+
+        this.runs.forEach(run => {
+            const inputs = run.inputs || {};
+            const parameters = run.parameters || {};
+
+            html += '<tr>';
+            html += `<td>${Utils.formatDate(run.finishedAt)}</td>`;
+            html += `<td>${this.kindLabels[run.kind] || Utils.sanitizeHTML(run.kind)}</td>`;
+            html += `<td>${this.statusLabel(run.status)}</td>`;
+            html += `<td>${Utils.sanitizeHTML(inputs.inputFile || '')}</td>`;
+            html += `<td>${Utils.sanitizeHTML(inputs.mappingVersion || '')}</td>`;
+            html += `<td>${Utils.sanitizeHTML(parameters.profile || '')}</td>`;
+            html += `<td>${run.durationMs !== null ? Utils.formatDuration(run.durationMs / 1000) : ''}</td>`;
+            html += `<td>${run.files.length}</td>`;
+            html += '<td>';
+            html += `<button class="btn btn-sm btn-secondary" onclick="RunHistory.showDetails('${run.id}')">Details</button> `;
+            if (run.files.length > 0) {
+                html += `<button class="btn btn-sm btn-primary" onclick="RunHistory.open('${run.id}')">📊 Open</button> `;
+            }
+            html += `<button class="btn btn-sm btn-danger" onclick="RunHistory.remove('${run.id}')">🗑️</button>`;
+            html += '</td></tr>';
+        });
+
+        html += '</tbody></table></div>';
+        container.innerHTML = html;
+    },
+
+    /**
+     * Status with an icon
+     */
+    statusLabel(status) {
+        const icons = { completed: '✅', failed: '❌', cancelled: '⏹️' };
+        return `${icons[status] || ''} ${status}`;
+    },
+
+    /**
+     * Numeric statistics of a run, flattening grouped results (e.g. filtering.totalRecords → filteringTotalRecords)
+     * @param {Object} stats - Stats recorded with the run
+     * @param {string} prefix - Key prefix of the group being flattened
+     * @returns {Object} Key → number
+     */
+    numericStats(stats, prefix = '') {
+        const numbers = {};
+
+        Object.entries(stats || {}).forEach(([key, value]) => {
+            const name = prefix ? prefix + key.charAt(0).toUpperCase() + key.slice(1) : key;
+            if (typeof value === 'number') {
+                numbers[name] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value) && !prefix) {
+                Object.assign(numbers, this.numericStats(value, key));
+            }
+        });
+
+        return numbers;
+    },
+
+    /**
+     * Show a run's inputs, settings, statistics and kept files
+     */
+    async showDetails(runId) {
+        const container = document.getElementById('runDetails');
+        if (!container) return;
+
+        try {
+            const result = await API.getRun(runId);
+            if (!result.success) {
+                UI.showAlert('historyAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+                return;
+            }
+
+            const run = result.run;
+            let html = `<h3>${this.kindLabels[run.kind] || Utils.sanitizeHTML(run.kind)} · ${run.id}</h3>`;
+            html += `<p><strong>Job:</strong> ${run.jobId} · <strong>Status:</strong> ${this.statusLabel(run.status)} · `;
+            html += `<strong>Started:</strong> ${Utils.formatDate(run.startedAt)} · <strong>Finished:</strong> ${Utils.formatDate(run.finishedAt)}</p>`;
+            if (run.error) {
+                html += `<div class="alert alert-error show">${Utils.sanitizeHTML(run.error)}</div>`;
+            }
+
+            html += '<h4>Inputs</h4><ul>';
+            Object.entries(run.inputs || {}).forEach(([key, value]) => {
+                html += `<li><strong>${Utils.camelToTitle(key)}:</strong> ${Utils.sanitizeHTML(value === null ? '—' : String(value))}</li>`;
+            });
+            html += '</ul>';
+
+            html += '<h4>Settings</h4>';
+            html += `<pre class="job-log">${Utils.sanitizeHTML(JSON.stringify(run.parameters || {}, null, 2))}</pre>`;
+
+            html += '<h4>Statistics</h4><div id="runDetailsStats"></div>';
+
+            html += '<h4>Output Files</h4>';
+            if (run.files.length === 0) {
+                html += '<p class="text-muted">No files were kept for this run.</p>';
+            } else {
+                html += '<ul class="file-list">';
+                run.files.forEach(file => {
+                    html += `
+                        <li class="file-item">
+                            <div class="file-info">
+                                <span class="file-icon">📄</span>
+                                <div>
+                                    <span class="file-name">${file.name}</span>
+                                    <span class="file-size">(${Utils.formatFileSize(file.size)})</span>
+                                </div>
+                            </div>
+                            <button class="btn btn-sm btn-primary" onclick="API.downloadRunFile('${run.id}', '${file.name}')">
+                                Download
+                            </button>
+                        </li>
+                    `;
+                });
+                html += '</ul>';
+            }
+
+            container.innerHTML = html;
+            UI.renderStats('runDetailsStats', this.numericStats(run.stats));
+        } catch (error) {
+            UI.showAlert('historyAlert', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Open a run's kept files in the dashboard
+     */
+    async open(runId) {
+        try {
+            const result = await API.getRun(runId);
+            if (!result.success) {
+                UI.showAlert('historyAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+                return;
+            }
+
+            UI.switchTab('dashboard');
+            await Dashboard.loadDashboard(result.run);
+        } catch (error) {
+            UI.showAlert('historyAlert', 'error', `❌ Error: ${error.message}`);
+        }
+    },
+
+    /**
+     * Delete a run and its kept files
+     */
+    async remove(runId) {
+        if (!confirm(`Delete run ${runId} and its kept files?`)) return;
+
+        try {
+            const result = await API.deleteRun(runId);
+
+            if (result.success) {
+                UI.showAlert('historyAlert', 'success', `✅ ${Utils.sanitizeHTML(result.message)}`);
+                const details = document.getElementById('runDetails');
+                if (details) details.innerHTML = '';
+                await this.load();
+            } else {
+                UI.showAlert('historyAlert', 'error', `❌ ${result.error}: ${Utils.sanitizeHTML(result.message)}`);
+            }
+        } catch (error) {
+            UI.showAlert('historyAlert', 'error', `❌ Error: ${error.message}`);
+        }
+    }
+};
@@ -37,6 +37,16 @@ const Utils = {
         return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
     },
 
+    /**
+     * Format a duration in seconds, e.g. "1h 05m", "3m 20s", "45s"
+     */
+    formatDuration(seconds) {
+        const s = Math.max(0, Math.round(seconds));
+        if (s >= 3600) return `${Math.floor(s / 3600)}h ${String(Math.floor(s % 3600 / 60)).padStart(2, '0')}m`;
+        if (s >= 60) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+        return `${s}s`;
+    },
+
     /**
      * Calculate percentage
      */
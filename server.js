@@ -57,16 +57,296 @@ const upload = multer({
 // Import processing functions from logic/processor.js
 const {
     readBankFile,
-    loadBankMappingFile,
     filterCsvFile,
     filterArrayData,
     compareIfscAndMicrWithBankMapping,
+    resolveSortFields,
     sortByIfsc,
+    FUZZY_CONFIG_FILE,
+    resolveMatcherConfig,
+    buildTokenIdf,
+    explainMatch,
     applyFuzzyMatchingToBankNames
 } = require('./logic/processor');
+const { countLines } = require('./logic/csvRecords');
+const {
+    listColumnProfiles,
+    loadColumnProfile
+} = require('./logic/columnProfiles');
+const {
+    saveMappingVersion,
+    listMappingVersions,
+    getMappingVersion,
+    activateMappingVersion,
+    loadMappingVersion,
+    loadMappingIndex,
+    hasMappingVersion,
+    previousMappingVersion
+} = require('./logic/mappingStore');
+const { diffBankMappings } = require('./logic/mappingDiff');
+const {
+    listCanonicalBankNames,
+    findCanonicalBankName,
+    addCanonicalBankName,
+    renameCanonicalBankName,
+    removeCanonicalBankName,
+    seedBankNameDictionary
+} = require('./logic/bankNameDictionary');
+const {
+    readReviewQueue,
+    saveReviewQueue,
+    listReviewDecisions,
+    loadReviewDecisions,
+    listPendingReviewItems,
+    findReviewItem,
+    decideReviewItem,
+    clearReviewDecision
+} = require('./logic/reviewQueue');
+const {
+    jobDir,
+    jobFilePath,
+    createJob,
+    getJob,
+    updateJob,
+    moveIntoJob,
+    listJobs,
+    removeJob,
+    cleanupOldJobs
+} = require('./logic/jobStore');
+const {
+    JOB_STATUSES,
+    createProgressReporter,
+    enqueueJob,
+    jobStatus,
+    isJobActive,
+    cancelJob,
+    recoverInterruptedJobs
+} = require('./logic/jobQueue');
+const {
+    subscribeJobEvents,
+    runWithJobLog,
+    captureConsoleForJobs
+} = require('./logic/jobEvents');
+
+const {
+    runFilePath,
+    recordRun,
+    listRuns,
+    getRun,
+    removeRun,
+    pruneRuns
+} = require('./logic/runHistory');
+
+// Console output made while working on a job is streamed to that job's subscribers
+captureConsoleForJobs();
+
+/* =========================================================
+   JOBS - Every run writes into its own workspace
+   ========================================================= */
+
+/**
+ * Files a job can produce; only these can be listed and downloaded
+ */
+const JOB_OUTPUT_FILES = [
+    'invalid_records.csv',
+    'valid_records.csv',
+    'ifsc_matched.csv',
+    'ifsc_unmatched.csv',
+    'micr_matched.csv',
+    'micr_unmatched.csv',
+    'ifsc_missing_micr_present.csv',
+    'micr_missing_ifsc_present.csv',
+    'ifsc_micr_both_unmatched.csv',
+    'ifsc_micr_both_unmatched_sorted.csv',
+    'ifsc_micr_pair_mismatch.csv',
+    'bank_name_conflicts.csv',
+    'ifsc_repair_suggestions.csv',
+    'micr_corrections.csv',
+    'bank_names_corrected.csv',
+    'only_corrected_bank_names.csv',
+    'bank_name_explanations.csv',
+    'exact_matches_report.csv',
+    'ifsc_matched_records.csv',
+    'fuzzy_matching_config.json',
+    'mapping_diff_added.csv',
+    'mapping_diff_removed.csv',
+    'mapping_diff_micr_changed.csv',
+    'mapping_diff_bank_name_changed.csv',
+    'mapping_diff_branch_renamed.csv'
+];
+
+/**
+ * Output files each kind of run writes; a recorded run keeps copies of its own files only
+ */
+const FILTER_OUTPUT_FILES = ['invalid_records.csv', 'valid_records.csv'];
+const COMPARE_OUTPUT_FILES = [
+    'ifsc_matched.csv',
+    'ifsc_unmatched.csv',
+    'micr_matched.csv',
+    'micr_unmatched.csv',
+    'ifsc_missing_micr_present.csv',
+    'micr_missing_ifsc_present.csv',
+    'ifsc_micr_both_unmatched.csv',
+    'ifsc_micr_both_unmatched_sorted.csv',
+    'ifsc_micr_pair_mismatch.csv',
+    'bank_name_conflicts.csv',
+    'ifsc_repair_suggestions.csv',
+    'micr_corrections.csv'
+];
+const FUZZY_OUTPUT_FILES = [
+    'bank_names_corrected.csv',
+    'only_corrected_bank_names.csv',
+    'bank_name_explanations.csv',
+    'exact_matches_report.csv',
+    'ifsc_matched_records.csv',
+    FUZZY_CONFIG_FILE
+];
+const RUN_OUTPUT_FILES = {
+    filter: FILTER_OUTPUT_FILES,
+    compare: COMPARE_OUTPUT_FILES,
+    'fuzzy-match': FUZZY_OUTPUT_FILES,
+    'process-all': [...FILTER_OUTPUT_FILES, ...COMPARE_OUTPUT_FILES, ...FUZZY_OUTPUT_FILES]
+};
+
+/**
+ * Jobs untouched for longer than this are removed by the scheduled cleanup
+ */
+const JOB_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Recorded runs older than this are removed by the scheduled cleanup
+ */
+const RUN_HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Interval of keep-alive comments on an idle event stream
+ */
+const JOB_EVENTS_HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * 404 body for an unknown job id
+ */
+function jobNotFound(jobId) {
+    return {
+        error: 'Job not found',
+        message: `Job "${jobId}" not found. Upload an input file or run the complete workflow to start a job.`
+    };
+}
 
 /* =========================================================
-   BACKUP FUNCTION - Preserve old data before processing
+   RUN HISTORY - Every finished run is kept with its outputs
+   ========================================================= */
+
+/**
+ * Record a finished run of a job in the run history
+ * Completed runs keep a copy of the files their kind of run writes (RUN_OUTPUT_FILES), not
+ * those earlier steps left in the job directory; failed and cancelled runs keep only their
+ * metadata. Recording never fails the request that ran the job.
+ * @param {string} jobId - Job id
+ * @param {Object} run - { kind, status, startedAt, inputs, parameters, stats, error }
+ * @returns {Object|null} Run entry
+ */
+function recordJobRun(jobId, run) {
+    try {
+        const files = run.status === JOB_STATUSES.COMPLETED ? RUN_OUTPUT_FILES[run.kind] : [];
+        return recordRun({ jobId, ...run }, jobDir(jobId), files);
+    } catch (error) {
+        console.warn(`⚠️ Failed to record run of job ${jobId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * 404 body for an unknown run id
+ */
+function runNotFound(runId) {
+    return {
+        error: 'Run not found',
+        message: `Run "${runId}" not found in the run history`
+    };
+}
+
+/* =========================================================
+   COLUMN PROFILES - Selected per upload, reused by later steps
+   ========================================================= */
+
+/**
+ * Read the requested profile name from the body (form or JSON) or query string
+ */
+function requestedProfileName(req) {
+    return (req.body && req.body.profile) || req.query.profile || null;
+}
+
+/**
+ * Profile for compare/fuzzy steps: an explicit request profile wins, otherwise
+ * the input section comes from the job's input upload and the mapping section from
+ * the profile stored with the bank mapping version
+ */
+function profileForStep(req, job, mappingProfileName = null) {
+    const explicit = requestedProfileName(req);
+    if (explicit) {
+        return loadColumnProfile(explicit);
+    }
+
+    const inputProfile = loadColumnProfile(job.inputProfile);
+    const mappingProfile = loadColumnProfile(mappingProfileName);
+    return { ...inputProfile, mapping: mappingProfile.mapping };
+}
+
+/**
+ * Read the requested bank mapping version from the body (form or JSON) or query string
+ */
+function requestedMappingVersion(req) {
+    return (req.body && req.body.mappingVersion) || req.query.mappingVersion || null;
+}
+
+/**
+ * Read matcher configuration overrides from the body
+ * JSON requests send an object; multipart forms send it as a JSON string.
+ */
+function requestedMatcherConfig(req) {
+    const value = req.body && req.body.matcherConfig;
+    if (!value) return {};
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Bank names of the mapping version a job was compared against (the active version
+ * before its first compare), which the TFIDF_COSINE scorer builds its token weighting
+ * from, as runCompleteWorkflow does. Only loaded when the configuration uses that scorer.
+ */
+async function idfNamesFor(job, matcherConfig) {
+    if (!(matcherConfig.weights.TFIDF_COSINE > 0) || !hasMappingVersion(job.mappingVersion)) {
+        return undefined;
+    }
+    const { index } = await loadMappingIndex(job.mappingVersion);
+    return index.ifscToBankName.values();
+}
+
+/**
+ * Matcher configuration of a job's last fuzzy matching run, or the defaults before its first run
+ */
+function lastFuzzyMatcherConfig(jobId) {
+    const configPath = jobFilePath(jobId, FUZZY_CONFIG_FILE);
+    if (!fs.existsSync(configPath)) {
+        return resolveMatcherConfig();
+    }
+    return resolveMatcherConfig(JSON.parse(fs.readFileSync(configPath, 'utf-8')).matcherConfig);
+}
+
+/**
+ * Read sort options (sortKey, secondaryKey) from the body (form or JSON) or query string
+ */
+function requestedSortOptions(req) {
+    const body = req.body || {};
+    return {
+        sortKey: body.sortKey || req.query.sortKey || undefined,
+        secondaryKey: body.secondaryKey || req.query.secondaryKey || undefined
+    };
+}
+
+/* =========================================================
+   BACKUPS - Outputs saved by earlier versions, before job workspaces
    ========================================================= */
 
 /**
@@ -128,71 +408,141 @@ function cleanupOldBackups() {
     return deletedCount;
 }
 
+/* =========================================================
+   COMPLETE WORKFLOW - Runs as a background job
+   ========================================================= */
+
 /**
- * Backup existing CSV files before new processing
- * Automatically cleans up backups older than 1 week
+ * Stages of the complete workflow, in the order they run
  */
-function backupExistingFiles() {
-    const backupDir = path.join(__dirname, 'backups');
+const PROCESS_ALL_STAGES = ['mapping', 'filter', 'compare', 'sort', 'fuzzy'];
 
-    // Create backups directory if it doesn't exist
-    if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-    }
-
-    // First, clean up old backups (older than 7 days)
-    console.log('🧹 Checking for old backups to clean up...');
-    const deletedCount = cleanupOldBackups();
-
-    // Files to backup
-    const filesToBackup = [
-        'invalid_records.csv',
-        'valid_records.csv',
-        'ifsc_matched.csv',
-        'ifsc_unmatched.csv',
-        'micr_matched.csv',
-        'micr_unmatched.csv',
-        'ifsc_missing_micr_present.csv',
-        'micr_missing_ifsc_present.csv',
-        'ifsc_micr_both_unmatched.csv',
-        'ifsc_micr_both_unmatched_sorted.csv',
-        'bank_names_corrected.csv',
-        'only_corrected_bank_names.csv',
-        'exact_matches_report.csv',
-        'ifsc_matched_records.csv'
-    ];
-
-    const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-    let backedUpCount = 0;
-
-    filesToBackup.forEach(filename => {
-        const sourcePath = path.join(__dirname, filename);
-
-        // Only backup if file exists and has content
-        if (fs.existsSync(sourcePath)) {
-            const stats = fs.statSync(sourcePath);
-            if (stats.size > 100) { // Only backup files larger than 100 bytes (more than just headers)
-                const backupFilename = `${path.parse(filename).name}_${timestamp}${path.parse(filename).ext}`;
-                const destPath = path.join(backupDir, backupFilename);
-
-                try {
-                    fs.copyFileSync(sourcePath, destPath);
-                    backedUpCount++;
-                    console.log(`📦 Backed up: ${filename} → backups/${backupFilename}`);
-                } catch (error) {
-                    console.warn(`⚠️ Failed to backup ${filename}:`, error.message);
-                }
-            }
+/**
+ * Run the complete workflow for a job, reporting progress per stage
+ * @param {string} jobId - Job id
+ * @param {Object} run - { inputFilePath, bankMappingFile, mappingVersion, profile, sortOptions, matcherConfig }
+ * @param {Object} reporter - Progress reporter (logic/jobQueue.js)
+ * @returns {Promise<Object>} Result stored with the job: { profile, mappingVersion, data }
+ */
+async function runCompleteWorkflow(jobId, run, reporter) {
+    const { inputFilePath, bankMappingFile, mappingVersion, sortOptions, matcherConfig } = run;
+    const outputDir = jobDir(jobId);
+    let profile = run.profile;
+
+    console.log(`\n🔄 Starting new processing workflow (job ${jobId})...`);
+    console.log(`🧭 Column profile: ${profile.name}`);
+
+    // Step 1: Index bank mapping (needed for the MICR/IFSC bank verdict while filtering)
+    // An uploaded delimited file is counted by lines; a stored version is read from its
+    // cache, about one line per record (Excel uploads report no total)
+    let mappingRows = 0;
+    if (bankMappingFile) {
+        const mappingExt = path.extname(bankMappingFile.path).toLowerCase();
+        if (['.csv', '.txt', '.dat', '.001'].includes(mappingExt)) {
+            mappingRows = await countLines(bankMappingFile.path);
         }
-    });
+    } else {
+        const storedEntry = getMappingVersion(mappingVersion || listMappingVersions().activeVersion);
+        mappingRows = storedEntry ? storedEntry.recordCount : 0;
+    }
+    reporter.startStage('mapping', mappingRows);
+    let mappingIndex;
+    let mappingEntry;
+
+    if (bankMappingFile) {
+        console.log(`📂 Bank mapping: ${path.basename(bankMappingFile.path)}`);
+
+        ({ entry: mappingEntry, index: mappingIndex } = await saveMappingVersion(bankMappingFile.path, {
+            sourceFile: bankMappingFile.originalname,
+            profile: profile.name,
+            onProgress: count => reporter.rows(count)
+        }));
+        seedBankNameDictionary(mappingIndex.ifscToBankName.values(), `mapping:${mappingEntry.version}`);
+    } else {
+        ({ entry: mappingEntry, index: mappingIndex } = await loadMappingIndex(mappingVersion, count => reporter.rows(count)));
+        profile = { ...profile, mapping: loadColumnProfile(mappingEntry.profile).mapping };
+        console.log(`🗄️ Bank mapping: stored version ${mappingEntry.version}`);
+    }
+    updateJob(jobId, { mappingVersion: mappingEntry.version });
 
-    if (backedUpCount > 0) {
-        console.log(`✅ Backed up ${backedUpCount} files to backups/ folder`);
+    // Step 2: Process input file
+    const ext = path.extname(inputFilePath).toLowerCase();
+    let filterResult;
+
+    if (ext === '.csv' || ext === '.txt' || ext === '.dat' || ext === '.001') {
+        reporter.startStage('filter', await countLines(inputFilePath));
+        filterResult = await filterCsvFile(inputFilePath, mappingIndex, profile, outputDir, count => reporter.rows(count));
     } else {
-        console.log('ℹ️ No existing files to backup');
+        const data = await readBankFile(inputFilePath);
+        reporter.startStage('filter', data.length);
+        filterResult = filterArrayData(data, mappingIndex, profile, outputDir, count => reporter.rows(count));
     }
 
-    return { backedUpCount, deletedCount };
+    // Step 3: Compare IFSC and MICR
+    reporter.startStage('compare', filterResult.correctRecords);
+    const comparisonResult = await compareIfscAndMicrWithBankMapping(
+        filterResult.validRecordsFile,
+        mappingIndex,
+        profile,
+        matcherConfig,
+        outputDir,
+        count => reporter.rows(count)
+    );
+
+    // Step 4: Sort results
+    reporter.startStage('sort', comparisonResult.bothMissingCount);
+    const sortedFile = jobFilePath(jobId, 'ifsc_micr_both_unmatched_sorted.csv');
+    const sortedCount = await sortByIfsc(
+        jobFilePath(jobId, 'ifsc_micr_both_unmatched.csv'),
+        sortedFile,
+        profile,
+        { ...sortOptions, onProgress: count => reporter.rows(count) }
+    );
+
+    // Step 5: Apply fuzzy matching
+    reporter.startStage('fuzzy', sortedCount);
+    const { reviewQueue, ...fuzzyResult } = await applyFuzzyMatchingToBankNames(
+        sortedFile,
+        profile,
+        {
+            matcherConfig,
+            dictionary: listCanonicalBankNames().map(entry => entry.name),
+            reviewDecisions: loadReviewDecisions(),
+            idfNames: mappingIndex.ifscToBankName.values(),
+            outputDir,
+            onProgress: count => reporter.rows(count)
+        }
+    );
+    reporter.throwIfCancelled();
+    saveReviewQueue(reviewQueue, jobId);
+
+    return {
+        profile: profile.name,
+        mappingVersion: mappingEntry.version,
+        data: {
+            filtering: filterResult,
+            comparison: {
+                ifscMatched: comparisonResult.iM,
+                ifscUnmatched: comparisonResult.iU,
+                micrMatched: comparisonResult.mM,
+                micrUnmatched: comparisonResult.mU,
+                ifscMissingMicrPresent: comparisonResult.ifscMissingMicrPresentCount,
+                micrMissingIfscPresent: comparisonResult.micrMissingIfscPresentCount,
+                bothMissing: comparisonResult.bothMissingCount,
+                pairMismatch: comparisonResult.pairMismatchCount,
+                bankNameConflicts: comparisonResult.bankNameConflictCount,
+                ifscRepairsSuggested: comparisonResult.ifscRepairSuggestedCount,
+                micrCorrections: comparisonResult.micrCorrectionCount,
+                micrCorrectionTypos: comparisonResult.micrCorrectionTypoCount,
+                micrCorrectionDifferentBranches: comparisonResult.micrCorrectionDifferentBranchCount,
+                micrBankConsistent: comparisonResult.micrBankConsistentCount,
+                micrBankMismatch: comparisonResult.micrBankMismatchCount,
+                micrBankUnknown: comparisonResult.micrBankUnknownCount,
+                sortedRecords: sortedCount
+            },
+            fuzzyMatching: { ...fuzzyResult, reviewPending: reviewQueue.length }
+        }
+    };
 }
 
 /* =========================================================
@@ -208,11 +558,36 @@ app.get('/api', (req, res) => {
             health: 'GET /api/health',
             uploadInput: 'POST /api/upload/input',
             uploadBankMapping: 'POST /api/upload/bank-mapping',
-            compare: 'POST /api/compare',
-            fuzzyMatch: 'POST /api/fuzzy-match',
+            profiles: 'GET /api/profiles',
+            mappingVersions: 'GET /api/mapping/versions',
+            activateMappingVersion: 'POST /api/mapping/versions/:version/activate',
+            mappingDiff: 'POST /api/mapping/diff',
+            bankNames: 'GET /api/bank-names',
+            addBankName: 'POST /api/bank-names',
+            renameBankName: 'PUT /api/bank-names/:name',
+            removeBankName: 'DELETE /api/bank-names/:name',
+            seedBankNames: 'POST /api/bank-names/seed',
+            reviewQueue: 'GET /api/review',
+            approveReview: 'POST /api/review/:name/approve',
+            rejectReview: 'POST /api/review/:name/reject',
+            reassignReview: 'POST /api/review/:name/reassign',
+            clearReviewDecision: 'DELETE /api/review/:name',
+            jobs: 'GET /api/jobs',
+            job: 'GET /api/jobs/:jobId',
+            compare: 'POST /api/jobs/:jobId/compare',
+            fuzzyMatch: 'POST /api/jobs/:jobId/fuzzy-match',
+            explainMatch: 'GET /api/jobs/:jobId/fuzzy-match/explain?original=&corrected=',
             processAll: 'POST /api/process-all',
-            listFiles: 'GET /api/files',
-            download: 'GET /api/download/:filename',
+            jobStatus: 'GET /api/jobs/:jobId/status',
+            cancelJob: 'POST /api/jobs/:jobId/cancel',
+            jobEvents: 'GET /api/jobs/:jobId/events',
+            runs: 'GET /api/runs?kind=&jobId=',
+            run: 'GET /api/runs/:runId',
+            runDownload: 'GET /api/runs/:runId/download/:filename',
+            deleteRun: 'DELETE /api/runs/:runId',
+            listFiles: 'GET /api/jobs/:jobId/files',
+            download: 'GET /api/jobs/:jobId/download/:filename',
+            deleteJob: 'DELETE /api/jobs/:jobId',
             cleanup: 'DELETE /api/cleanup'
         }
     });
@@ -223,33 +598,104 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', message: 'Server is running' });
 });
 
+// List available column mapping profiles
+app.get('/api/profiles', (req, res) => {
+    try {
+        res.json({ success: true, profiles: listColumnProfiles() });
+    } catch (error) {
+        console.error('Error listing column profiles:', error);
+        res.status(500).json({
+            error: 'Failed to list column profiles',
+            message: error.message
+        });
+    }
+});
+
 // Upload and process input file
 app.post('/api/upload/input', upload.single('inputFile'), async(req, res) => {
+    const startedAt = new Date().toISOString();
+    let job = null;
+    let runInputs = null;
+    let runParameters = null;
+
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const filePath = req.file.path;
+        let profile;
+        try {
+            profile = loadColumnProfile(requestedProfileName(req));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid column profile', message: error.message });
+        }
+
+        // Every input upload starts a new job; later steps are run against its id
+        job = createJob({
+            kind: 'step-by-step',
+            inputFile: req.file.originalname,
+            inputProfile: profile.name
+        });
+        const filePath = moveIntoJob(job.id, req.file.path, 'input');
         const ext = path.extname(filePath).toLowerCase();
 
-        let result;
-        if (ext === '.csv' || ext === '.txt' || ext === '.dat' || ext === '.001') {
-            result = await filterCsvFile(filePath);
-        } else {
-            const data = await readBankFile(filePath);
-            result = filterArrayData(data);
-        }
+        // Use the active bank mapping version (if any) for the MICR/IFSC bank verdict
+        const activeMapping = hasMappingVersion() ? await loadMappingIndex() : null;
+        const mappingIndex = activeMapping ? activeMapping.index : null;
+        const filterProfile = {
+            ...profile,
+            mapping: loadColumnProfile(activeMapping ? activeMapping.entry.profile : null).mapping
+        };
+        runInputs = {
+            inputFile: req.file.originalname,
+            mappingVersion: activeMapping ? activeMapping.entry.version : null
+        };
+        runParameters = { profile: profile.name };
+
+        const reporter = createProgressReporter(job.id, ['filter']);
+        const result = await runWithJobLog(job.id, async() => {
+            let filterResult;
+            if (ext === '.csv' || ext === '.txt' || ext === '.dat' || ext === '.001') {
+                reporter.startStage('filter', await countLines(filePath));
+                filterResult = await filterCsvFile(filePath, mappingIndex, filterProfile, jobDir(job.id), count => reporter.rows(count));
+            } else {
+                const data = await readBankFile(filePath);
+                reporter.startStage('filter', data.length);
+                filterResult = filterArrayData(data, mappingIndex, filterProfile, jobDir(job.id), count => reporter.rows(count));
+            }
+            reporter.complete();
+            return filterResult;
+        });
+        recordJobRun(job.id, {
+            kind: 'filter',
+            status: JOB_STATUSES.COMPLETED,
+            startedAt,
+            inputs: runInputs,
+            parameters: runParameters,
+            stats: result
+        });
 
         res.json({
             success: true,
             message: 'File processed successfully',
+            jobId: job.id,
             data: result,
+            profile: profile.name,
             uploadedFile: req.file.originalname
         });
 
     } catch (error) {
         console.error('Error processing input file:', error);
+        if (job) {
+            recordJobRun(job.id, {
+                kind: 'filter',
+                status: JOB_STATUSES.FAILED,
+                startedAt,
+                inputs: runInputs,
+                parameters: runParameters,
+                error: error.message
+            });
+        }
         res.status(500).json({
             error: 'Failed to process file',
             message: error.message
@@ -264,19 +710,28 @@ app.post('/api/upload/bank-mapping', upload.single('bankMappingFile'), async(req
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const filePath = req.file.path;
-        const ext = path.extname(filePath).toLowerCase();
-
-        const bankMappingData = await loadBankMappingFile(filePath);
+        let profile;
+        try {
+            profile = loadColumnProfile(requestedProfileName(req));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid column profile', message: error.message });
+        }
 
-        // Store in session or temp storage
-        // For simplicity, storing in a temp file
-        fs.writeFileSync('temp_bank_mapping.json', JSON.stringify(bankMappingData));
+        // Keep a versioned snapshot in the mapping store and make it active.
+        // The file is streamed once into the compact index; the rows are never held in memory.
+        const { entry, index } = await saveMappingVersion(req.file.path, {
+            sourceFile: req.file.originalname,
+            profile: profile.name
+        });
+        const dictionary = seedBankNameDictionary(index.ifscToBankName.values(), `mapping:${entry.version}`);
 
         res.json({
             success: true,
             message: 'Bank mapping file uploaded successfully',
-            recordCount: bankMappingData.length,
+            recordCount: entry.recordCount,
+            profile: profile.name,
+            mappingVersion: entry.version,
+            dictionaryNamesAdded: dictionary.added,
             uploadedFile: req.file.originalname
         });
 
@@ -289,50 +744,411 @@ app.post('/api/upload/bank-mapping', upload.single('bankMappingFile'), async(req
     }
 });
 
-// Compare IFSC and MICR codes
-app.post('/api/compare', async(req, res) => {
+// List stored bank mapping versions
+app.get('/api/mapping/versions', (req, res) => {
     try {
-        const validRecordsFile = 'valid_records.csv';
-        const bankMappingFile = 'temp_bank_mapping.json';
+        res.json({ success: true, ...listMappingVersions() });
+    } catch (error) {
+        console.error('Error listing bank mapping versions:', error);
+        res.status(500).json({
+            error: 'Failed to list bank mapping versions',
+            message: error.message
+        });
+    }
+});
 
-        if (!fs.existsSync(validRecordsFile)) {
+// Activate a stored bank mapping version
+app.post('/api/mapping/versions/:version/activate', (req, res) => {
+    try {
+        if (!hasMappingVersion(req.params.version)) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: `Bank mapping version "${req.params.version}" not found`
+            });
+        }
+
+        const entry = activateMappingVersion(req.params.version);
+        res.json({ success: true, activeVersion: entry.version, version: entry });
+    } catch (error) {
+        console.error('Error activating bank mapping version:', error);
+        res.status(500).json({
+            error: 'Failed to activate bank mapping version',
+            message: error.message
+        });
+    }
+});
+
+// Diff two stored bank mapping versions (defaults: active version vs. the one before it)
+// The diff files go to the given job, or to a new job when none is given
+app.post('/api/mapping/diff', async(req, res) => {
+    try {
+        const requestedJobId = req.body && req.body.jobId;
+        if (requestedJobId && !getJob(requestedJobId)) {
+            return res.status(404).json(jobNotFound(requestedJobId));
+        }
+
+        const toVersion = (req.body && req.body.toVersion) || listMappingVersions().activeVersion;
+        if (!toVersion || !hasMappingVersion(toVersion)) {
             return res.status(400).json({
-                error: 'No valid records found. Please upload and process input file first.'
+                error: toVersion ?
+                    `Bank mapping version "${toVersion}" not found.` :
+                    'No bank mapping data found. Please upload bank mapping file first.'
             });
         }
 
-        if (!fs.existsSync(bankMappingFile)) {
+        const previous = previousMappingVersion(toVersion);
+        const fromVersion = (req.body && req.body.fromVersion) || (previous ? previous.version : null);
+        if (!fromVersion || !hasMappingVersion(fromVersion)) {
             return res.status(400).json({
-                error: 'No bank mapping data found. Please upload bank mapping file first.'
+                error: fromVersion ?
+                    `Bank mapping version "${fromVersion}" not found.` :
+                    'Two stored bank mapping versions are needed for a diff.'
             });
         }
 
-        const bankMappingData = JSON.parse(fs.readFileSync(bankMappingFile, 'utf-8'));
+        const from = await loadMappingVersion(fromVersion);
+        const to = await loadMappingVersion(toVersion);
 
-        const comparisonResult = await compareIfscAndMicrWithBankMapping(
-            validRecordsFile,
-            bankMappingData
-        );
+        const jobId = requestedJobId || createJob({ kind: 'mapping-diff' }).id;
+        console.log(`🗄️ Diffing bank mapping ${fromVersion} → ${toVersion} (job ${jobId})`);
 
-        // Sort the both-unmatched file
-        const sortedCount = await sortByIfsc(
-            'ifsc_micr_both_unmatched.csv',
-            'ifsc_micr_both_unmatched_sorted.csv'
+        const diffResult = await diffBankMappings(
+            from.rows,
+            to.rows,
+            loadColumnProfile(from.entry.profile),
+            loadColumnProfile(to.entry.profile),
+            jobDir(jobId)
         );
+        updateJob(jobId, {});
 
         res.json({
             success: true,
-            message: 'Comparison completed successfully',
+            message: 'Bank mapping diff completed successfully',
+            jobId,
+            fromVersion,
+            toVersion,
             data: {
-                ifscMatched: comparisonResult.iM,
-                ifscUnmatched: comparisonResult.iU,
-                micrMatched: comparisonResult.mM,
-                micrUnmatched: comparisonResult.mU,
-                ifscMissingMicrPresent: comparisonResult.ifscMissingMicrPresentCount,
-                micrMissingIfscPresent: comparisonResult.micrMissingIfscPresentCount,
-                bothMissing: comparisonResult.bothMissingCount,
-                sortedRecords: sortedCount
+                oldIfscCount: diffResult.oldIfscCount,
+                newIfscCount: diffResult.newIfscCount,
+                added: diffResult.addedCount,
+                removed: diffResult.removedCount,
+                micrChanged: diffResult.micrChangedCount,
+                bankNameChanged: diffResult.bankNameChangedCount,
+                branchRenamed: diffResult.branchRenamedCount,
+                unchanged: diffResult.unchangedCount
             },
+            files: diffResult.files
+        });
+
+    } catch (error) {
+        console.error('Error during bank mapping diff:', error);
+        res.status(500).json({
+            error: 'Bank mapping diff failed',
+            message: error.message
+        });
+    }
+});
+
+// List canonical bank names (used by fuzzy matching)
+app.get('/api/bank-names', (req, res) => {
+    try {
+        const entries = listCanonicalBankNames();
+        res.json({ success: true, count: entries.length, entries });
+    } catch (error) {
+        console.error('Error listing bank name dictionary:', error);
+        res.status(500).json({
+            error: 'Failed to list bank name dictionary',
+            message: error.message
+        });
+    }
+});
+
+// Add a canonical bank name
+app.post('/api/bank-names', (req, res) => {
+    try {
+        const name = req.body && req.body.name;
+        let entry;
+        try {
+            entry = addCanonicalBankName(name);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid bank name', message: error.message });
+        }
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error('Error adding bank name:', error);
+        res.status(500).json({
+            error: 'Failed to add bank name',
+            message: error.message
+        });
+    }
+});
+
+// Change the spelling of a canonical bank name
+app.put('/api/bank-names/:name', (req, res) => {
+    try {
+        if (!findCanonicalBankName(req.params.name)) {
+            return res.status(404).json({
+                error: 'Bank name not found',
+                message: `"${req.params.name}" is not in the bank name dictionary`
+            });
+        }
+
+        let entry;
+        try {
+            entry = renameCanonicalBankName(req.params.name, req.body && req.body.name);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid bank name', message: error.message });
+        }
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error('Error renaming bank name:', error);
+        res.status(500).json({
+            error: 'Failed to rename bank name',
+            message: error.message
+        });
+    }
+});
+
+// Remove a canonical bank name
+app.delete('/api/bank-names/:name', (req, res) => {
+    try {
+        if (!findCanonicalBankName(req.params.name)) {
+            return res.status(404).json({
+                error: 'Bank name not found',
+                message: `"${req.params.name}" is not in the bank name dictionary`
+            });
+        }
+
+        const entry = removeCanonicalBankName(req.params.name);
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error('Error removing bank name:', error);
+        res.status(500).json({
+            error: 'Failed to remove bank name',
+            message: error.message
+        });
+    }
+});
+
+// Seed the dictionary from a stored bank mapping version (the active one by default)
+app.post('/api/bank-names/seed', async(req, res) => {
+    try {
+        const mappingVersion = requestedMappingVersion(req);
+        if (!hasMappingVersion(mappingVersion)) {
+            return res.status(400).json({
+                error: mappingVersion ?
+                    `Bank mapping version "${mappingVersion}" not found.` :
+                    'No bank mapping data found. Please upload bank mapping file first.'
+            });
+        }
+
+        const { entry, index } = await loadMappingIndex(mappingVersion);
+        const result = seedBankNameDictionary(index.ifscToBankName.values(), `mapping:${entry.version}`);
+        res.json({ success: true, mappingVersion: entry.version, ...result });
+    } catch (error) {
+        console.error('Error seeding bank name dictionary:', error);
+        res.status(500).json({
+            error: 'Failed to seed bank name dictionary',
+            message: error.message
+        });
+    }
+});
+
+// List fuzzy matches waiting for review (optionally only one job's) and the decisions made so far
+app.get('/api/review', (req, res) => {
+    try {
+        const jobId = req.query.jobId || null;
+        if (jobId && !getJob(jobId)) {
+            return res.status(404).json(jobNotFound(jobId));
+        }
+
+        const queue = readReviewQueue();
+        const pending = listPendingReviewItems(jobId);
+        res.json({
+            success: true,
+            createdAt: queue.createdAt,
+            updatedAt: queue.updatedAt,
+            pendingCount: pending.length,
+            pending,
+            decisions: listReviewDecisions()
+        });
+    } catch (error) {
+        console.error('Error listing review queue:', error);
+        res.status(500).json({
+            error: 'Failed to list review queue',
+            message: error.message
+        });
+    }
+});
+
+// Approve, reject or reassign a queued match
+['approve', 'reject', 'reassign'].forEach(action => {
+    app.post(`/api/review/:name/${action}`, (req, res) => {
+        try {
+            if (!findReviewItem(req.params.name)) {
+                return res.status(404).json({
+                    error: 'Review item not found',
+                    message: `"${req.params.name}" is not in the review queue`
+                });
+            }
+
+            let decision;
+            try {
+                decision = decideReviewItem(req.params.name, action, req.body && req.body.targetName);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid review decision', message: error.message });
+            }
+            res.json({ success: true, decision });
+        } catch (error) {
+            console.error('Error recording review decision:', error);
+            res.status(500).json({
+                error: 'Failed to record review decision',
+                message: error.message
+            });
+        }
+    });
+});
+
+// Clear a review decision (the name is queued again by the next fuzzy matching run)
+app.delete('/api/review/:name', (req, res) => {
+    try {
+        const found = findReviewItem(req.params.name);
+        if (!found || !found.decision) {
+            return res.status(404).json({
+                error: 'Review decision not found',
+                message: `No review decision recorded for "${req.params.name}"`
+            });
+        }
+
+        const decision = clearReviewDecision(req.params.name);
+        res.json({ success: true, decision });
+    } catch (error) {
+        console.error('Error clearing review decision:', error);
+        res.status(500).json({
+            error: 'Failed to clear review decision',
+            message: error.message
+        });
+    }
+});
+
+// Compare a job's IFSC and MICR codes
+app.post('/api/jobs/:jobId/compare', async(req, res) => {
+    const startedAt = new Date().toISOString();
+    let job = null;
+    let runInputs = null;
+    let runParameters = null;
+
+    try {
+        job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
+
+        const outputDir = jobDir(job.id);
+        const validRecordsFile = jobFilePath(job.id, 'valid_records.csv');
+        const mappingVersion = requestedMappingVersion(req);
+
+        const sortOptions = requestedSortOptions(req);
+        try {
+            resolveSortFields(sortOptions);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid sort options', message: error.message });
+        }
+
+        let matcherConfig;
+        try {
+            matcherConfig = resolveMatcherConfig(requestedMatcherConfig(req));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid matcher configuration', message: error.message });
+        }
+
+        if (!fs.existsSync(validRecordsFile)) {
+            return res.status(400).json({
+                error: 'No valid records found. Please upload and process input file first.'
+            });
+        }
+
+        if (!hasMappingVersion(mappingVersion)) {
+            return res.status(400).json({
+                error: mappingVersion ?
+                    `Bank mapping version "${mappingVersion}" not found.` :
+                    'No bank mapping data found. Please upload bank mapping file first.'
+            });
+        }
+
+        const { entry: mappingEntry, index: mappingIndex } = await loadMappingIndex(mappingVersion);
+
+        let profile;
+        try {
+            profile = profileForStep(req, job, mappingEntry.profile);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid column profile', message: error.message });
+        }
+
+        runInputs = { inputFile: job.inputFile, mappingVersion: mappingEntry.version };
+        runParameters = { profile: profile.name, sortOptions, matcherConfig };
+
+        const reporter = createProgressReporter(job.id, ['compare', 'sort']);
+        const { comparisonResult, sortedCount } = await runWithJobLog(job.id, async() => {
+            console.log(`🗄️ Comparing job ${job.id} against bank mapping ${mappingEntry.version}`);
+
+            reporter.startStage('compare', await countLines(validRecordsFile));
+            const comparisonResult = await compareIfscAndMicrWithBankMapping(
+                validRecordsFile,
+                mappingIndex,
+                profile,
+                matcherConfig,
+                outputDir,
+                count => reporter.rows(count)
+            );
+
+            // Sort the both-unmatched file
+            reporter.startStage('sort', comparisonResult.bothMissingCount);
+            const sortedCount = await sortByIfsc(
+                jobFilePath(job.id, 'ifsc_micr_both_unmatched.csv'),
+                jobFilePath(job.id, 'ifsc_micr_both_unmatched_sorted.csv'),
+                profile,
+                { ...sortOptions, onProgress: count => reporter.rows(count) }
+            );
+            reporter.complete();
+            return { comparisonResult, sortedCount };
+        });
+        updateJob(job.id, { mappingVersion: mappingEntry.version });
+
+        const data = {
+            ifscMatched: comparisonResult.iM,
+            ifscUnmatched: comparisonResult.iU,
+            micrMatched: comparisonResult.mM,
+            micrUnmatched: comparisonResult.mU,
+            ifscMissingMicrPresent: comparisonResult.ifscMissingMicrPresentCount,
+            micrMissingIfscPresent: comparisonResult.micrMissingIfscPresentCount,
+            bothMissing: comparisonResult.bothMissingCount,
+            pairMismatch: comparisonResult.pairMismatchCount,
+            bankNameConflicts: comparisonResult.bankNameConflictCount,
+            ifscRepairsSuggested: comparisonResult.ifscRepairSuggestedCount,
+            micrCorrections: comparisonResult.micrCorrectionCount,
+            micrCorrectionTypos: comparisonResult.micrCorrectionTypoCount,
+            micrCorrectionDifferentBranches: comparisonResult.micrCorrectionDifferentBranchCount,
+            micrBankConsistent: comparisonResult.micrBankConsistentCount,
+            micrBankMismatch: comparisonResult.micrBankMismatchCount,
+            micrBankUnknown: comparisonResult.micrBankUnknownCount,
+            sortedRecords: sortedCount
+        };
+        recordJobRun(job.id, {
+            kind: 'compare',
+            status: JOB_STATUSES.COMPLETED,
+            startedAt,
+            inputs: runInputs,
+            parameters: runParameters,
+            stats: data
+        });
+
+        res.json({
+            success: true,
+            message: 'Comparison completed successfully',
+            jobId: job.id,
+            mappingVersion: mappingEntry.version,
+            data,
             files: {
                 ifscMatched: 'ifsc_matched.csv',
                 ifscUnmatched: 'ifsc_unmatched.csv',
@@ -341,12 +1157,26 @@ app.post('/api/compare', async(req, res) => {
                 ifscMissingMicrPresent: 'ifsc_missing_micr_present.csv',
                 micrMissingIfscPresent: 'micr_missing_ifsc_present.csv',
                 bothUnmatched: 'ifsc_micr_both_unmatched.csv',
-                bothUnmatchedSorted: 'ifsc_micr_both_unmatched_sorted.csv'
+                bothUnmatchedSorted: 'ifsc_micr_both_unmatched_sorted.csv',
+                pairMismatch: 'ifsc_micr_pair_mismatch.csv',
+                bankNameConflicts: 'bank_name_conflicts.csv',
+                ifscRepairSuggestions: 'ifsc_repair_suggestions.csv',
+                micrCorrections: 'micr_corrections.csv'
             }
         });
 
     } catch (error) {
         console.error('Error during comparison:', error);
+        if (job) {
+            recordJobRun(job.id, {
+                kind: 'compare',
+                status: JOB_STATUSES.FAILED,
+                startedAt,
+                inputs: runInputs,
+                parameters: runParameters,
+                error: error.message
+            });
+        }
         res.status(500).json({
             error: 'Comparison failed',
             message: error.message
@@ -354,10 +1184,20 @@ app.post('/api/compare', async(req, res) => {
     }
 });
 
-// Apply fuzzy matching to bank names
-app.post('/api/fuzzy-match', async(req, res) => {
+// Apply fuzzy matching to a job's bank names
+app.post('/api/jobs/:jobId/fuzzy-match', async(req, res) => {
+    const startedAt = new Date().toISOString();
+    let job = null;
+    let runInputs = null;
+    let runParameters = null;
+
     try {
-        const sortedFile = 'ifsc_micr_both_unmatched_sorted.csv';
+        job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
+
+        const sortedFile = jobFilePath(job.id, 'ifsc_micr_both_unmatched_sorted.csv');
 
         if (!fs.existsSync(sortedFile)) {
             return res.status(400).json({
@@ -365,27 +1205,89 @@ app.post('/api/fuzzy-match', async(req, res) => {
             });
         }
 
-        const fuzzyResult = await applyFuzzyMatchingToBankNames(sortedFile);
+        let profile;
+        try {
+            profile = profileForStep(req, job);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid column profile', message: error.message });
+        }
+
+        let matcherConfig;
+        try {
+            matcherConfig = resolveMatcherConfig(requestedMatcherConfig(req));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid matcher configuration', message: error.message });
+        }
+
+        const benchmark = req.body && (req.body.benchmark === true || req.body.benchmark === 'true');
+        runInputs = { inputFile: job.inputFile, mappingVersion: job.mappingVersion || null };
+        runParameters = { profile: profile.name, matcherConfig, benchmark };
+
+        const reporter = createProgressReporter(job.id, ['fuzzy']);
+        const fuzzyResult = await runWithJobLog(job.id, async() => {
+            reporter.startStage('fuzzy', await countLines(sortedFile));
+            const result = await applyFuzzyMatchingToBankNames(sortedFile, profile, {
+                matcherConfig,
+                dictionary: listCanonicalBankNames().map(entry => entry.name),
+                reviewDecisions: loadReviewDecisions(),
+                idfNames: await idfNamesFor(job, matcherConfig),
+                benchmark,
+                outputDir: jobDir(job.id),
+                onProgress: count => reporter.rows(count)
+            });
+            reporter.complete();
+            return result;
+        });
+        saveReviewQueue(fuzzyResult.reviewQueue, job.id);
+        updateJob(job.id, {});
+
+        const data = {
+            totalRecords: fuzzyResult.totalRecords,
+            originalUniqueNames: fuzzyResult.originalUniqueNames,
+            uniqueGroups: fuzzyResult.uniqueGroups,
+            correctionsMade: fuzzyResult.correctionsMade,
+            dictionaryMatches: fuzzyResult.dictionaryMatches,
+            reviewDecisionsApplied: fuzzyResult.decisionsApplied,
+            reviewPending: fuzzyResult.reviewQueue.length,
+            matcherConfig: fuzzyResult.matcherConfig,
+            benchmark: fuzzyResult.benchmark
+        };
+        recordJobRun(job.id, {
+            kind: 'fuzzy-match',
+            status: JOB_STATUSES.COMPLETED,
+            startedAt,
+            inputs: runInputs,
+            parameters: runParameters,
+            stats: data
+        });
 
         res.json({
             success: true,
             message: 'Fuzzy matching completed successfully',
-            data: {
-                totalRecords: fuzzyResult.totalRecords,
-                originalUniqueNames: fuzzyResult.originalUniqueNames,
-                uniqueGroups: fuzzyResult.uniqueGroups,
-                correctionsMade: fuzzyResult.correctionsMade
-            },
+            jobId: job.id,
+            data,
             files: {
                 bankNamesCorrected: 'bank_names_corrected.csv',
                 onlyCorrectedNames: 'only_corrected_bank_names.csv',
+                matchExplanations: 'bank_name_explanations.csv',
                 exactMatchesReport: 'exact_matches_report.csv',
-                matchedRecords: 'ifsc_matched_records.csv'
+                matchedRecords: 'ifsc_matched_records.csv',
+                matcherConfig: FUZZY_CONFIG_FILE
             }
         });
 
     } catch (error) {
         console.error('Error during fuzzy matching:', error);
+        if (job) {
+            recordJobRun(job.id, {
+                kind: 'fuzzy-match',
+                status: JOB_STATUSES.FAILED,
+                startedAt,
+                inputs: runInputs,
+                parameters: runParameters,
+                error: error.message
+            });
+        }
         res.status(500).json({
             error: 'Fuzzy matching failed',
             message: error.message
@@ -393,87 +1295,311 @@ app.post('/api/fuzzy-match', async(req, res) => {
     }
 });
 
+// Explain how an original bank name scores against its corrected name (with the job's matcher configuration)
+app.get('/api/jobs/:jobId/fuzzy-match/explain', async(req, res) => {
+    try {
+        const job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
+
+        const originalName = (req.query.original || '').toString();
+        const correctedName = (req.query.corrected || '').toString();
+
+        if (!originalName.trim() || !correctedName.trim()) {
+            return res.status(400).json({
+                error: 'Both names are required',
+                message: 'Pass the original and corrected bank names as ?original=...&corrected=...'
+            });
+        }
+
+        const matcherConfig = lastFuzzyMatcherConfig(job.id);
+        const idfNames = await idfNamesFor(job, matcherConfig);
+        const explanation = explainMatch(originalName, correctedName, matcherConfig, {
+            context: { idf: idfNames ? buildTokenIdf(idfNames) : null }
+        });
+
+        res.json({ success: true, explanation, matcherConfig });
+    } catch (error) {
+        console.error('Error explaining fuzzy match:', error);
+        res.status(500).json({
+            error: 'Failed to explain fuzzy match',
+            message: error.message
+        });
+    }
+});
+
 // Process complete workflow
 app.post('/api/process-all', upload.fields([
     { name: 'inputFile', maxCount: 1 },
     { name: 'bankMappingFile', maxCount: 1 }
 ]), async(req, res) => {
     try {
-        if (!req.files || !req.files.inputFile || !req.files.bankMappingFile) {
+        const mappingVersion = requestedMappingVersion(req);
+        const hasMappingUpload = Boolean(req.files && req.files.bankMappingFile);
+
+        const sortOptions = requestedSortOptions(req);
+        try {
+            resolveSortFields(sortOptions);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid sort options', message: error.message });
+        }
+
+        let matcherConfig;
+        try {
+            matcherConfig = resolveMatcherConfig(requestedMatcherConfig(req));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid matcher configuration', message: error.message });
+        }
+
+        if (!req.files || !req.files.inputFile) {
             return res.status(400).json({
-                error: 'Both input file and bank mapping file are required'
+                error: 'Input file is required'
             });
         }
 
-        console.log('\n🔄 Starting new processing workflow...');
+        if (!hasMappingUpload && !hasMappingVersion(mappingVersion)) {
+            return res.status(400).json({
+                error: mappingVersion ?
+                    `Bank mapping version "${mappingVersion}" not found.` :
+                    'A bank mapping file or a stored bank mapping version is required'
+            });
+        }
 
-        // Backup existing files before processing and clean up old backups
-        const backupResult = backupExistingFiles();
+        let profile;
+        try {
+            profile = loadColumnProfile(requestedProfileName(req));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid column profile', message: error.message });
+        }
 
-        const inputFilePath = req.files.inputFile[0].path;
-        const bankMappingFilePath = req.files.bankMappingFile[0].path;
+        // Each run gets its own job, so concurrent runs never share output files
+        const job = createJob({
+            kind: 'process-all',
+            inputFile: req.files.inputFile[0].originalname,
+            inputProfile: profile.name
+        });
+        const inputFilePath = moveIntoJob(job.id, req.files.inputFile[0].path, 'input');
+        const bankMappingFile = hasMappingUpload ? {
+            path: moveIntoJob(job.id, req.files.bankMappingFile[0].path, 'bank_mapping'),
+            originalname: req.files.bankMappingFile[0].originalname
+        } : null;
+
+        const runInputs = {
+            inputFile: req.files.inputFile[0].originalname,
+            bankMappingFile: bankMappingFile ? bankMappingFile.originalname : null,
+            mappingVersion
+        };
+        const runParameters = { profile: profile.name, sortOptions, matcherConfig };
+
+        // The workflow runs in the background; the status endpoint reports its progress
+        enqueueJob(job.id, PROCESS_ALL_STAGES, async reporter => {
+            const startedAt = new Date().toISOString();
+
+            try {
+                const result = await runCompleteWorkflow(job.id, {
+                    inputFilePath,
+                    bankMappingFile,
+                    mappingVersion,
+                    profile,
+                    sortOptions,
+                    matcherConfig
+                }, reporter);
+
+                const run = recordJobRun(job.id, {
+                    kind: 'process-all',
+                    status: JOB_STATUSES.COMPLETED,
+                    startedAt,
+                    inputs: { ...runInputs, mappingVersion: result.mappingVersion },
+                    parameters: runParameters,
+                    stats: result.data
+                });
+                return { ...result, runId: run ? run.id : null };
+            } catch (error) {
+                recordJobRun(job.id, {
+                    kind: 'process-all',
+                    status: error.cancelled ? JOB_STATUSES.CANCELLED : JOB_STATUSES.FAILED,
+                    startedAt,
+                    inputs: runInputs,
+                    parameters: runParameters,
+                    error: error.cancelled ? null : error.message
+                });
+                throw error;
+            }
+        });
 
-        console.log(`📂 Input file: ${path.basename(inputFilePath)}`);
-        console.log(`📂 Bank mapping: ${path.basename(bankMappingFilePath)}`);
+        res.status(202).json({
+            success: true,
+            message: 'Complete processing workflow queued',
+            jobId: job.id,
+            status: JOB_STATUSES.QUEUED
+        });
 
-        // Step 1: Process input file
-        const ext = path.extname(inputFilePath).toLowerCase();
-        let filterResult;
+    } catch (error) {
+        console.error('Error in complete processing:', error);
+        res.status(500).json({
+            error: 'Processing failed',
+            message: error.message
+        });
+    }
+});
 
-        if (ext === '.csv' || ext === '.txt' || ext === '.dat' || ext === '.001') {
-            filterResult = await filterCsvFile(inputFilePath);
-        } else {
-            const data = await readBankFile(inputFilePath);
-            filterResult = filterArrayData(data);
+// Get status and progress of a job
+app.get('/api/jobs/:jobId/status', (req, res) => {
+    try {
+        const status = jobStatus(req.params.jobId);
+        if (!status) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
         }
 
-        // Step 2: Load bank mapping
-        const bankMappingData = await loadBankMappingFile(bankMappingFilePath);
-
-        // Step 3: Compare IFSC and MICR
-        const comparisonResult = await compareIfscAndMicrWithBankMapping(
-            filterResult.validRecordsFile,
-            bankMappingData
-        );
+        res.json({ success: true, job: status });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read job status',
+            message: error.message
+        });
+    }
+});
 
-        // Step 4: Sort results
-        const sortedCount = await sortByIfsc(
-            'ifsc_micr_both_unmatched.csv',
-            'ifsc_micr_both_unmatched_sorted.csv'
-        );
+// Cancel a queued or running job
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+    try {
+        const job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
 
-        // Step 5: Apply fuzzy matching
-        const fuzzyResult = await applyFuzzyMatchingToBankNames(
-            'ifsc_micr_both_unmatched_sorted.csv'
-        );
+        if (job.status !== JOB_STATUSES.QUEUED && job.status !== JOB_STATUSES.RUNNING) {
+            return res.status(400).json({
+                error: 'Job cannot be cancelled',
+                message: `Job "${job.id}" is ${job.status || 'not a background job'}`
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Complete processing workflow finished successfully',
-            data: {
-                filtering: filterResult,
-                comparison: {
-                    ifscMatched: comparisonResult.iM,
-                    ifscUnmatched: comparisonResult.iU,
-                    micrMatched: comparisonResult.mM,
-                    micrUnmatched: comparisonResult.mU,
-                    ifscMissingMicrPresent: comparisonResult.ifscMissingMicrPresentCount,
-                    micrMissingIfscPresent: comparisonResult.micrMissingIfscPresentCount,
-                    bothMissing: comparisonResult.bothMissingCount,
-                    sortedRecords: sortedCount
-                },
-                fuzzyMatching: fuzzyResult,
-                backup: {
-                    filesBackedUp: backupResult.backedUpCount,
-                    oldFilesDeleted: backupResult.deletedCount
-                }
-            }
+            message: 'Cancellation requested',
+            job: cancelJob(job.id)
         });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to cancel job',
+            message: error.message
+        });
+    }
+});
+
+// Stream a job's progress, status and log messages as Server-Sent Events
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    try {
+        const status = jobStatus(req.params.jobId);
+        if (!status) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
 
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = event => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        // Replay what the client missed, then the current state, then live events
+        const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+        const unsubscribe = subscribeJobEvents(status.id, send, lastEventId);
+        res.write(`event: snapshot\ndata: ${JSON.stringify({ type: 'snapshot', job: status })}\n\n`);
+
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), JOB_EVENTS_HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
     } catch (error) {
-        console.error('Error in complete processing:', error);
         res.status(500).json({
-            error: 'Processing failed',
+            error: 'Failed to stream job events',
+            message: error.message
+        });
+    }
+});
+
+// List recorded runs, newest first (optionally only one kind or one job's runs)
+app.get('/api/runs', (req, res) => {
+    try {
+        const runs = listRuns({ kind: req.query.kind, jobId: req.query.jobId });
+        res.json({ success: true, runs });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to list runs',
+            message: error.message
+        });
+    }
+});
+
+// Get a recorded run: inputs, parameters, stats and kept files
+app.get('/api/runs/:runId', (req, res) => {
+    try {
+        const run = getRun(req.params.runId);
+        if (!run) {
+            return res.status(404).json(runNotFound(req.params.runId));
+        }
+
+        res.json({ success: true, run });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read run',
+            message: error.message
+        });
+    }
+});
+
+// Download a file kept with a recorded run
+app.get('/api/runs/:runId/download/:filename', (req, res) => {
+    try {
+        const run = getRun(req.params.runId);
+        if (!run) {
+            return res.status(404).json(runNotFound(req.params.runId));
+        }
+
+        const filename = req.params.filename;
+        if (!run.files.some(file => file.name === filename)) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: `Run ${run.id} kept no file named ${filename}`
+            });
+        }
+
+        res.download(path.resolve(runFilePath(run.id, filename)), filename);
+    } catch (error) {
+        console.error('Download error:', error);
+        res.status(500).json({
+            error: 'Download failed',
+            message: error.message
+        });
+    }
+});
+
+// Delete a recorded run and its kept files
+app.delete('/api/runs/:runId', (req, res) => {
+    try {
+        if (!getRun(req.params.runId)) {
+            return res.status(404).json(runNotFound(req.params.runId));
+        }
+
+        const run = removeRun(req.params.runId);
+        res.json({
+            success: true,
+            message: `Deleted run ${run.id} and its files`,
+            run
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to delete run',
             message: error.message
         });
     }
@@ -580,34 +1706,52 @@ app.get('/api/backups/:timestamp/:filename', (req, res) => {
     }
 });
 
-// Download generated files
-app.get('/api/download/:filename', (req, res) => {
+// List jobs, newest first
+app.get('/api/jobs', (req, res) => {
+    try {
+        const jobs = listJobs();
+        res.json({ success: true, count: jobs.length, jobs });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({
+            error: 'Failed to list jobs',
+            message: error.message
+        });
+    }
+});
+
+// Get a job's metadata
+app.get('/api/jobs/:jobId', (req, res) => {
+    try {
+        const job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
+
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error reading job:', error);
+        res.status(500).json({
+            error: 'Failed to read job',
+            message: error.message
+        });
+    }
+});
+
+// Download a file generated by a job
+app.get('/api/jobs/:jobId/download/:filename', (req, res) => {
     try {
+        const job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
+
         const filename = req.params.filename;
-        const allowedFiles = [
-            'invalid_records.csv',
-            'valid_records.csv',
-            'ifsc_matched.csv',
-            'ifsc_unmatched.csv',
-            'micr_matched.csv',
-            'micr_unmatched.csv',
-            'ifsc_missing_micr_present.csv',
-            'micr_missing_ifsc_present.csv',
-            'ifsc_micr_both_unmatched.csv',
-            'ifsc_micr_both_unmatched_sorted.csv',
-            'ifsc_unmatched_records.csv',
-            'ifsc_unmatched_records_sorted.csv',
-            'bank_names_corrected.csv',
-            'only_corrected_bank_names.csv',
-            'exact_matches_report.csv',
-            'ifsc_matched_records.csv'
-        ];
-
-        if (!allowedFiles.includes(filename)) {
+        if (!JOB_OUTPUT_FILES.includes(filename)) {
             return res.status(400).json({ error: 'Invalid file requested' });
         }
 
-        const filePath = path.join(__dirname, filename);
+        const filePath = path.resolve(jobFilePath(job.id, filename));
 
         if (!fs.existsSync(filePath)) {
             return res.status(404).json({ error: 'File not found' });
@@ -633,30 +1777,18 @@ app.get('/api/download/:filename', (req, res) => {
     }
 });
 
-// List all generated files
-app.get('/api/files', (req, res) => {
+// List the files generated by a job
+app.get('/api/jobs/:jobId/files', (req, res) => {
     try {
-        const outputFiles = [
-            'invalid_records.csv',
-            'valid_records.csv',
-            'ifsc_matched.csv',
-            'ifsc_unmatched.csv',
-            'micr_matched.csv',
-            'micr_unmatched.csv',
-            'ifsc_missing_micr_present.csv',
-            'micr_missing_ifsc_present.csv',
-            'ifsc_micr_both_unmatched.csv',
-            'ifsc_micr_both_unmatched_sorted.csv',
-            'bank_names_corrected.csv',
-            'only_corrected_bank_names.csv',
-            'exact_matches_report.csv',
-            'ifsc_matched_records.csv'
-        ];
+        const job = getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
 
-        const availableFiles = outputFiles
-            .filter(file => fs.existsSync(path.join(__dirname, file)))
+        const availableFiles = JOB_OUTPUT_FILES
+            .filter(file => fs.existsSync(jobFilePath(job.id, file)))
             .map(file => {
-                const stats = fs.statSync(path.join(__dirname, file));
+                const stats = fs.statSync(jobFilePath(job.id, file));
                 return {
                     name: file,
                     size: stats.size,
@@ -666,6 +1798,7 @@ app.get('/api/files', (req, res) => {
 
         res.json({
             success: true,
+            jobId: job.id,
             files: availableFiles
         });
 
@@ -678,46 +1811,55 @@ app.get('/api/files', (req, res) => {
     }
 });
 
-// Clean up generated files
-app.delete('/api/cleanup', (req, res) => {
+// Delete a job and all of its files
+app.delete('/api/jobs/:jobId', (req, res) => {
     try {
-        const filesToDelete = [
-            'invalid_records.csv',
-            'valid_records.csv',
-            'ifsc_matched.csv',
-            'ifsc_unmatched.csv',
-            'micr_matched.csv',
-            'micr_unmatched.csv',
-            'ifsc_missing_micr_present.csv',
-            'micr_missing_ifsc_present.csv',
-            'ifsc_micr_both_unmatched.csv',
-            'ifsc_micr_both_unmatched_sorted.csv',
-            'bank_names_corrected.csv',
-            'only_corrected_bank_names.csv',
-            'exact_matches_report.csv',
-            'ifsc_matched_records.csv',
-            'temp_bank_mapping.json'
-        ];
+        if (!getJob(req.params.jobId)) {
+            return res.status(404).json(jobNotFound(req.params.jobId));
+        }
+
+        if (isJobActive(req.params.jobId)) {
+            return res.status(400).json({
+                error: 'Job is still running',
+                message: 'Cancel the job before deleting it'
+            });
+        }
+
+        const job = removeJob(req.params.jobId);
+        res.json({
+            success: true,
+            message: `Deleted job ${job.id} and its files`,
+            job
+        });
 
+    } catch (error) {
+        console.error('Error deleting job:', error);
+        res.status(500).json({
+            error: 'Failed to delete job',
+            message: error.message
+        });
+    }
+});
+
+// Clean up every job and the uploads folder
+app.delete('/api/cleanup', (req, res) => {
+    try {
+        // Queued and running jobs keep their files
         let deletedCount = 0;
-        filesToDelete.forEach(file => {
-            const filePath = path.join(__dirname, file);
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-                deletedCount++;
-            }
+        listJobs().filter(job => !isJobActive(job.id)).forEach(job => {
+            removeJob(job.id);
+            deletedCount++;
         });
 
         // Clean uploads directory
         const uploadFiles = fs.readdirSync(uploadsDir);
         uploadFiles.forEach(file => {
             fs.unlinkSync(path.join(uploadsDir, file));
-            deletedCount++;
         });
 
         res.json({
             success: true,
-            message: `Cleaned up ${deletedCount} files`
+            message: `Cleaned up ${deletedCount} jobs and ${uploadFiles.length} uploaded files`
         });
 
     } catch (error) {
@@ -762,29 +1904,67 @@ app.listen(PORT, () => {
     console.log(`=================================\n`);
     console.log(`Available endpoints:`);
     console.log(`  GET  /api/health - Health check`);
+    console.log(`  GET  /api/profiles - List column mapping profiles`);
     console.log(`  POST /api/upload/input - Upload input file`);
     console.log(`  POST /api/upload/bank-mapping - Upload bank mapping file`);
-    console.log(`  POST /api/compare - Compare IFSC and MICR codes`);
-    console.log(`  POST /api/fuzzy-match - Apply fuzzy matching`);
-    console.log(`  POST /api/process-all - Complete workflow`);
-    console.log(`  GET  /api/files - List generated files`);
-    console.log(`  GET  /api/download/:filename - Download a file`);
-    console.log(`  DELETE /api/cleanup - Clean up all generated files`);
+    console.log(`  GET  /api/mapping/versions - List stored bank mapping versions`);
+    console.log(`  POST /api/mapping/versions/:version/activate - Activate a bank mapping version`);
+    console.log(`  POST /api/mapping/diff - Diff two bank mapping versions`);
+    console.log(`  GET  /api/bank-names - List canonical bank names`);
+    console.log(`  POST /api/bank-names - Add a canonical bank name`);
+    console.log(`  PUT  /api/bank-names/:name - Rename a canonical bank name`);
+    console.log(`  DELETE /api/bank-names/:name - Remove a canonical bank name`);
+    console.log(`  POST /api/bank-names/seed - Seed names from a bank mapping version`);
+    console.log(`  GET  /api/review - List fuzzy matches waiting for review`);
+    console.log(`  POST /api/review/:name/approve - Approve a suggested match`);
+    console.log(`  POST /api/review/:name/reject - Reject a suggested match`);
+    console.log(`  POST /api/review/:name/reassign - Assign a different bank name`);
+    console.log(`  DELETE /api/review/:name - Clear a review decision`);
+    console.log(`  GET  /api/jobs - List jobs`);
+    console.log(`  GET  /api/jobs/:jobId - Get a job`);
+    console.log(`  POST /api/jobs/:jobId/compare - Compare IFSC and MICR codes`);
+    console.log(`  POST /api/jobs/:jobId/fuzzy-match - Apply fuzzy matching`);
+    console.log(`  GET  /api/jobs/:jobId/fuzzy-match/explain - Explain a bank name correction`);
+    console.log(`  POST /api/process-all - Queue the complete workflow (starts a new job)`);
+    console.log(`  GET  /api/jobs/:jobId/status - Get a job's status and progress`);
+    console.log(`  POST /api/jobs/:jobId/cancel - Cancel a queued or running job`);
+    console.log(`  GET  /api/jobs/:jobId/events - Stream a job's progress and log (Server-Sent Events)`);
+    console.log(`  GET  /api/runs - List recorded runs`);
+    console.log(`  GET  /api/runs/:runId - Get a recorded run`);
+    console.log(`  GET  /api/runs/:runId/download/:filename - Download a file kept with a run`);
+    console.log(`  DELETE /api/runs/:runId - Delete a recorded run`);
+    console.log(`  GET  /api/jobs/:jobId/files - List a job's files`);
+    console.log(`  GET  /api/jobs/:jobId/download/:filename - Download a job's file`);
+    console.log(`  DELETE /api/jobs/:jobId - Delete a job and its files`);
+    console.log(`  DELETE /api/cleanup - Clean up all jobs and uploads`);
     console.log(`  GET  /api/backups - List available backups`);
     console.log(`  DELETE /api/backups/cleanup - Clean old backups`);
     console.log(`=================================\n`);
 
-    // Run initial cleanup of old backups on startup
-    console.log('🧹 Running initial backup cleanup...');
+    // Jobs cannot resume after a restart
+    const interruptedJobs = recoverInterruptedJobs();
+    if (interruptedJobs > 0) {
+        console.log(`⚠️ Marked ${interruptedJobs} interrupted jobs as failed`);
+    }
+
+    // Run initial cleanup of old backups, jobs and recorded runs on startup
+    console.log('🧹 Running initial backup, job and run history cleanup...');
     cleanupOldBackups();
+    cleanupOldJobs(JOB_MAX_AGE_MS);
+    pruneRuns(RUN_HISTORY_MAX_AGE_MS);
 
     // Schedule automatic cleanup every 24 hours
     setInterval(() => {
-        console.log('🕐 Running scheduled backup cleanup (every 24 hours)...');
+        console.log('🕐 Running scheduled backup, job and run history cleanup (every 24 hours)...');
         cleanupOldBackups();
+        const removedJobs = cleanupOldJobs(JOB_MAX_AGE_MS);
+        if (removedJobs > 0) {
+            console.log(`✅ Removed ${removedJobs} jobs older than 7 days`);
+        }
+        pruneRuns(RUN_HISTORY_MAX_AGE_MS);
     }, 24 * 60 * 60 * 1000); // 24 hours in milliseconds
 
-    console.log('✅ Automatic backup cleanup scheduled (runs every 24 hours)\n');
+    console.log('✅ Automatic backup, job and run history cleanup scheduled (runs every 24 hours)\n');
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupBankNames, resolveMatcherConfig } = require('../logic/processor');
+
+const bankNames = [
+    'STATE BANK OF INDIA',
+    'STATE BANK OF INDIA.',
+    'STATE BNK OF INDIA',
+    'SBI',
+    'PUNJAB NATIONAL BANK',
+    'PUNJAB NATIONL BANK',
+    'HDFC BANK',
+    'HDFC BANK LTD',
+    'ICICI BANK',
+    'ICICI BANK LIMITED',
+    'CANARA BANK',
+    'CANNARA BANK',
+    'BANK OF BARODA',
+    'BANK OF INDIA',
+    'UNION BANK OF INDIA',
+    'AXIS BANK',
+    'KOTAK MAHINDRA BANK',
+    'NAGARIK SAHAKARI BANK',
+    'NAGRIK SAHAKARI BANK',
+    ''
+];
+
+/**
+ * Records for a list of names, repeating the first ones so counts differ
+ */
+function recordsFor(names) {
+    return [...names, ...names.slice(0, 5)].map(bankName => ({ bankName }));
+}
+
+/**
+ * Groups as sorted [label, sorted members] pairs, for comparing runs
+ */
+function groupsOf(grouping) {
+    return [...grouping.bankGroups.entries()]
+        .map(([label, members]) => [label, [...new Set(members.map(row => row.bankName))].sort()])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+for (const grouping of ['greedy', 'cluster']) {
+    test(`${grouping} grouping: the candidate index finds the same groups as scanning every group`, () => {
+        const config = resolveMatcherConfig({ grouping });
+        const indexed = groupBankNames(recordsFor(bankNames), { config });
+        const exhaustive = groupBankNames(recordsFor(bankNames), { config, exhaustive: true });
+
+        assert.deepEqual(groupsOf(indexed), groupsOf(exhaustive));
+        assert.deepEqual([...indexed.correctedBankNames.entries()].sort(), [...exhaustive.correctedBankNames.entries()].sort());
+        assert.ok(indexed.index.stats.comparisons <= exhaustive.index.stats.comparisons);
+    });
+}
+
+/**
+ * Same records in a different order (seeded, so every run tests the same orders)
+ */
+function shuffled(records, seed) {
+    const copy = [...records];
+    let state = seed;
+    for (let i = copy.length - 1; i > 0; i--) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        const j = state % (i + 1);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+test('cluster grouping gives the same groups, corrections and review items however the input is ordered', () => {
+    const config = resolveMatcherConfig({ grouping: 'cluster' });
+    const records = recordsFor(bankNames);
+    const reference = groupBankNames(records, { config });
+
+    for (const order of [[...records].reverse(), shuffled(records, 1), shuffled(records, 7), shuffled(records, 42)]) {
+        const result = groupBankNames(order, { config });
+        assert.deepEqual(groupsOf(result), groupsOf(reference));
+        assert.deepEqual(new Map(result.correctedBankNames), new Map(reference.correctedBankNames));
+        assert.deepEqual(result.reviewQueue, reference.reviewQueue);
+    }
+});
+
+test('cluster grouping picks the same Latin label for an Indic-script group however the input is ordered', () => {
+    const config = resolveMatcherConfig({ grouping: 'cluster' });
+    const names = ['स्टेट बैंक ऑफ इंडिया', 'स्टेट बैंक ऑफ इंडिया', 'STATE BANK OF INDIYA', 'STATE BANK OF INDIA'];
+    const records = names.map(bankName => ({ bankName }));
+
+    for (const order of [records, [...records].reverse(), shuffled(records, 3)]) {
+        const result = groupBankNames(order, { config });
+        assert.deepEqual([...result.bankGroups.keys()], ['STATE BANK OF INDIA']);
+        assert.equal(result.correctedBankNames.get('स्टेट बैंक ऑफ इंडिया'), 'STATE BANK OF INDIA');
+    }
+});
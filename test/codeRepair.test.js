@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    codeEdits,
+    describeEdits,
+    IfscRepairIndex,
+    MICR_CORRECTION_VERDICTS,
+    proposeMicrCorrection
+} = require('../logic/codeRepair');
+const { indexMappingRows } = require('../logic/mappingIndex');
+const { loadColumnProfile } = require('../logic/columnProfiles');
+
+// Default mapping layout: ID~IFSC~MICR~BANK_NAME~...
+const mappingIndex = indexMappingRows([
+    ['1', 'SBIN0123456', '400002001', 'STATE BANK OF INDIA'],
+    ['2', 'SBIN0123457', '400002002', 'STATE BANK OF INDIA'],
+    ['3', 'SBIN0654321', '400002003', 'STATE BANK OF INDIA'],
+    ['4', 'HDFC0123456', '400240001', 'HDFC BANK']
+], loadColumnProfile());
+
+test('edits name swaps, OCR confusions and plain substitutions', () => {
+    assert.deepEqual(codeEdits('SBIN0213456', 'SBIN0123456'), [
+        { type: 'transposition', position: 6, from: '21', to: '12' }
+    ]);
+    assert.deepEqual(codeEdits('SBINO123456', 'SBIN0123456'), [
+        { type: 'ocr', position: 5, from: 'O', to: '0' }
+    ]);
+    assert.equal(describeEdits(codeEdits('SBIN0213459', 'SBIN0123456')), '6-7: 21→12 (swap); 11: 9→6');
+});
+
+test('counting edits stops once past the limit', () => {
+    assert.equal(codeEdits('SBIN0999999', 'SBIN0123456').length, 3);
+});
+
+test('a swap plus one substitution is found although no branch segment is unchanged', () => {
+    // Swapping positions 7-8 and changing position 10 touches all three branch segments
+    const candidates = new IfscRepairIndex(mappingIndex).candidatesFor('SBIN0132496');
+
+    const swapped = candidates.find(candidate => candidate.ifsc === 'SBIN0123456');
+    assert.ok(swapped, 'SBIN0123456 is a candidate');
+    assert.deepEqual(swapped.edits.map(edit => edit.type), ['transposition', 'substitution']);
+});
+
+test('codes more than two edits away are not suggested', () => {
+    const candidates = new IfscRepairIndex(mappingIndex).candidatesFor('SBIN0999999');
+    assert.deepEqual(candidates, []);
+});
+
+test('a suggestion on the same mapping row as the record MICR ranks first', () => {
+    const index = new IfscRepairIndex(mappingIndex);
+
+    const [best, next] = index.suggest('SBIN012345X', '400002002');
+    assert.equal(best.ifsc, 'SBIN0123457');
+    assert.equal(best.sharesMicrRow, true);
+    assert.equal(best.confidence, 90);
+    assert.equal(best.bankName, 'STATE BANK OF INDIA');
+    assert.equal(next.ifsc, 'SBIN0123456');
+    assert.equal(next.sharesMicrRow, false);
+    assert.equal(next.confidence, 70);
+});
+
+test('suggestions with equal confidence are ordered by IFSC', () => {
+    const suggestions = new IfscRepairIndex(mappingIndex).suggest('SBIN012345X', '999999999');
+    assert.deepEqual(suggestions.map(suggestion => suggestion.ifsc), ['SBIN0123456', 'SBIN0123457']);
+});
+
+test('a one-digit slip in the city segment is a typo, and names the segment', () => {
+    const correction = proposeMicrCorrection('410002001', 'SBIN0123456', mappingIndex);
+    assert.equal(correction.micr, '400002001');
+    assert.equal(correction.distance, 1);
+    assert.equal(correction.verdict, MICR_CORRECTION_VERDICTS.TYPO);
+    assert.deepEqual(correction.changedSegments, ['city']);
+});
+
+test('a swap in the bank segment is a typo', () => {
+    const correction = proposeMicrCorrection('400020001', 'SBIN0123456', mappingIndex);
+    assert.equal(correction.verdict, MICR_CORRECTION_VERDICTS.TYPO);
+    assert.deepEqual(correction.changedSegments, ['bank']);
+});
+
+test('a MICR more than two edits away belongs to a different branch', () => {
+    const correction = proposeMicrCorrection('110024003', 'SBIN0123456', mappingIndex);
+    assert.equal(correction.micr, '400002001');
+    assert.equal(correction.verdict, MICR_CORRECTION_VERDICTS.DIFFERENT_BRANCH);
+    assert.deepEqual(correction.changedSegments, ['city', 'bank', 'branch']);
+});
+
+test('of several mapped MICRs the closest is proposed, ties going to the lowest', () => {
+    const index = indexMappingRows([
+        ['1', 'SBIN0123456', '400002009', 'STATE BANK OF INDIA'],
+        ['2', 'SBIN0123456', '400002001', 'STATE BANK OF INDIA'],
+        ['3', 'SBIN0123456', '400002005', 'STATE BANK OF INDIA']
+    ], loadColumnProfile());
+
+    assert.equal(proposeMicrCorrection('400002008', 'SBIN0123456', index).micr, '400002001');
+    assert.equal(proposeMicrCorrection('400002015', 'SBIN0123456', index).micr, '400002005');
+});
+
+test('an IFSC with no mapped MICR gets no proposal', () => {
+    const correction = proposeMicrCorrection('400002001', 'SBIN0999999', mappingIndex);
+    assert.deepEqual(correction, {
+        micr: '',
+        distance: null,
+        edits: [],
+        verdict: MICR_CORRECTION_VERDICTS.NO_MAPPED_MICR,
+        changedSegments: []
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REASON_CODES, validateIfsc, validateMicr, validateRecordCodes } = require('../logic/codeValidation');
+const { extractMicrIfsc } = require('../logic/processor');
+
+test('a valid IFSC and MICR pass', () => {
+    assert.deepEqual(validateRecordCodes('400002001', 'SBIN0005076'), { valid: true, reasons: [] });
+});
+
+test('a missing or wrong-length IFSC reports only that reason', () => {
+    assert.deepEqual(validateIfsc(''), [REASON_CODES.IFSC_NOT_FOUND]);
+    assert.deepEqual(validateIfsc('SBIN000507'), [REASON_CODES.IFSC_BAD_LENGTH]);
+    assert.deepEqual(validateIfsc('12345678901234'), [REASON_CODES.IFSC_BAD_LENGTH]);
+});
+
+test('an 11-character IFSC reports every structural fault', () => {
+    assert.deepEqual(validateIfsc('12345678901'), [
+        REASON_CODES.IFSC_BAD_PREFIX,
+        REASON_CODES.IFSC_FIFTH_CHAR_NOT_ZERO
+    ]);
+    assert.deepEqual(validateIfsc('SBIN1-05076'), [
+        REASON_CODES.IFSC_FIFTH_CHAR_NOT_ZERO,
+        REASON_CODES.IFSC_BAD_BRANCH_CODE
+    ]);
+});
+
+test('MICR checks stop at the first fault: missing, then non-numeric, then length', () => {
+    assert.deepEqual(validateMicr(''), [REASON_CODES.MICR_NOT_FOUND]);
+    assert.deepEqual(validateMicr('40000A0'), [REASON_CODES.MICR_NON_NUMERIC]);
+    assert.deepEqual(validateMicr('4000020'), [REASON_CODES.MICR_BAD_LENGTH]);
+});
+
+test('IFSC reasons come before MICR reasons', () => {
+    assert.deepEqual(validateRecordCodes('', 'SBIN1005076').reasons, [
+        REASON_CODES.IFSC_FIFTH_CHAR_NOT_ZERO,
+        REASON_CODES.MICR_NOT_FOUND
+    ]);
+});
+
+test('a MICR with letters is reported as non-numeric, not as a bad length', () => {
+    const byScan = extractMicrIfsc(['1', '40000A001', 'SBIN0005076']);
+    assert.equal(byScan.micr, '40000A001');
+    assert.deepEqual(validateRecordCodes(byScan.micr, byScan.ifsc).reasons, [REASON_CODES.MICR_NON_NUMERIC]);
+
+    const byColumns = extractMicrIfsc(['1', '40000A001', 'SBIN0005076'], { micr: 1, ifsc: 2 });
+    assert.deepEqual(validateRecordCodes(byColumns.micr, byColumns.ifsc).reasons, [REASON_CODES.MICR_NON_NUMERIC]);
+});
+
+test('separators in a MICR are dropped, and text fields are not taken for one', () => {
+    assert.equal(extractMicrIfsc(['1', '400 002-001', 'SBIN0005076']).micr, '400002001');
+    assert.equal(extractMicrIfsc(['JOHN', 'BANGALORE', 'SBIN0005076']).micr, '');
+});
+
+test('with profile columns, a code in another column is never used', () => {
+    const { micr, ifsc } = extractMicrIfsc(['SBIN0005076', '400002001', 'SBIN5005076'], { micr: 1, ifsc: 2 });
+    assert.equal(micr, '400002001');
+    assert.equal(ifsc, 'SBIN5005076');
+    assert.deepEqual(validateIfsc(ifsc), [REASON_CODES.IFSC_FIFTH_CHAR_NOT_ZERO]);
+});
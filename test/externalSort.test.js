@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExternalSorter } = require('../logic/externalSort');
+const { sortByIfsc } = require('../logic/processor');
+const { loadColumnProfile } = require('../logic/columnProfiles');
+
+/**
+ * Sort lines keyed by their first field and collect the output
+ */
+async function sortLines(lines, options) {
+    const sorter = createExternalSorter(options);
+    lines.forEach(line => sorter.add([line.split(',')[0]], line));
+
+    const output = [];
+    const written = await sorter.drain(line => output.push(line));
+    assert.equal(written, lines.length);
+    return output;
+}
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'external-sort-test-'));
+}
+
+// Equal keys spread over several runs: their input order must survive the merge
+const lines = ['B,1', 'A,1', 'C,1', 'B,2', 'A,2', 'C,2', 'B,3', 'A,3', 'C,3', 'A,4'];
+const expected = ['A,1', 'A,2', 'A,3', 'A,4', 'B,1', 'B,2', 'B,3', 'C,1', 'C,2', 'C,3'];
+
+test('an input that fits in one chunk is sorted stably in memory', async() => {
+    const tempDir = makeTempDir();
+    try {
+        assert.deepEqual(await sortLines(lines, { chunkSize: 100, tempDir }), expected);
+        assert.deepEqual(fs.readdirSync(tempDir), []);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('equal keys keep their input order across spilled runs', async() => {
+    const tempDir = makeTempDir();
+    try {
+        for (const chunkSize of [1, 2, 3, 4]) {
+            assert.deepEqual(await sortLines(lines, { chunkSize, tempDir }), expected, `chunkSize ${chunkSize}`);
+        }
+        // Run files are removed once merged
+        assert.deepEqual(fs.readdirSync(tempDir), []);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('keys compare by character code, not by locale', async() => {
+    const tempDir = makeTempDir();
+    try {
+        assert.deepEqual(await sortLines(['b,1', 'B,1', 'a,1', 'A,1'], { chunkSize: 1, tempDir }), ['A,1', 'B,1', 'a,1', 'b,1']);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('discard drops buffered records and spilled runs', () => {
+    const tempDir = makeTempDir();
+    try {
+        const sorter = createExternalSorter({ chunkSize: 2, tempDir });
+        lines.forEach(line => sorter.add([line], line));
+        assert.equal(sorter.count, lines.length);
+        assert.equal(fs.readdirSync(tempDir).length, 1);
+
+        sorter.discard();
+        assert.deepEqual(fs.readdirSync(tempDir), []);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('sortByIfsc keeps the header and sorts by IFSC, then the secondary key, stably', async() => {
+    const tempDir = makeTempDir();
+    try {
+        const inputFile = path.join(tempDir, 'input.csv');
+        const outputFile = path.join(tempDir, 'sorted.csv');
+        fs.writeFileSync(inputFile, [
+            'MICR,IFSC,BankName',
+            '400002003,SBIN0000002,STATE BANK',
+            '400002001,SBIN0000001,STATE BANK',
+            '110002001,SBIN0000002,STATE BANK',
+            '400002002,SBIN0000001,STATE BANK',
+            '400002001,SBIN0000001,SBI'
+        ].join('\n') + '\n');
+
+        const count = await sortByIfsc(inputFile, outputFile, loadColumnProfile('micr-ifsc-csv'), {
+            secondaryKey: 'micr',
+            chunkSize: 2,
+            tempDir
+        });
+
+        assert.equal(count, 5);
+        assert.deepEqual(fs.readFileSync(outputFile, 'utf-8').trim().split('\n'), [
+            'MICR,IFSC,BankName',
+            '400002001,SBIN0000001,STATE BANK',
+            '400002001,SBIN0000001,SBI',
+            '400002002,SBIN0000001,STATE BANK',
+            '110002001,SBIN0000002,STATE BANK',
+            '400002003,SBIN0000002,STATE BANK'
+        ]);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
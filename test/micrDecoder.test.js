@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MICR_VERDICTS,
+    MICR_COLUMNS,
+    decodeMicr,
+    buildMicrBankIndex,
+    checkMicrBankConsistency,
+    withMicrColumns,
+    withMicrHeader
+} = require('../logic/micrDecoder');
+
+// Default mapping layout: ID, IFSC, MICR, ...
+const mappingRows = [
+    ['1', 'SBIN0005076', '400002001'],
+    ['2', 'SBIN0000691', '110002005'],
+    ['3', 'HDFC0000001', '400240002']
+];
+
+test('a 9-digit MICR splits into city, bank and branch', () => {
+    assert.deepEqual(decodeMicr('400002001'), { cityCode: '400', bankCode: '002', branchCode: '001' });
+    assert.deepEqual(decodeMicr(' 400002001 '), { cityCode: '400', bankCode: '002', branchCode: '001' });
+});
+
+test('anything but 9 digits does not decode', () => {
+    assert.equal(decodeMicr(''), null);
+    assert.equal(decodeMicr(null), null);
+    assert.equal(decodeMicr('40000200'), null);
+    assert.equal(decodeMicr('40000A001'), null);
+});
+
+test('the bank segment is checked against the banks the IFSC prefix uses in the mapping', () => {
+    const index = buildMicrBankIndex(mappingRows);
+
+    assert.deepEqual([...index.get('SBIN')], ['002']);
+    assert.equal(checkMicrBankConsistency('560002010', 'SBIN0001234', index), MICR_VERDICTS.CONSISTENT);
+    assert.equal(checkMicrBankConsistency('560240010', 'SBIN0001234', index), MICR_VERDICTS.BANK_MISMATCH);
+    assert.equal(checkMicrBankConsistency('560002010', 'UTIB0001234', index), MICR_VERDICTS.UNKNOWN_BANK);
+    assert.equal(checkMicrBankConsistency('56000201', 'SBIN0001234', index), MICR_VERDICTS.UNKNOWN_BANK);
+    assert.equal(checkMicrBankConsistency('560002010', 'SBIN0001234', null), MICR_VERDICTS.UNVERIFIED);
+});
+
+test('mapping rows with an unusable IFSC or MICR are left out of the index', () => {
+    const index = buildMicrBankIndex([['1', 'SBIN000507', '400002001'], ['2', 'UTIB0000001', '4000']]);
+    assert.equal(index.size, 0);
+});
+
+test('decoded columns are appended once and refreshed on records that already have them', () => {
+    const index = buildMicrBankIndex(mappingRows);
+    const record = ['1', '400002001', 'SBIN0005076'];
+
+    const decoded = withMicrColumns(record, '400002001', 'SBIN0005076', null);
+    assert.deepEqual(decoded, [...record, '400', '002', '001', MICR_VERDICTS.UNVERIFIED]);
+
+    const refreshed = withMicrColumns(decoded, '400002001', 'SBIN0005076', index);
+    assert.deepEqual(refreshed, [...record, '400', '002', '001', MICR_VERDICTS.CONSISTENT]);
+});
+
+test('the MICR header columns are appended once', () => {
+    const header = withMicrHeader(['ID', 'MICR', 'IFSC']);
+    assert.deepEqual(header, ['ID', 'MICR', 'IFSC', ...MICR_COLUMNS]);
+    assert.deepEqual(withMicrHeader(header), header);
+});